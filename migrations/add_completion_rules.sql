@@ -0,0 +1,33 @@
+-- Course-level completion rules checked before a certificate is issued.
+-- A course without a row keeps the old behaviour: every lecture must be completed.
+CREATE TABLE IF NOT EXISTS course_completion_rules (
+    course_id UUID PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
+    required_quiz_ids UUID[] DEFAULT ARRAY[]::UUID[],
+    min_quiz_average DECIMAL(5, 2) CHECK (min_quiz_average IS NULL OR (min_quiz_average >= 0 AND min_quiz_average <= 100)),
+    min_watch_percentage INTEGER NOT NULL DEFAULT 100 CHECK (min_watch_percentage >= 0 AND min_watch_percentage <= 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION update_course_completion_rules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_course_completion_rules_updated_at
+    BEFORE UPDATE ON course_completion_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_course_completion_rules_updated_at();
+
+-- Quizzes can belong to a chapter
+ALTER TABLE quizzes
+    ADD COLUMN IF NOT EXISTS chapter_id UUID REFERENCES chapters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_chapter_id ON quizzes(chapter_id);
+
+-- Locked chapters open once every quiz of the previous chapter is passed
+ALTER TABLE chapters
+    ADD COLUMN IF NOT EXISTS requires_previous_quiz BOOLEAN DEFAULT false;
@@ -0,0 +1,17 @@
+-- One row per served asset. The trace_id is stamped on the content (visible and
+-- invisible) so a leaked copy can be traced back to the student, device and request.
+CREATE TABLE IF NOT EXISTS content_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trace_id VARCHAR(11) NOT NULL UNIQUE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lecture_id UUID REFERENCES lectures(id) ON DELETE SET NULL,
+    course_id UUID REFERENCES courses(id) ON DELETE SET NULL,
+    asset_type VARCHAR(20) NOT NULL CHECK (asset_type IN ('pdf', 'video')),
+    device_id VARCHAR(255),
+    ip_address VARCHAR(100),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_content_deliveries_user_id ON content_deliveries(user_id);
+CREATE INDEX idx_content_deliveries_lecture_id ON content_deliveries(lecture_id);
@@ -0,0 +1,56 @@
+-- Course bundles: several courses sold together at a single price.
+-- Buying a bundle enrolls the student in every member course.
+CREATE TABLE IF NOT EXISTS course_bundles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    thumbnail_url TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS bundle_courses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bundle_id UUID NOT NULL REFERENCES course_bundles(id) ON DELETE CASCADE,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    course_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bundle_id, course_id)
+);
+
+CREATE INDEX idx_bundle_courses_course_id ON bundle_courses(course_id);
+CREATE INDEX idx_course_bundles_is_active ON course_bundles(is_active);
+
+CREATE OR REPLACE FUNCTION update_course_bundles_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_course_bundles_updated_at
+    BEFORE UPDATE ON course_bundles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_course_bundles_updated_at();
+
+-- A payment is for either one course or one bundle
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES course_bundles(id) ON DELETE SET NULL,
+    -- Member courses the purchase enrolls into, fixed at order time (courses already owned are left out)
+    ADD COLUMN IF NOT EXISTS bundle_course_ids UUID[];
+
+ALTER TABLE payments ALTER COLUMN course_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_bundle_id ON payments(bundle_id);
+
+-- Coupons restricted to specific items can also name bundles
+ALTER TABLE coupons
+    ADD COLUMN IF NOT EXISTS bundle_ids UUID[] DEFAULT ARRAY[]::UUID[];
+
+-- Invoices of bundle purchases have no single course
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES course_bundles(id) ON DELETE SET NULL;
@@ -0,0 +1,15 @@
+-- AES-128 keys for encrypted HLS segments. Keys never leave the API except through
+-- the authenticated key endpoint, which logs every fetch.
+CREATE TABLE IF NOT EXISTS lecture_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lecture_id UUID NOT NULL REFERENCES lectures(id) ON DELETE CASCADE,
+    key_hex VARCHAR(32) NOT NULL,
+    iv_hex VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_lecture_keys_lecture_id ON lecture_keys(lecture_id);
+
+-- Key used by the lecture's current HLS ladder
+ALTER TABLE lectures
+    ADD COLUMN IF NOT EXISTS hls_key_id UUID REFERENCES lecture_keys(id) ON DELETE SET NULL;
@@ -0,0 +1,13 @@
+-- HLS renditions produced from uploaded lecture videos.
+-- file_url keeps the original upload; playback prefers the HLS ladder once it is ready.
+ALTER TABLE lectures
+    ADD COLUMN IF NOT EXISTS hls_status VARCHAR(20)
+        CHECK (hls_status IN ('pending', 'processing', 'ready', 'failed')),
+    ADD COLUMN IF NOT EXISTS hls_manifest_key TEXT,
+    ADD COLUMN IF NOT EXISTS hls_renditions JSONB DEFAULT '[]'::JSONB,
+    ADD COLUMN IF NOT EXISTS thumbnail_sprite_key TEXT,
+    ADD COLUMN IF NOT EXISTS thumbnail_sprite JSONB,
+    ADD COLUMN IF NOT EXISTS hls_error TEXT,
+    ADD COLUMN IF NOT EXISTS transcoded_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_lectures_hls_status ON lectures(hls_status);
@@ -0,0 +1,73 @@
+-- Installment plans: a course paid in several payments a fixed number of days apart.
+-- Paying the first installment enrolls the student and creates their schedule.
+CREATE TABLE IF NOT EXISTS installment_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    installment_count INTEGER NOT NULL CHECK (installment_count BETWEEN 2 AND 12),
+    interval_days INTEGER NOT NULL CHECK (interval_days > 0),
+    -- May exceed the course price; split equally, any remainder is added to the first installment
+    total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_installment_plans_course_id ON installment_plans(course_id);
+
+-- One row per installment of a student's schedule
+CREATE TABLE IF NOT EXISTS student_installments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    plan_id UUID NOT NULL REFERENCES installment_plans(id) ON DELETE RESTRICT,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    -- The payment of the first installment identifies the schedule
+    first_payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    installment_number INTEGER NOT NULL CHECK (installment_number >= 1),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    due_date TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'paid', 'waived')),
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP,
+    reminder_sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (first_payment_id, installment_number)
+);
+
+CREATE INDEX idx_student_installments_student_course ON student_installments(student_id, course_id);
+CREATE INDEX idx_student_installments_pending_due ON student_installments(due_date) WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION update_installment_plans_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_installment_plans_updated_at
+    BEFORE UPDATE ON installment_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_installment_plans_updated_at();
+
+CREATE OR REPLACE FUNCTION update_student_installments_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_student_installments_updated_at
+    BEFORE UPDATE ON student_installments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_student_installments_updated_at();
+
+-- Which installment a payment pays for
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS installment_plan_id UUID REFERENCES installment_plans(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS installment_id UUID REFERENCES student_installments(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS installment_number INTEGER;
@@ -0,0 +1,104 @@
+-- GST tax invoices for captured payments.
+-- Invoice numbers are sequential per financial year (April-March) without gaps, as GST rules require.
+
+-- Student's state decides the tax split: same state as the company -> CGST + SGST, otherwise IGST
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS state_code VARCHAR(2);
+
+CREATE TABLE IF NOT EXISTS invoice_counters (
+    financial_year VARCHAR(7) PRIMARY KEY, -- e.g. 2026-27
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE RESTRICT,
+    invoice_number VARCHAR(16) NOT NULL UNIQUE,
+    financial_year VARCHAR(7) NOT NULL,
+    student_id UUID NOT NULL REFERENCES users(id),
+    course_id UUID REFERENCES courses(id) ON DELETE SET NULL,
+    -- Billing details are copied so the invoice never changes after issue
+    billing_name VARCHAR(255) NOT NULL,
+    billing_email VARCHAR(255) NOT NULL,
+    billing_state_code VARCHAR(2),
+    place_of_supply VARCHAR(2) NOT NULL,
+    item_description TEXT NOT NULL,
+    sac_code VARCHAR(8) NOT NULL,
+    -- Prices are GST-inclusive: gross_amount - discount_amount = total_amount = taxable_amount + taxes
+    gross_amount DECIMAL(10, 2) NOT NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    coupon_code VARCHAR(50),
+    taxable_amount DECIMAL(10, 2) NOT NULL,
+    gst_rate DECIMAL(5, 2) NOT NULL,
+    cgst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    file_url TEXT,
+    emailed_at TIMESTAMP,
+    issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_invoices_student_id ON invoices(student_id);
+CREATE INDEX idx_invoices_issued_at ON invoices(issued_at);
+
+CREATE OR REPLACE FUNCTION update_invoices_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_invoices_updated_at
+    BEFORE UPDATE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_invoices_updated_at();
+
+DROP FUNCTION IF EXISTS next_invoice_number(VARCHAR);
+
+-- Allocate the next number of the invoice's financial year and insert the invoice in one
+-- transaction, so a failed insert or a concurrent call never burns a number.
+-- p_invoice holds the invoice columns; an existing invoice of the payment is returned as is.
+CREATE OR REPLACE FUNCTION issue_invoice(p_invoice JSONB, p_number_prefix VARCHAR)
+RETURNS invoices AS $$
+DECLARE
+    v_financial_year VARCHAR := p_invoice->>'financial_year';
+    v_number INTEGER;
+    v_invoice invoices;
+BEGIN
+    -- The counter row stays locked until commit, so issuers of a year run one at a time
+    INSERT INTO invoice_counters (financial_year, last_number)
+    VALUES (v_financial_year, 1)
+    ON CONFLICT (financial_year)
+    DO UPDATE SET last_number = invoice_counters.last_number + 1
+    RETURNING last_number INTO v_number;
+
+    SELECT * INTO v_invoice FROM invoices WHERE payment_id = (p_invoice->>'payment_id')::UUID;
+
+    IF FOUND THEN
+        UPDATE invoice_counters SET last_number = last_number - 1 WHERE financial_year = v_financial_year;
+        RETURN v_invoice;
+    END IF;
+
+    INSERT INTO invoices
+    SELECT * FROM jsonb_populate_record(
+        NULL::invoices,
+        jsonb_build_object(
+            'id', gen_random_uuid(),
+            'issued_at', CURRENT_TIMESTAMP,
+            'created_at', CURRENT_TIMESTAMP,
+            'updated_at', CURRENT_TIMESTAMP
+        )
+        || p_invoice
+        || jsonb_build_object(
+            'invoice_number', p_number_prefix || '/' || substring(v_financial_year FROM 3) || '/' || lpad(v_number::TEXT, 5, '0')
+        )
+    )
+    RETURNING * INTO v_invoice;
+
+    RETURN v_invoice;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,28 @@
+-- Track when a student last touched a lecture so the dashboard can resume it
+-- Added without a default so existing rows aren't all stamped with the migration time
+ALTER TABLE lecture_progress
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Rows with no recorded activity stay NULL and sort last in the feed
+UPDATE lecture_progress
+SET updated_at = COALESCE(last_heartbeat_at, completed_at)
+WHERE updated_at IS NULL;
+
+ALTER TABLE lecture_progress ALTER COLUMN updated_at SET DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_lecture_progress_student_updated ON lecture_progress(student_id, updated_at DESC);
+
+CREATE OR REPLACE FUNCTION update_lecture_progress_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_lecture_progress_updated_at ON lecture_progress;
+
+CREATE TRIGGER trigger_update_lecture_progress_updated_at
+    BEFORE UPDATE ON lecture_progress
+    FOR EACH ROW
+    EXECUTE FUNCTION update_lecture_progress_updated_at();
@@ -0,0 +1,41 @@
+-- Attachments of a lecture: slides, source code, assignment sheets, reference links.
+-- Files are storage keys served through signed URLs; links are plain external URLs.
+CREATE TABLE IF NOT EXISTS lecture_resources (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lecture_id UUID NOT NULL REFERENCES lectures(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    resource_type VARCHAR(20) NOT NULL
+        CHECK (resource_type IN ('slides', 'code', 'assignment', 'document', 'link', 'other')),
+    file_url TEXT,
+    external_url TEXT,
+    file_name VARCHAR(255),
+    mime_type VARCHAR(255),
+    file_size BIGINT,
+    -- enrolled: enrolled students; preview: any student; completed: after the lecture is completed
+    access_level VARCHAR(20) NOT NULL DEFAULT 'enrolled'
+        CHECK (access_level IN ('enrolled', 'preview', 'completed')),
+    -- Hidden from students until this time (e.g. assignment solutions)
+    available_from TIMESTAMP,
+    resource_order INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (resource_type = 'link' AND external_url IS NOT NULL AND file_url IS NULL)
+        OR (resource_type <> 'link' AND file_url IS NOT NULL AND external_url IS NULL)
+    )
+);
+
+CREATE INDEX idx_lecture_resources_lecture_id ON lecture_resources(lecture_id);
+
+CREATE OR REPLACE FUNCTION update_lecture_resources_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_lecture_resources_updated_at
+    BEFORE UPDATE ON lecture_resources
+    FOR EACH ROW
+    EXECUTE FUNCTION update_lecture_resources_updated_at();
@@ -0,0 +1,75 @@
+-- Subtitle tracks of a video lecture, one per language. Uploads (SRT or WebVTT)
+-- are stored as WebVTT so players can load them directly.
+CREATE TABLE IF NOT EXISTS lecture_subtitles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lecture_id UUID NOT NULL REFERENCES lectures(id) ON DELETE CASCADE,
+    language_code VARCHAR(20) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    file_url TEXT NOT NULL,
+    source_format VARCHAR(10) NOT NULL CHECK (source_format IN ('vtt', 'srt')),
+    is_default BOOLEAN DEFAULT false,
+    cue_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lecture_id, language_code)
+);
+
+CREATE INDEX idx_lecture_subtitles_lecture_id ON lecture_subtitles(lecture_id);
+
+CREATE OR REPLACE FUNCTION update_lecture_subtitles_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_lecture_subtitles_updated_at
+    BEFORE UPDATE ON lecture_subtitles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_lecture_subtitles_updated_at();
+
+-- Transcript index: one row per cue. The course is resolved through the lecture's
+-- chapter at query time so transferred lectures stay searchable in their new course.
+CREATE TABLE IF NOT EXISTS lecture_transcript_cues (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subtitle_id UUID NOT NULL REFERENCES lecture_subtitles(id) ON DELETE CASCADE,
+    lecture_id UUID NOT NULL REFERENCES lectures(id) ON DELETE CASCADE,
+    language_code VARCHAR(20) NOT NULL,
+    cue_index INTEGER NOT NULL,
+    start_seconds DECIMAL(10, 3) NOT NULL,
+    end_seconds DECIMAL(10, 3) NOT NULL,
+    text TEXT NOT NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', text)) STORED
+);
+
+CREATE INDEX idx_lecture_transcript_cues_subtitle_id ON lecture_transcript_cues(subtitle_id);
+CREATE INDEX idx_lecture_transcript_cues_lecture_id ON lecture_transcript_cues(lecture_id);
+CREATE INDEX idx_lecture_transcript_cues_search ON lecture_transcript_cues USING GIN (search_vector);
+
+-- Search a course's transcripts; every word of the query must appear in the cue
+CREATE OR REPLACE FUNCTION search_course_transcripts(
+    p_course_id UUID,
+    p_query TEXT,
+    p_language_code VARCHAR DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    lecture_id UUID,
+    language_code VARCHAR,
+    start_seconds DECIMAL,
+    end_seconds DECIMAL,
+    text TEXT,
+    rank REAL
+) AS $$
+    SELECT c.lecture_id, c.language_code, c.start_seconds, c.end_seconds, c.text,
+           ts_rank(c.search_vector, plainto_tsquery('simple', p_query))
+    FROM lecture_transcript_cues c
+    JOIN lectures l ON l.id = c.lecture_id
+    JOIN chapters ch ON ch.id = l.chapter_id
+    WHERE ch.course_id = p_course_id
+      AND (p_language_code IS NULL OR c.language_code = p_language_code)
+      AND c.search_vector @@ plainto_tsquery('simple', p_query)
+    ORDER BY 6 DESC, c.lecture_id, c.start_seconds
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,36 @@
+-- Payment state machine: created -> authorized -> captured -> refunded, with failed
+-- reachable before capture. Existing rows move from pending/success to created/captured.
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+
+UPDATE payments SET status = 'created' WHERE status = 'pending';
+UPDATE payments SET status = 'captured' WHERE status = 'success';
+
+ALTER TABLE payments
+    ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('created', 'authorized', 'captured', 'failed', 'refunded'));
+
+ALTER TABLE payments ALTER COLUMN status SET DEFAULT 'created';
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+    ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMP;
+
+-- One payment row per Razorpay order; processing is idempotent on this key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_razorpay_order_id
+    ON payments(razorpay_order_id)
+    WHERE razorpay_order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_status_created_at ON payments(status, created_at);
+
+-- Enrollments an admin deleted, per course; reconciliation doesn't re-create them
+-- from payments captured before the removal
+CREATE TABLE IF NOT EXISTS enrollment_removals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    removed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrollment_removals_student_course ON enrollment_removals(student_id, course_id);
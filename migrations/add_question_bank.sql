@@ -0,0 +1,56 @@
+-- Create question_bank table (reusable, typed questions per course)
+CREATE TABLE IF NOT EXISTS question_bank (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    question_type VARCHAR(20) NOT NULL DEFAULT 'single_choice'
+        CHECK (question_type IN ('single_choice', 'multiple_choice', 'true_false', 'numeric', 'short_text', 'ordering')),
+    question_text TEXT NOT NULL,
+    options JSONB DEFAULT '[]'::JSONB,
+    answer_key JSONB NOT NULL,
+    tolerance DECIMAL(12, 4) DEFAULT 0,
+    partial_credit BOOLEAN DEFAULT true,
+    marks DECIMAL(6, 2) NOT NULL DEFAULT 1 CHECK (marks > 0),
+    explanation TEXT,
+    tags TEXT[] DEFAULT ARRAY[]::TEXT[],
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_question_bank_course_id ON question_bank(course_id);
+CREATE INDEX idx_question_bank_type ON question_bank(question_type);
+
+CREATE OR REPLACE FUNCTION update_question_bank_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_question_bank_updated_at
+    BEFORE UPDATE ON question_bank
+    FOR EACH ROW
+    EXECUTE FUNCTION update_question_bank_updated_at();
+
+-- Typed questions on quizzes. Legacy rows keep option_a..option_d/correct_answer
+-- and are treated as single_choice questions.
+ALTER TABLE quiz_questions
+    ADD COLUMN IF NOT EXISTS question_type VARCHAR(20) DEFAULT 'single_choice'
+        CHECK (question_type IN ('single_choice', 'multiple_choice', 'true_false', 'numeric', 'short_text', 'ordering')),
+    ADD COLUMN IF NOT EXISTS options JSONB,
+    ADD COLUMN IF NOT EXISTS answer_key JSONB,
+    ADD COLUMN IF NOT EXISTS tolerance DECIMAL(12, 4) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS partial_credit BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS explanation TEXT,
+    ADD COLUMN IF NOT EXISTS bank_question_id UUID REFERENCES question_bank(id) ON DELETE SET NULL;
+
+ALTER TABLE quiz_questions ALTER COLUMN option_a DROP NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN option_b DROP NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN option_c DROP NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN option_d DROP NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN correct_answer DROP NOT NULL;
+
+-- Fractional scores are possible with partial credit
+ALTER TABLE quiz_questions ALTER COLUMN marks TYPE DECIMAL(6, 2);
+ALTER TABLE quiz_attempts ALTER COLUMN score TYPE DECIMAL(8, 2);
@@ -0,0 +1,9 @@
+-- Per-quiz attempt policies
+ALTER TABLE quizzes
+    ADD COLUMN IF NOT EXISTS max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0),
+    ADD COLUMN IF NOT EXISTS cooldown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (cooldown_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS score_policy VARCHAR(20) NOT NULL DEFAULT 'best'
+        CHECK (score_policy IN ('best', 'latest', 'average')),
+    ADD COLUMN IF NOT EXISTS reveal_answers VARCHAR(30) NOT NULL DEFAULT 'immediately'
+        CHECK (reveal_answers IN ('immediately', 'after_final_attempt', 'after_close')),
+    ADD COLUMN IF NOT EXISTS closes_at TIMESTAMP;
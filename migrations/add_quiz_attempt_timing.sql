@@ -0,0 +1,26 @@
+-- Server-enforced quiz attempts: an attempt is started, autosaved, then submitted
+ALTER TABLE quiz_attempts
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'submitted'
+        CHECK (status IN ('in_progress', 'submitted')),
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_saved_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS auto_submitted BOOLEAN DEFAULT false;
+
+-- Attempts created before this migration never wrote started_at; the default is set
+-- only after the backfill so existing rows are not stamped with the migration time
+UPDATE quiz_attempts SET started_at = submitted_at WHERE started_at IS NULL;
+
+ALTER TABLE quiz_attempts ALTER COLUMN started_at SET DEFAULT CURRENT_TIMESTAMP;
+
+-- In-progress attempts have no score yet
+ALTER TABLE quiz_attempts ALTER COLUMN score DROP NOT NULL;
+ALTER TABLE quiz_attempts ALTER COLUMN passed DROP NOT NULL;
+ALTER TABLE quiz_attempts ALTER COLUMN submitted_at DROP NOT NULL;
+
+-- Only one open attempt per student per quiz
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_attempts_one_in_progress
+    ON quiz_attempts(quiz_id, student_id)
+    WHERE status = 'in_progress';
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_student_quiz ON quiz_attempts(student_id, quiz_id);
@@ -0,0 +1,10 @@
+-- Per-attempt question pools and shuffling
+ALTER TABLE quizzes
+    ADD COLUMN IF NOT EXISTS questions_per_attempt INTEGER CHECK (questions_per_attempt IS NULL OR questions_per_attempt > 0),
+    ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN NOT NULL DEFAULT false;
+
+-- The seed and drawn questions are stored so review and grading see the same paper
+ALTER TABLE quiz_attempts
+    ADD COLUMN IF NOT EXISTS shuffle_seed INTEGER,
+    ADD COLUMN IF NOT EXISTS question_ids UUID[];
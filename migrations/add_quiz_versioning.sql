@@ -0,0 +1,21 @@
+-- Quiz versioning: every change to questions or answer keys bumps quizzes.version.
+-- Attempts remember the version they were taken against and are graded with that
+-- version's snapshot until a teacher explicitly regrades them.
+ALTER TABLE quizzes
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE quiz_attempts
+    ADD COLUMN IF NOT EXISTS quiz_version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS regraded_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS quiz_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id UUID NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    questions JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (quiz_id, version)
+);
+
+CREATE INDEX idx_quiz_versions_quiz_id ON quiz_versions(quiz_id);
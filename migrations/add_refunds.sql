@@ -0,0 +1,52 @@
+-- Refunds issued through Razorpay (or recorded for offline payments).
+-- A payment can have several partial refunds; payments.refunded_amount is their running total.
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    razorpay_refund_id VARCHAR(255) UNIQUE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processed', 'failed')),
+    reason TEXT,
+    -- What happens to the enrollment once the payment is fully refunded
+    enrollment_action VARCHAR(20) NOT NULL DEFAULT 'revoke'
+        CHECK (enrollment_action IN ('revoke', 'shorten', 'none')),
+    valid_days INTEGER CHECK (valid_days IS NULL OR valid_days >= 0),
+    initiated_by UUID REFERENCES users(id),
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refunds_payment_id ON refunds(payment_id);
+
+CREATE OR REPLACE FUNCTION update_refunds_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_refunds_updated_at
+    BEFORE UPDATE ON refunds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_refunds_updated_at();
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+    ADD CONSTRAINT payments_status_check CHECK (status IN ('pending', 'success', 'failed', 'refunded'));
+
+-- Reverse a coupon use when its payment is refunded
+CREATE OR REPLACE FUNCTION decrement_coupon_usage(coupon_id UUID)
+RETURNS void AS $$
+BEGIN
+    UPDATE coupons
+    SET usage_count = GREATEST(usage_count - 1, 0)
+    WHERE id = coupon_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,31 @@
+-- Active video streams, kept alive by player heartbeats
+CREATE TABLE IF NOT EXISTS stream_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lecture_id UUID NOT NULL REFERENCES lectures(id) ON DELETE CASCADE,
+    device_id VARCHAR(255),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
+CREATE INDEX idx_stream_sessions_user_open ON stream_sessions(user_id, last_seen_at) WHERE ended_at IS NULL;
+
+-- Accounts flagged for streaming abuse; an unresolved flag with throttled_until in
+-- the future blocks new streams
+CREATE TABLE IF NOT EXISTS streaming_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(50) NOT NULL CHECK (reason IN ('hourly_limit', 'concurrent_limit', 'sequential_fetching')),
+    details JSONB DEFAULT '{}'::JSONB,
+    throttled_until TIMESTAMP,
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_streaming_flags_user_id ON streaming_flags(user_id);
+CREATE INDEX idx_streaming_flags_open ON streaming_flags(created_at DESC) WHERE resolved_at IS NULL;
+
+-- Hourly quota counts deliveries per student
+CREATE INDEX IF NOT EXISTS idx_content_deliveries_user_created ON content_deliveries(user_id, created_at DESC);
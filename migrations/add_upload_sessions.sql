@@ -0,0 +1,37 @@
+-- Resumable uploads (S3 multipart with presigned part URLs)
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lecture_id UUID REFERENCES lectures(id) ON DELETE SET NULL,
+    file_key TEXT NOT NULL,
+    upload_id TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type VARCHAR(255),
+    file_size BIGINT NOT NULL CHECK (file_size > 0),
+    part_size INTEGER NOT NULL,
+    total_parts INTEGER NOT NULL,
+    -- Parts confirmed in storage: [{ partNumber, etag, size }]
+    parts JSONB DEFAULT '[]'::JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading'
+        CHECK (status IN ('uploading', 'completed', 'aborted')),
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_upload_sessions_user_id ON upload_sessions(user_id);
+CREATE INDEX idx_upload_sessions_status ON upload_sessions(status);
+
+CREATE OR REPLACE FUNCTION update_upload_sessions_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_upload_sessions_updated_at
+    BEFORE UPDATE ON upload_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_upload_sessions_updated_at();
@@ -0,0 +1,9 @@
+-- Server-verified watch time. Video lectures complete only from merged heartbeat
+-- segments; watched_segments holds sorted, non-overlapping [start, end] pairs in seconds.
+ALTER TABLE lecture_progress
+    ADD COLUMN IF NOT EXISTS watched_segments JSONB DEFAULT '[]'::JSONB,
+    ADD COLUMN IF NOT EXISTS watched_seconds DECIMAL(10, 2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMP,
+    -- Current viewing session: reported watch time is budgeted against its wall-clock length
+    ADD COLUMN IF NOT EXISTS watch_session_started_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS watch_session_seconds DECIMAL(10, 2) DEFAULT 0;
@@ -4,6 +4,10 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { config } from './src/config/config.js';
 import { errorHandler } from './src/middlewares/error.middleware.js';
+import storageGcService from './src/services/storageGc.service.js';
+import paymentService from './src/services/payment.service.js';
+import installmentService from './src/services/installment.service.js';
+import transcodingService from './src/services/transcoding.service.js';
 
 // Import routes
 import authRoutes from './src/routes/auth.routes.js';
@@ -22,6 +26,10 @@ import deviceRoutes from './src/routes/device.routes.js';
 import courseRequestRoutes from './src/routes/courseRequest.routes.js';
 import couponRoutes from './src/routes/coupon.routes.js';
 import seoRoutes from './src/routes/seo.routes.js';
+import questionBankRoutes from './src/routes/questionBank.routes.js';
+import storageRoutes from './src/routes/storage.routes.js';
+import installmentRoutes from './src/routes/installment.routes.js';
+import bundleRoutes from './src/routes/bundle.routes.js';
 
 const app = express();
 
@@ -57,7 +65,9 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID'],
+    // Multipart upload clients read each part's ETag
+    exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -101,6 +111,10 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/course-requests', courseRequestRoutes);
 app.use('/api/coupons', couponRoutes);
 app.use('/api/seo', seoRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/installments', installmentRoutes);
+app.use('/api/bundles', bundleRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -124,6 +138,11 @@ app.listen(PORT, () => {
         ? `https://your-backend.onrender.com/health (Update this URL after deployment)`
         : `http://localhost:${PORT}/health`;
     console.log(`🔗 Health check: ${healthUrl}`);
+
+    storageGcService.startSchedule();
+    paymentService.startReconciliationSchedule();
+    installmentService.startReminderSchedule();
+    transcodingService.resumeInterrupted().catch(error => console.error('Transcode resume error:', error.message));
 });
 
 
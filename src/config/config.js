@@ -32,6 +32,32 @@ export const config = {
         bucketId: process.env.B2_BUCKET_ID,
         bucketName: process.env.B2_BUCKET_NAME,
         endpoint: process.env.B2_ENDPOINT,
+        // Must match the bucket location
+        region: process.env.B2_REGION || 'ca-east-006',
+    },
+
+    // File storage driver: b2 | s3 | minio | local
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'b2',
+        s3: {
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION || 'us-east-1',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            bucketName: process.env.S3_BUCKET,
+        },
+        minio: {
+            endpoint: process.env.MINIO_ENDPOINT || 'http://localhost:9000',
+            region: process.env.MINIO_REGION || 'us-east-1',
+            accessKeyId: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+            secretAccessKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+            bucketName: process.env.MINIO_BUCKET || 'as-academy',
+        },
+        local: {
+            rootDir: process.env.LOCAL_STORAGE_DIR || './storage',
+            // Signed URLs point back at this API
+            publicUrl: process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+        },
     },
 
     // CloudFront
@@ -58,6 +84,101 @@ export const config = {
         model: process.env.AI_MODEL || 'gpt-3.5-turbo',
     },
 
+    // Quizzes
+    quiz: {
+        // Extra time accepted after an attempt's deadline to absorb network latency
+        gracePeriodSeconds: parseInt(process.env.QUIZ_GRACE_PERIOD_SECONDS) || 30,
+    },
+
+    // Video watch tracking
+    watchProgress: {
+        // Share of a video's duration that must actually be watched to complete it
+        completionThreshold: parseFloat(process.env.WATCH_COMPLETION_THRESHOLD) || 0.9,
+        // Fastest playback speed the player offers
+        maxPlaybackRate: parseFloat(process.env.WATCH_MAX_PLAYBACK_RATE) || 2,
+        // Longest gap between heartbeats within one viewing session
+        maxHeartbeatIntervalSeconds: parseInt(process.env.WATCH_MAX_HEARTBEAT_INTERVAL_SECONDS) || 60,
+        // Slack for clock jitter and segment rounding
+        toleranceSeconds: parseInt(process.env.WATCH_TOLERANCE_SECONDS) || 5,
+    },
+
+    // HLS transcoding and playback
+    hls: {
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+        segmentSeconds: 6,
+        spriteIntervalSeconds: 10,
+        // Lifetime of a playback token and of the segment URLs in its playlists
+        playbackExpirySeconds: parseInt(process.env.HLS_PLAYBACK_EXPIRY_SECONDS) || 3 * 60 * 60,
+        // Public base URL of this API, used to build manifest URLs for players
+        playbackBaseUrl: process.env.API_PUBLIC_URL || '',
+    },
+
+    // Resumable uploads
+    upload: {
+        partSizeBytes: (parseInt(process.env.UPLOAD_PART_SIZE_MB) || 16) * 1024 * 1024, // S3 minimum is 5MB
+        maxFileSizeBytes: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_GB) || 20) * 1024 * 1024 * 1024,
+        partUrlExpirySeconds: 60 * 60,
+        sessionTtlHours: 48,
+    },
+
+    // Per-student streaming limits
+    streamingLimits: {
+        signedUrlsPerHour: parseInt(process.env.STREAM_URLS_PER_HOUR) || 60,
+        maxConcurrentStreams: parseInt(process.env.STREAM_MAX_CONCURRENT) || 2,
+        // A stream without a heartbeat for this long no longer counts as active
+        sessionTimeoutSeconds: 120,
+        // Fetching this many lectures of a course in order within the window looks like scraping
+        sequentialLectureThreshold: parseInt(process.env.STREAM_SEQUENTIAL_THRESHOLD) || 10,
+        sequentialWindowMinutes: 30,
+        throttleMinutes: parseInt(process.env.STREAM_THROTTLE_MINUTES) || 60,
+    },
+
+    // Razorpay reconciliation of payments stuck before capture
+    paymentReconciliation: {
+        // Orders younger than this may still be completing in the browser
+        staleMinutes: parseInt(process.env.PAYMENT_RECONCILE_STALE_MINUTES) || 15,
+        lookbackDays: 7,
+        // Orders with no payment attempt after this long are marked failed
+        orderExpiryHours: 24,
+        // Scheduled run interval; 0 disables the schedule
+        intervalMinutes: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 0,
+    },
+
+    // Installment plans
+    installments: {
+        // Days an installment may stay unpaid past its due date before course access is blocked
+        graceDays: parseInt(process.env.INSTALLMENT_GRACE_DAYS) || 7,
+        // Reminder goes out this many days before the due date
+        reminderDaysBefore: parseInt(process.env.INSTALLMENT_REMINDER_DAYS_BEFORE) || 3,
+        // Scheduled reminder run interval; 0 disables the schedule
+        reminderIntervalHours: parseInt(process.env.INSTALLMENT_REMINDER_INTERVAL_HOURS) || 0,
+    },
+
+    // GST tax invoices
+    invoice: {
+        companyName: process.env.INVOICE_COMPANY_NAME || 'AS Academy',
+        address: process.env.INVOICE_COMPANY_ADDRESS || '',
+        gstin: process.env.INVOICE_GSTIN || '',
+        // GST state code of the registered place of business (first two digits of the GSTIN)
+        stateCode: process.env.INVOICE_STATE_CODE || (process.env.INVOICE_GSTIN || '').substring(0, 2),
+        // Short prefix of the invoice number; the full number may not exceed 16 characters
+        numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'ASA',
+        sacCode: process.env.INVOICE_SAC_CODE || '999293', // Commercial training and coaching services
+        // Course prices already include GST
+        gstRate: parseFloat(process.env.INVOICE_GST_RATE) || 18,
+    },
+
+    // Orphaned file garbage collection
+    storageGc: {
+        // Unreferenced objects younger than this are never deleted (uploads not yet attached, transcodes in flight)
+        graceHours: parseInt(process.env.STORAGE_GC_GRACE_HOURS) || 72,
+        // Scheduled run interval; 0 disables the schedule
+        intervalHours: parseInt(process.env.STORAGE_GC_INTERVAL_HOURS) || 0,
+        // Scheduled runs only report unless explicitly allowed to delete
+        dryRun: process.env.STORAGE_GC_DRY_RUN !== 'false',
+    },
+
     // Frontend URL - MUST be set in production
     frontendUrl: process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'),
 
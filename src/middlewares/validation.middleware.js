@@ -1,5 +1,6 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { AppError } from './error.middleware.js';
+import gst from '../utils/gst.js';
 
 // Validation result handler
 export const validate = (req, res, next) => {
@@ -36,6 +37,10 @@ export const registerValidation = [
     body('semester')
         .optional()
         .trim(),
+    body('state_code')
+        .optional()
+        .trim()
+        .custom(value => gst.isValidStateCode(value)).withMessage('Please provide a valid two-digit GST state code'),
     validate
 ];
 
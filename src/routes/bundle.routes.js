@@ -0,0 +1,61 @@
+import { Router } from 'express';
+import bundleService from '../services/bundle.service.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { authenticate, optionalAuth } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Get all bundles (public with optional auth; inactive bundles for admins only)
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+    const bundles = await bundleService.getBundles(req.user?.role === 'admin');
+
+    res.json({
+        success: true,
+        data: bundles
+    });
+}));
+
+// Get bundle by ID (public with optional auth)
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+    const bundle = await bundleService.getBundleById(req.params.id, req.user?.role === 'admin');
+
+    res.json({
+        success: true,
+        data: bundle
+    });
+}));
+
+// Create bundle (admin only)
+router.post('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const bundle = await bundleService.createBundle(req.body, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Bundle created successfully',
+        data: bundle
+    });
+}));
+
+// Update bundle (admin only)
+router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const bundle = await bundleService.updateBundle(req.params.id, req.body, req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Bundle updated successfully',
+        data: bundle
+    });
+}));
+
+// Delete bundle (admin only)
+router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const result = await bundleService.deleteBundle(req.params.id, req.user.id);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import certificateService from '../services/certificate.service.js';
+import completionService from '../services/completion.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { isStudent } from '../middlewares/rbac.middleware.js';
@@ -10,6 +11,8 @@ const router = Router();
 router.post('/generate', authenticate, isStudent, asyncHandler(async (req, res) => {
     const { courseId } = req.body;
 
+    await completionService.assertEligible(req.user.id, courseId);
+
     const certificate = await certificateService.generateCertificate(req.user.id, courseId);
 
     res.json({
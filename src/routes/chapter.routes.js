@@ -1,8 +1,9 @@
 import { Router } from 'express';
 import chapterService from '../services/chapter.service.js';
+import completionService from '../services/completion.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { isTeacherOrAdmin } from '../middlewares/rbac.middleware.js';
+import { isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
 import { createChapterValidation } from '../middlewares/validation.middleware.js';
 
 const router = Router();
@@ -27,6 +28,16 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+// Check whether a chapter is unlocked for the student
+router.get('/:id/access', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const access = await completionService.getChapterAccess(req.user.id, req.params.id);
+
+    res.json({
+        success: true,
+        data: access
+    });
+}));
+
 // Create chapter (teacher or admin)
 router.post('/', authenticate, isTeacherOrAdmin, createChapterValidation, asyncHandler(async (req, res) => {
     const chapter = await chapterService.createChapter(req.body);
@@ -78,24 +78,31 @@ router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 
 // Validate coupon (student)
 router.post('/validate', authenticate, asyncHandler(async (req, res) => {
-    const { code, courseId } = req.body;
+    const { code, courseId, bundleId } = req.body;
 
-    if (!code || !courseId) {
+    if (!code || (!courseId && !bundleId)) {
         return res.status(400).json({
             success: false,
-            message: 'Coupon code and course ID are required',
+            message: 'Coupon code and course or bundle ID are required',
         });
     }
 
-    const coupon = await couponService.validateCoupon(code, courseId, req.user.id);
+    const coupon = await couponService.validateCoupon(code, courseId, req.user.id, bundleId);
 
-    // Get course price to calculate discount
+    // Get course or bundle price to calculate discount
     const { data: course } = await supabase
-        .from('courses')
+        .from(bundleId ? 'course_bundles' : 'courses')
         .select('price')
-        .eq('id', courseId)
+        .eq('id', bundleId || courseId)
         .single();
 
+    if (!course) {
+        return res.status(404).json({
+            success: false,
+            message: bundleId ? 'Bundle not found' : 'Course not found',
+        });
+    }
+
     const discountAmount = couponService.calculateDiscount(coupon, course.price);
     const finalAmount = course.price - discountAmount;
 
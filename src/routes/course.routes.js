@@ -1,8 +1,10 @@
 import { Router } from 'express';
 import courseService from '../services/course.service.js';
+import completionService from '../services/completion.service.js';
+import subtitleService from '../services/subtitle.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate, optionalAuth } from '../middlewares/auth.middleware.js';
-import { isAdmin, isTeacherOrAdmin } from '../middlewares/rbac.middleware.js';
+import { isAdmin, isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
 import { createCourseValidation, paginationValidation } from '../middlewares/validation.middleware.js';
 
 const router = Router();
@@ -75,6 +77,49 @@ router.get('/:id/stats', authenticate, isTeacherOrAdmin, asyncHandler(async (req
     });
 }));
 
+// Get course completion rules (teacher or admin)
+router.get('/:id/completion-rules', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const rules = await completionService.getRules(req.params.id);
+
+    res.json({
+        success: true,
+        data: rules
+    });
+}));
+
+// Update course completion rules (teacher or admin)
+router.put('/:id/completion-rules', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const rules = await completionService.updateRules(req.params.id, req.body);
+
+    res.json({
+        success: true,
+        message: 'Completion rules updated successfully',
+        data: rules
+    });
+}));
+
+// Get student's progress against the completion rules
+router.get('/:id/completion', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const completion = await completionService.evaluateCompletion(req.user.id, req.params.id);
+
+    res.json({
+        success: true,
+        data: completion
+    });
+}));
+
+// Search lecture transcripts and jump to the matching timestamps
+router.get('/:id/transcript-search', authenticate, asyncHandler(async (req, res) => {
+    const { q, language, limit } = req.query;
+
+    const results = await subtitleService.searchTranscripts(req.params.id, req.user, { q, language, limit });
+
+    res.json({
+        success: true,
+        data: results
+    });
+}));
+
 // Get courses by teacher
 router.get('/teacher/:teacherId', authenticate, asyncHandler(async (req, res) => {
     const courses = await courseService.getCoursesByTeacher(req.params.teacherId);
@@ -6,6 +6,16 @@ import { isAdmin, isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middle
 
 const router = Router();
 
+// Get "continue learning" feed for the logged-in student
+router.get('/continue-learning', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const feed = await enrollmentService.getContinueLearning(req.user.id);
+
+    res.json({
+        success: true,
+        data: feed
+    });
+}));
+
 // Get student enrollments
 router.get('/student/:studentId', authenticate, asyncHandler(async (req, res) => {
     const enrollments = await enrollmentService.getStudentEnrollments(req.params.studentId);
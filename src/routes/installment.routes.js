@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import installmentService from '../services/installment.service.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin, isStudent } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Get installment plans of a course (inactive plans for admins only)
+router.get('/course/:courseId/plans', authenticate, asyncHandler(async (req, res) => {
+    const plans = await installmentService.getPlans(req.params.courseId, req.user.role === 'admin');
+
+    res.json({
+        success: true,
+        data: plans
+    });
+}));
+
+// Create installment plan (admin only)
+router.post('/course/:courseId/plans', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const plan = await installmentService.createPlan(req.params.courseId, req.body, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Installment plan created successfully',
+        data: plan
+    });
+}));
+
+// Update or deactivate installment plan (admin only)
+router.put('/plans/:planId', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const plan = await installmentService.updatePlan(req.params.planId, req.body, req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Installment plan updated successfully',
+        data: plan
+    });
+}));
+
+// Get my installment schedule (student)
+router.get('/my', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const installments = await installmentService.getStudentInstallments(req.user.id, req.query.courseId);
+
+    res.json({
+        success: true,
+        data: installments
+    });
+}));
+
+// Get a student's installment schedule (admin only)
+router.get('/student/:studentId', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const installments = await installmentService.getStudentInstallments(req.params.studentId, req.query.courseId);
+
+    res.json({
+        success: true,
+        data: installments
+    });
+}));
+
+// Send due installment reminders now (admin only)
+router.post('/admin/send-reminders', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const summary = await installmentService.sendReminders();
+
+    res.json({
+        success: true,
+        message: `Sent ${summary.sent} reminder(s)`,
+        data: summary
+    });
+}));
+
+// Waive a pending installment (admin only)
+router.post('/:installmentId/waive', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const installment = await installmentService.waiveInstallment(req.params.installmentId, req.body.reason, req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Installment waived successfully',
+        data: installment
+    });
+}));
+
+export default router;
@@ -1,5 +1,8 @@
 import { Router } from 'express';
+import multer from 'multer';
 import lectureService from '../services/lecture.service.js';
+import lectureResourceService from '../services/lectureResource.service.js';
+import subtitleService from '../services/subtitle.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
@@ -7,6 +10,14 @@ import { createLectureValidation } from '../middlewares/validation.middleware.js
 
 const router = Router();
 
+// Subtitle files are small text files
+const subtitleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    }
+});
+
 // Get lectures by chapter
 router.get('/chapter/:chapterId', authenticate, asyncHandler(async (req, res) => {
     const lectures = await lectureService.getLecturesByChapter(req.params.chapterId);
@@ -92,6 +103,110 @@ router.post('/:id/progress', authenticate, isStudent, asyncHandler(async (req, r
     });
 }));
 
+// Record watched segments from the video player (student)
+router.post('/:id/heartbeat', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const { segments, position } = req.body;
+
+    const progress = await lectureService.recordHeartbeat(req.user.id, req.params.id, { segments, position });
+
+    res.json({
+        success: true,
+        data: progress
+    });
+}));
+
+// Get lecture resources (students see lock state, staff see file locations)
+router.get('/:id/resources', authenticate, asyncHandler(async (req, res) => {
+    const resources = await lectureResourceService.getResources(req.params.id, req.user);
+
+    res.json({
+        success: true,
+        data: resources
+    });
+}));
+
+// Add a resource to a lecture (teacher or admin)
+router.post('/:id/resources', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const resource = await lectureResourceService.createResource(req.params.id, req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Resource added successfully',
+        data: resource
+    });
+}));
+
+// Reorder lecture resources (teacher or admin)
+router.post('/:id/resources/reorder', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const { resourceOrders } = req.body;
+
+    const result = await lectureResourceService.reorderResources(req.params.id, resourceOrders);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+// Update lecture resource (teacher or admin)
+router.put('/resources/:resourceId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const resource = await lectureResourceService.updateResource(req.params.resourceId, req.body);
+
+    res.json({
+        success: true,
+        message: 'Resource updated successfully',
+        data: resource
+    });
+}));
+
+// Delete lecture resource (teacher or admin)
+router.delete('/resources/:resourceId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await lectureResourceService.deleteResource(req.params.resourceId);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+// Get lecture subtitle tracks (teacher or admin)
+router.get('/:id/subtitles', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const subtitles = await subtitleService.getSubtitles(req.params.id);
+
+    res.json({
+        success: true,
+        data: subtitles
+    });
+}));
+
+// Upload a WebVTT/SRT subtitle track; replaces the existing track for the language (teacher or admin)
+router.post('/:id/subtitles', authenticate, isTeacherOrAdmin, subtitleUpload.single('file'), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'No file uploaded'
+        });
+    }
+
+    const subtitle = await subtitleService.uploadSubtitle(req.params.id, req.file, req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Subtitle track uploaded successfully',
+        data: subtitle
+    });
+}));
+
+// Delete subtitle track (teacher or admin)
+router.delete('/subtitles/:subtitleId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await subtitleService.deleteSubtitle(req.params.subtitleId);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
 // Transfer lectures to another chapter (admin only)
 router.post('/transfer', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
     const { lecture_ids, target_chapter_id } = req.body;
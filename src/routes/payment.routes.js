@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import paymentService from '../services/payment.service.js';
+import refundService from '../services/refund.service.js';
+import invoiceService from '../services/invoice.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { isAdmin, isStudent } from '../middlewares/rbac.middleware.js';
@@ -9,9 +11,9 @@ const router = Router();
 
 // Create Razorpay order (student)
 router.post('/create-order', authenticate, isStudent, asyncHandler(async (req, res) => {
-    const { courseId, couponCode } = req.body;
+    const { courseId, bundleId, couponCode, installmentPlanId, installmentId } = req.body;
 
-    const order = await paymentService.createOrder(req.user.id, courseId, couponCode);
+    const order = await paymentService.createOrder(req.user.id, courseId, couponCode, { installmentPlanId, installmentId, bundleId });
 
     res.json({
         success: true,
@@ -49,12 +51,13 @@ router.post('/offline-enroll', authenticate, isAdmin, asyncHandler(async (req, r
 
 // Get payment history
 router.get('/history', authenticate, paginationValidation, asyncHandler(async (req, res) => {
-    const { studentId, courseId, status, paymentMethod, page = 1, limit = 50 } = req.query;
+    const { studentId, courseId, bundleId, status, paymentMethod, page = 1, limit = 50 } = req.query;
 
     // Students can only see their own payments
     const filters = {
         studentId: req.user.role === 'student' ? req.user.id : studentId,
         courseId,
+        bundleId,
         status,
         paymentMethod
     };
@@ -109,9 +112,9 @@ router.get('/analytics/by-course', authenticate, isAdmin, asyncHandler(async (re
 
 // Get filtered payments (admin only)
 router.get('/filtered', authenticate, isAdmin, paginationValidation, asyncHandler(async (req, res) => {
-    const { month, courseId, paymentMethod, status, page = 1, limit = 50 } = req.query;
+    const { month, courseId, bundleId, paymentMethod, status, page = 1, limit = 50 } = req.query;
 
-    const filters = { month, courseId, paymentMethod, status };
+    const filters = { month, courseId, bundleId, paymentMethod, status };
     const result = await paymentService.getFilteredPayments(filters, parseInt(page), parseInt(limit));
 
     res.json({
@@ -120,6 +123,54 @@ router.get('/filtered', authenticate, isAdmin, paginationValidation, asyncHandle
     });
 }));
 
+// Reconcile stale payments with Razorpay and repair missing enrollments (admin only)
+router.post('/admin/reconcile', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const summary = await paymentService.reconcilePayments();
+
+    res.json({
+        success: true,
+        message: `Reconciled ${summary.checked} payment(s)`,
+        data: summary
+    });
+}));
+
+// Refund a payment, fully or partially (admin only)
+router.post('/:paymentId/refund', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const { amount, reason, enrollment_action, valid_days } = req.body;
+
+    const result = await refundService.refundPayment(
+        req.params.paymentId,
+        { amount, reason, enrollment_action, valid_days },
+        req.user.id
+    );
+
+    res.json({
+        success: true,
+        message: 'Refund issued successfully',
+        data: result
+    });
+}));
+
+// Get refunds of a payment (admin only)
+router.get('/:paymentId/refunds', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const refunds = await refundService.getRefunds(req.params.paymentId);
+
+    res.json({
+        success: true,
+        data: refunds
+    });
+}));
+
+// Get tax invoice download URL (own payment or admin)
+router.get('/:paymentId/invoice', authenticate, asyncHandler(async (req, res) => {
+    const invoice = await invoiceService.getInvoiceUrl(req.params.paymentId, req.user);
+
+    res.json({
+        success: true,
+        data: invoice
+    });
+}));
+
 // Razorpay webhook
 router.post('/webhook', asyncHandler(async (req, res) => {
     const signature = req.headers['x-razorpay-signature'];
@@ -0,0 +1,63 @@
+import { Router } from 'express';
+import questionBankService from '../services/questionBank.service.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isTeacherOrAdmin } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Get bank questions for a course (teacher or admin)
+router.get('/course/:courseId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const { type, tag, search } = req.query;
+
+    const questions = await questionBankService.getQuestionsByCourse(req.params.courseId, { type, tag, search });
+
+    res.json({
+        success: true,
+        data: questions
+    });
+}));
+
+// Get bank question by ID (teacher or admin)
+router.get('/:id', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const question = await questionBankService.getQuestionById(req.params.id);
+
+    res.json({
+        success: true,
+        data: question
+    });
+}));
+
+// Create bank question (teacher or admin)
+router.post('/', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const question = await questionBankService.createQuestion(req.body, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Question created successfully',
+        data: question
+    });
+}));
+
+// Update bank question (teacher or admin)
+router.put('/:id', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const question = await questionBankService.updateQuestion(req.params.id, req.body);
+
+    res.json({
+        success: true,
+        message: 'Question updated successfully',
+        data: question
+    });
+}));
+
+// Delete bank question (teacher or admin)
+router.delete('/:id', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await questionBankService.deleteQuestion(req.params.id);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+export default router;
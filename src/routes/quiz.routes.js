@@ -1,11 +1,42 @@
 import { Router } from 'express';
+import multer from 'multer';
 import quizService from '../services/quiz.service.js';
+import quizImportService from '../services/quizImport.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
 
 const router = Router();
 
+// Quiz import files are small text/zip documents
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB max file size
+    }
+});
+
+// Preview a CSV/GIFT/QTI import with per-row errors (teacher or admin)
+router.post('/import/preview', authenticate, isTeacherOrAdmin, upload.single('file'), asyncHandler(async (req, res) => {
+    const preview = quizImportService.previewImport(req.file, req.body.format);
+
+    res.json({
+        success: true,
+        data: preview
+    });
+}));
+
+// Commit previewed questions to the question bank or a new quiz (teacher or admin)
+router.post('/import/commit', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await quizImportService.commitImport(req.body, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        message: `${result.imported} question(s) imported successfully`,
+        data: result
+    });
+}));
+
 // Get quizzes by course
 router.get('/course/:courseId', authenticate, asyncHandler(async (req, res) => {
     const quizzes = await quizService.getQuizzesByCourse(req.params.courseId);
@@ -19,9 +50,9 @@ router.get('/course/:courseId', authenticate, asyncHandler(async (req, res) => {
 // Get quiz by ID
 router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     // Teachers and admins can see answers, students cannot
-    const includeAnswers = req.user.role !== 'student';
-
-    const quiz = await quizService.getQuizById(req.params.id, includeAnswers);
+    const quiz = req.user.role === 'student'
+        ? await quizService.getQuizForStudent(req.params.id)
+        : await quizService.getQuizById(req.params.id, true);
 
     res.json({
         success: true,
@@ -40,19 +71,86 @@ router.post('/', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) =
     });
 }));
 
+// Start quiz attempt (student)
+router.post('/:id/start', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const session = await quizService.startAttempt(req.params.id, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Quiz attempt started',
+        data: session
+    });
+}));
+
+// Get own attempt (student) - resumes an open attempt
+router.get('/attempts/:attemptId', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const result = await quizService.getAttempt(req.params.attemptId, req.user.id);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+// Autosave answers (student)
+router.put('/attempts/:attemptId/answers', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const { answers } = req.body;
+
+    const result = await quizService.saveAnswers(req.params.attemptId, req.user.id, answers);
+
+    res.json({
+        success: true,
+        message: 'Answers saved',
+        data: result
+    });
+}));
+
 // Submit quiz (student)
 router.post('/:id/submit', authenticate, isStudent, asyncHandler(async (req, res) => {
-    const { answers } = req.body;
+    const { answers, attemptId } = req.body;
+
+    const result = await quizService.submitQuiz(req.params.id, req.user.id, answers, attemptId);
+
+    res.json({
+        success: true,
+        message: result.autoSubmitted
+            ? 'Time was up. Your last saved answers were submitted.'
+            : 'Quiz submitted successfully',
+        data: result
+    });
+}));
 
-    const result = await quizService.submitQuiz(req.params.id, req.user.id, answers);
+// Get own result under the quiz's score policy (student)
+router.get('/:id/result', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const result = await quizService.getQuizResult(req.params.id, req.user.id);
 
     res.json({
         success: true,
-        message: 'Quiz submitted successfully',
         data: result
     });
 }));
 
+// Export quiz as CSV, GIFT or QTI (teacher or admin)
+router.get('/:id/export', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const { format = 'csv' } = req.query;
+
+    const file = await quizImportService.exportQuiz(req.params.id, format.toLowerCase());
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+}));
+
+// Item analysis report (teacher or admin)
+router.get('/:id/analytics', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const analytics = await quizService.getQuizAnalytics(req.params.id);
+
+    res.json({
+        success: true,
+        data: analytics
+    });
+}));
+
 // Get student attempts
 router.get('/student/:studentId/attempts', authenticate, asyncHandler(async (req, res) => {
     const { quizId } = req.query;
@@ -65,6 +163,79 @@ router.get('/student/:studentId/attempts', authenticate, asyncHandler(async (req
     });
 }));
 
+// Update quiz metadata and settings (teacher or admin)
+router.put('/:id', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const quiz = await quizService.updateQuiz(req.params.id, req.body);
+
+    res.json({
+        success: true,
+        message: 'Quiz updated successfully',
+        data: quiz
+    });
+}));
+
+// Add question (teacher or admin)
+router.post('/:id/questions', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const question = await quizService.addQuestion(req.params.id, req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Question added successfully',
+        data: question
+    });
+}));
+
+// Reorder questions (teacher or admin)
+router.post('/:id/questions/reorder', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const { questionOrders } = req.body;
+
+    if (!Array.isArray(questionOrders) || questionOrders.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide questionOrders as a non-empty array'
+        });
+    }
+
+    const result = await quizService.reorderQuestions(req.params.id, questionOrders);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+// Update question (teacher or admin)
+router.put('/:id/questions/:questionId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const question = await quizService.updateQuestion(req.params.id, req.params.questionId, req.body);
+
+    res.json({
+        success: true,
+        message: 'Question updated successfully',
+        data: question
+    });
+}));
+
+// Delete question (teacher or admin)
+router.delete('/:id/questions/:questionId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await quizService.deleteQuestion(req.params.id, req.params.questionId);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+// Regrade all submitted attempts against the current answer key (teacher or admin)
+router.post('/:id/regrade', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await quizService.regradeAttempts(req.params.id, req.user.id);
+
+    res.json({
+        success: true,
+        message: result.message,
+        data: result
+    });
+}));
+
 // Delete quiz (teacher or admin)
 router.delete('/:id', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
     const result = await quizService.deleteQuiz(req.params.id);
@@ -0,0 +1,95 @@
+import { Router } from 'express';
+import storage from '../storage/index.js';
+import storageGcService from '../services/storageGc.service.js';
+import { asyncHandler } from '../middlewares/error.middleware.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { isAdmin } from '../middlewares/rbac.middleware.js';
+
+const router = Router();
+
+// Signed URLs of the local driver are the only way in; other drivers serve files themselves
+const requireLocalDriver = (req, res, next) => {
+    if (storage.name !== 'local') {
+        return res.status(404).json({
+            success: false,
+            message: 'Route not found'
+        });
+    }
+    next();
+};
+
+const verify = (req, res, op) => {
+    const signed = storage.verifySignedUrl(req.query);
+
+    if (!signed || signed.op !== op) {
+        res.status(403).json({
+            success: false,
+            message: 'Invalid or expired URL'
+        });
+        return null;
+    }
+
+    return signed;
+};
+
+// Download an object through a signed URL
+router.get('/local/object', requireLocalDriver, asyncHandler(async (req, res) => {
+    const signed = verify(req, res, 'get');
+    if (!signed) return;
+
+    // Players and PDF viewers load these from the frontend origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.sendFile(storage.resolveKey(signed.key), { dotfiles: 'allow' }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+    });
+}));
+
+// Upload one part of a multipart upload through a presigned part URL
+router.put('/local/object', requireLocalDriver, asyncHandler(async (req, res) => {
+    const signed = verify(req, res, 'put-part');
+    if (!signed) return;
+
+    const etag = await storage.writePart(signed.uploadId, signed.partNumber, req);
+
+    res.setHeader('ETag', etag);
+    res.status(200).end();
+}));
+
+// Find orphaned and missing files; deletes orphans past the grace period only when dryRun is false (admin)
+router.post('/admin/gc', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const { dryRun = true, graceHours } = req.body;
+
+    if (graceHours !== undefined && (!Number.isFinite(Number(graceHours)) || Number(graceHours) < 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'graceHours must be a non-negative number'
+        });
+    }
+
+    const report = await storageGcService.run({
+        dryRun: dryRun !== false && dryRun !== 'false',
+        graceHours: graceHours !== undefined ? Number(graceHours) : undefined,
+        userId: req.user.id
+    });
+
+    res.json({
+        success: true,
+        message: report.dryRun ? 'Storage cleanup dry run complete' : `Deleted ${report.summary.deleted} orphaned file(s)`,
+        data: report
+    });
+}));
+
+// Get the last storage cleanup report (admin)
+router.get('/admin/gc', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: storageGcService.getLastReport()
+    });
+}));
+
+export default router;
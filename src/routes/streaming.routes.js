@@ -1,9 +1,14 @@
 import { Router } from 'express';
 import multer from 'multer';
 import streamingService from '../services/streaming.service.js';
+import transcodingService from '../services/transcoding.service.js';
+import uploadService from '../services/upload.service.js';
+import leakTraceService from '../services/leakTrace.service.js';
+import streamGuardService from '../services/streamGuard.service.js';
 import { asyncHandler } from '../middlewares/error.middleware.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
-import { isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
+import { validateDevice } from '../middlewares/validateDevice.middleware.js';
+import { isAdmin, isTeacherOrAdmin, isStudent } from '../middlewares/rbac.middleware.js';
 
 const router = Router();
 
@@ -35,9 +40,61 @@ router.post('/upload', authenticate, isTeacherOrAdmin, upload.single('file'), as
     });
 }));
 
+// Start a resumable upload (teacher or admin)
+router.post('/uploads', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const session = await uploadService.initUpload(req.user.id, req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Upload started',
+        data: uploadService.describeSession(session)
+    });
+}));
+
+// Get presigned URLs for upload parts (teacher or admin)
+router.post('/uploads/:sessionId/part-urls', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await uploadService.getPartUrls(req.params.sessionId, req.user, req.body.partNumbers);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+// Get upload progress, including parts still missing (teacher or admin)
+router.get('/uploads/:sessionId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const status = await uploadService.getStatus(req.params.sessionId, req.user);
+
+    res.json({
+        success: true,
+        data: status
+    });
+}));
+
+// Complete upload and attach it to the lecture (teacher or admin)
+router.post('/uploads/:sessionId/complete', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await uploadService.completeUpload(req.params.sessionId, req.user);
+
+    res.json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: result
+    });
+}));
+
+// Abort upload (teacher or admin)
+router.delete('/uploads/:sessionId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await uploadService.abortUpload(req.params.sessionId, req.user);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
 // Get video URL (student)
 router.get('/video/:lectureId', authenticate, isStudent, asyncHandler(async (req, res) => {
-    const result = await streamingService.getVideoUrl(req.params.lectureId, req.user.id);
+    const result = await streamingService.getVideoUrl(req.params.lectureId, req.user, req);
 
     res.json({
         success: true,
@@ -45,9 +102,37 @@ router.get('/video/:lectureId', authenticate, isStudent, asyncHandler(async (req
     });
 }));
 
-// Get PDF URL (student) - keeping for backward compatibility
+// Get HLS segment key (student) - needs the session token and bound device, unlike the playlists
+router.get('/hls/:lectureId/key', authenticate, isStudent, validateDevice, asyncHandler(async (req, res) => {
+    const key = await streamingService.getHlsKey(req.params.lectureId, req.user);
+
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(key);
+}));
+
+// Get HLS playlist (authorized by the playback token from /video/:lectureId, since players can't send headers)
+router.get('/hls/:lectureId/:playlist.m3u8', asyncHandler(async (req, res) => {
+    const playlist = await streamingService.getHlsPlaylist(req.params.lectureId, req.params.playlist, req.query.token);
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(playlist);
+}));
+
+// End a video stream session when the player closes (student)
+router.post('/sessions/:sessionId/end', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const result = await streamGuardService.endSession(req.params.sessionId, req.user.id);
+
+    res.json({
+        success: true,
+        message: result.message
+    });
+}));
+
+// Get PDF URL (student) - keeping for backward compatibility; points at the watermarked stream
 router.get('/pdf/:lectureId', authenticate, isStudent, asyncHandler(async (req, res) => {
-    const result = await streamingService.getPdfUrl(req.params.lectureId, req.user.id);
+    const result = await streamingService.getPdfUrl(req.params.lectureId, req.user, req);
 
     res.json({
         success: true,
@@ -55,23 +140,17 @@ router.get('/pdf/:lectureId', authenticate, isStudent, asyncHandler(async (req,
     });
 }));
 
-// Stream PDF directly (student) - fixes CORS
+// Stream PDF directly (student) - fixes CORS, watermarked per student
 router.get('/stream/pdf/:lectureId', authenticate, isStudent, asyncHandler(async (req, res) => {
-    const { params, s3 } = await streamingService.streamPdf(req.params.lectureId, req.user.id);
+    const { buffer } = await streamingService.streamPdf(req.params.lectureId, req.user, req);
 
     // Set headers
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cache-Control', 'no-store');
 
-    // Pipe from S3 to response
-    s3.getObject(params).createReadStream()
-        .on('error', (err) => {
-            console.error('Stream error:', err);
-            if (!res.headersSent) {
-                res.status(500).json({ success: false, message: 'Error streaming file' });
-            }
-        })
-        .pipe(res);
+    res.send(buffer);
 }));
 
 // Get watermark data (student)
@@ -84,6 +163,26 @@ router.get('/watermark', authenticate, isStudent, asyncHandler(async (req, res)
     });
 }));
 
+// Get lecture resource URL (student)
+router.get('/resource/:resourceId', authenticate, isStudent, asyncHandler(async (req, res) => {
+    const result = await streamingService.getResourceUrl(req.params.resourceId, req.user, req);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+// Get lecture resource URL for staff (no enrollment check)
+router.get('/admin/resource/:resourceId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await streamingService.getAdminResourceUrl(req.params.resourceId);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
 // Get download URL for admin (no enrollment check)
 router.get('/admin/download/:lectureId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
     const result = await streamingService.getAdminDownloadUrl(req.params.lectureId);
@@ -94,6 +193,57 @@ router.get('/admin/download/:lectureId', authenticate, isTeacherOrAdmin, asyncHa
     });
 }));
 
+// Queue a lecture video for HLS transcoding (teacher or admin)
+router.post('/admin/transcode/:lectureId', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
+    const result = await transcodingService.queueTranscode(req.params.lectureId);
+
+    res.json({
+        success: true,
+        message: 'Transcoding queued',
+        data: result
+    });
+}));
+
+// Trace a leaked file or screenshot text back to its delivery (admin only)
+router.post('/admin/trace', authenticate, isAdmin, upload.single('file'), asyncHandler(async (req, res) => {
+    const { text } = req.body;
+
+    if (!text && !req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Provide leaked text or a leaked PDF file'
+        });
+    }
+
+    const result = await leakTraceService.traceLeak({ text, file: req.file });
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+// Get streaming abuse flags (admin only)
+router.get('/admin/flags', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const flags = await streamGuardService.getFlags({ includeResolved: req.query.includeResolved === 'true' });
+
+    res.json({
+        success: true,
+        data: flags
+    });
+}));
+
+// Resolve a streaming flag and lift its throttle (admin only)
+router.post('/admin/flags/:flagId/resolve', authenticate, isAdmin, asyncHandler(async (req, res) => {
+    const flag = await streamGuardService.resolveFlag(req.params.flagId, req.user.id);
+
+    res.json({
+        success: true,
+        message: 'Streaming flag resolved',
+        data: flag
+    });
+}));
+
 // Delete file (admin only)
 router.delete('/file', authenticate, isTeacherOrAdmin, asyncHandler(async (req, res) => {
     const { fileKey } = req.body;
@@ -8,7 +8,7 @@ import { AppError } from '../middlewares/error.middleware.js';
 class AuthService {
     // Register new user
     async register(userData) {
-        const { name, email, phone, password, college_name, semester, role = 'student', deviceId } = userData;
+        const { name, email, phone, password, college_name, semester, state_code, role = 'student', deviceId } = userData;
 
         // Check if user already exists
         const { data: existingUser } = await supabase
@@ -34,10 +34,11 @@ class AuthService {
                 password_hash,
                 college_name,
                 semester,
+                state_code,
                 role,
                 status: 'active'
             })
-            .select('id, name, email, phone, role, college_name, semester, created_at')
+            .select('id, name, email, phone, role, college_name, semester, state_code, created_at')
             .single();
 
         if (error) {
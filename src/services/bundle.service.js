@@ -0,0 +1,252 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import auditService from './audit.service.js';
+
+const BUNDLE_SELECT = `
+    *,
+    bundle_courses (
+        course_order,
+        courses:course_id (
+            id,
+            title,
+            price,
+            thumbnail_url,
+            validity_days
+        )
+    )
+`;
+
+class BundleService {
+    // Create bundle (admin only)
+    async createBundle(data, adminId) {
+        const { title, description, price, thumbnail_url, course_ids } = data;
+
+        this.validate({ title, price });
+        await this.assertCourses(course_ids);
+
+        const { data: bundle, error } = await supabase
+            .from('course_bundles')
+            .insert({
+                title,
+                description,
+                price,
+                thumbnail_url,
+                is_active: data.is_active !== undefined ? data.is_active : true,
+                created_by: adminId
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create bundle', 500);
+        }
+
+        await this.setCourses(bundle.id, course_ids);
+
+        await auditService.log(
+            adminId,
+            'BUNDLE_CREATED',
+            `Created bundle: ${title}`,
+            { bundleId: bundle.id, courseIds: course_ids, price }
+        );
+
+        return this.getBundleById(bundle.id, true);
+    }
+
+    // Get bundles; students and visitors only see active ones
+    async getBundles(includeInactive = false) {
+        let query = supabase
+            .from('course_bundles')
+            .select(BUNDLE_SELECT)
+            .order('created_at', { ascending: false });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data: bundles, error } = await query;
+
+        if (error) {
+            throw new AppError('Failed to fetch bundles', 500);
+        }
+
+        return bundles.map(bundle => this.format(bundle));
+    }
+
+    // Get bundle by ID
+    async getBundleById(bundleId, includeInactive = false) {
+        const { data: bundle, error } = await supabase
+            .from('course_bundles')
+            .select(BUNDLE_SELECT)
+            .eq('id', bundleId)
+            .single();
+
+        if (error || !bundle || (!bundle.is_active && !includeInactive)) {
+            throw new AppError('Bundle not found', 404);
+        }
+
+        return this.format(bundle);
+    }
+
+    // Update bundle, optionally replacing its courses (admin only)
+    async updateBundle(bundleId, data, adminId) {
+        const bundle = await this.getBundleById(bundleId, true);
+
+        const allowedFields = ['title', 'description', 'price', 'thumbnail_url', 'is_active'];
+        const updates = {};
+
+        for (const field of allowedFields) {
+            if (data[field] !== undefined) {
+                updates[field] = data[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0 && data.course_ids === undefined) {
+            throw new AppError('No valid fields to update', 400);
+        }
+
+        this.validate({ title: bundle.title, price: bundle.price, ...updates });
+
+        if (data.course_ids !== undefined) {
+            await this.assertCourses(data.course_ids);
+        }
+
+        if (Object.keys(updates).length > 0) {
+            const { error } = await supabase
+                .from('course_bundles')
+                .update(updates)
+                .eq('id', bundleId);
+
+            if (error) {
+                throw new AppError('Failed to update bundle', 500);
+            }
+        }
+
+        if (data.course_ids !== undefined) {
+            await this.setCourses(bundleId, data.course_ids);
+        }
+
+        await auditService.log(
+            adminId,
+            'BUNDLE_UPDATED',
+            `Updated bundle: ${updates.title || bundle.title}`,
+            { bundleId, updates, courseIds: data.course_ids }
+        );
+
+        return this.getBundleById(bundleId, true);
+    }
+
+    // Delete bundle (admin only); bundles that were sold are deactivated instead
+    async deleteBundle(bundleId, adminId) {
+        const bundle = await this.getBundleById(bundleId, true);
+
+        const { count } = await supabase
+            .from('payments')
+            .select('id', { count: 'exact', head: true })
+            .eq('bundle_id', bundleId);
+
+        if (count > 0) {
+            throw new AppError('This bundle has been purchased and can only be deactivated', 400);
+        }
+
+        const { error } = await supabase
+            .from('course_bundles')
+            .delete()
+            .eq('id', bundleId);
+
+        if (error) {
+            throw new AppError('Failed to delete bundle', 500);
+        }
+
+        await auditService.log(
+            adminId,
+            'BUNDLE_DELETED',
+            `Deleted bundle: ${bundle.title}`,
+            { bundleId }
+        );
+
+        return { success: true, message: 'Bundle deleted successfully' };
+    }
+
+    /**
+     * @private
+     */
+    async setCourses(bundleId, courseIds) {
+        const { error: deleteError } = await supabase
+            .from('bundle_courses')
+            .delete()
+            .eq('bundle_id', bundleId);
+
+        if (deleteError) {
+            throw new AppError('Failed to update bundle courses', 500);
+        }
+
+        const { error } = await supabase
+            .from('bundle_courses')
+            .insert(courseIds.map((courseId, index) => ({
+                bundle_id: bundleId,
+                course_id: courseId,
+                course_order: index
+            })));
+
+        if (error) {
+            throw new AppError('Failed to update bundle courses', 500);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async assertCourses(courseIds) {
+        if (!Array.isArray(courseIds) || new Set(courseIds).size < 2 || new Set(courseIds).size !== courseIds.length) {
+            throw new AppError('course_ids must list at least two different courses', 400);
+        }
+
+        const { data: courses, error } = await supabase
+            .from('courses')
+            .select('id')
+            .in('id', courseIds);
+
+        if (error) {
+            throw new AppError('Failed to verify bundle courses', 500);
+        }
+
+        if (courses.length !== courseIds.length) {
+            throw new AppError('One or more courses were not found', 404);
+        }
+    }
+
+    /**
+     * @private
+     */
+    validate({ title, price }) {
+        if (!title || !String(title).trim()) {
+            throw new AppError('Bundle title is required', 400);
+        }
+
+        if (!(parseFloat(price) >= 0)) {
+            throw new AppError('Bundle price must be 0 or more', 400);
+        }
+    }
+
+    /**
+     * @private
+     */
+    format(bundle) {
+        const courses = [...(bundle.bundle_courses || [])]
+            .sort((a, b) => a.course_order - b.course_order)
+            .map(entry => entry.courses)
+            .filter(Boolean);
+
+        const { bundle_courses, ...rest } = bundle;
+
+        return {
+            ...rest,
+            courses,
+            // What the courses would cost on their own
+            coursesTotal: courses.reduce((sum, course) => sum + parseFloat(course.price), 0)
+        };
+    }
+}
+
+export default new BundleService();
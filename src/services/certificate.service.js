@@ -42,7 +42,7 @@ class CertificateService {
         // Create PDF certificate
         const pdfBuffer = await this.createCertificatePDF(student.name, course.title, certificateNumber);
 
-        // Upload to B2
+        // Upload to storage
         const uploadResult = await streamingService.uploadFile({
             buffer: pdfBuffer,
             originalname: `certificate_${certificateNumber}.pdf`,
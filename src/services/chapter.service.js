@@ -47,14 +47,15 @@ class ChapterService {
 
     // Create chapter
     async createChapter(chapterData) {
-        const { course_id, title, chapter_order } = chapterData;
+        const { course_id, title, chapter_order, requires_previous_quiz } = chapterData;
 
         const { data: chapter, error } = await supabase
             .from('chapters')
             .insert({
                 course_id,
                 title,
-                chapter_order
+                chapter_order,
+                requires_previous_quiz: requires_previous_quiz || false
             })
             .select()
             .single();
@@ -71,7 +72,7 @@ class ChapterService {
 
     // Update chapter
     async updateChapter(chapterId, updateData) {
-        const allowedFields = ['title', 'chapter_order'];
+        const allowedFields = ['title', 'chapter_order', 'requires_previous_quiz'];
         const updates = {};
 
         for (const field of allowedFields) {
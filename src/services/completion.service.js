@@ -0,0 +1,249 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import enrollmentService from './enrollment.service.js';
+import quizService from './quiz.service.js';
+import certificateService from './certificate.service.js';
+
+const DEFAULT_RULES = {
+    required_quiz_ids: [],
+    min_quiz_average: null,
+    min_watch_percentage: 100
+};
+
+class CompletionService {
+    // Get completion rules for a course (defaults when none are set)
+    async getRules(courseId) {
+        const { data: rules, error } = await supabase
+            .from('course_completion_rules')
+            .select('*')
+            .eq('course_id', courseId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') { // Not found is ok
+            throw new AppError('Failed to fetch completion rules', 500);
+        }
+
+        return { course_id: courseId, ...DEFAULT_RULES, ...(rules || {}) };
+    }
+
+    // Create or update completion rules for a course
+    async updateRules(courseId, ruleData) {
+        const current = await this.getRules(courseId);
+        const rules = {
+            course_id: courseId,
+            required_quiz_ids: ruleData.required_quiz_ids ?? current.required_quiz_ids,
+            min_quiz_average: ruleData.min_quiz_average !== undefined ? ruleData.min_quiz_average : current.min_quiz_average,
+            min_watch_percentage: ruleData.min_watch_percentage ?? current.min_watch_percentage
+        };
+
+        if (!Array.isArray(rules.required_quiz_ids)) {
+            throw new AppError('required_quiz_ids must be a list of quiz IDs', 400);
+        }
+
+        if (rules.min_quiz_average !== null && !(Number(rules.min_quiz_average) >= 0 && Number(rules.min_quiz_average) <= 100)) {
+            throw new AppError('Minimum quiz average must be between 0 and 100', 400);
+        }
+
+        if (!(Number(rules.min_watch_percentage) >= 0 && Number(rules.min_watch_percentage) <= 100)) {
+            throw new AppError('Minimum watch percentage must be between 0 and 100', 400);
+        }
+
+        if (rules.required_quiz_ids.length > 0) {
+            const quizzes = await quizService.getQuizzesByCourse(courseId);
+            const courseQuizIds = new Set(quizzes.map(q => q.id));
+            const unknown = rules.required_quiz_ids.filter(id => !courseQuizIds.has(id));
+
+            if (unknown.length > 0) {
+                throw new AppError(`Quizzes not found for this course: ${unknown.join(', ')}`, 400);
+            }
+        }
+
+        const { data: saved, error } = await supabase
+            .from('course_completion_rules')
+            .upsert(rules, { onConflict: 'course_id' })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to save completion rules', 500);
+        }
+
+        return saved;
+    }
+
+    // Evaluate a student's progress against the course completion rules
+    async evaluateCompletion(studentId, courseId) {
+        const rules = await this.getRules(courseId);
+        const progress = await enrollmentService.getCourseProgress(studentId, courseId);
+        const requirements = [];
+
+        const watchPercentage = progress.totalLectures > 0
+            ? (progress.completedLectures / progress.totalLectures) * 100
+            : 0;
+        const minWatch = Number(rules.min_watch_percentage);
+
+        requirements.push({
+            rule: 'min_watch_percentage',
+            required: minWatch,
+            actual: Math.round(watchPercentage),
+            met: progress.totalLectures > 0 && watchPercentage >= minWatch
+        });
+
+        const quizResults = new Map();
+        for (const quizId of rules.required_quiz_ids) {
+            const result = await quizService.getQuizResult(quizId, studentId);
+            quizResults.set(quizId, result);
+
+            requirements.push({
+                rule: 'required_quiz',
+                quizId,
+                required: true,
+                actual: result.percentage,
+                met: result.passed
+            });
+        }
+
+        if (rules.min_quiz_average !== null) {
+            // Average over the required quizzes, or every course quiz when none are required.
+            // Quizzes never attempted count as zero.
+            let quizIds = rules.required_quiz_ids;
+            if (quizIds.length === 0) {
+                const quizzes = await quizService.getQuizzesByCourse(courseId);
+                quizIds = quizzes.map(q => q.id);
+            }
+
+            const percentages = [];
+            for (const quizId of quizIds) {
+                const result = quizResults.get(quizId) || await quizService.getQuizResult(quizId, studentId);
+                percentages.push(result.score === null ? 0 : (result.score / result.totalMarks) * 100);
+            }
+
+            const average = percentages.length > 0
+                ? percentages.reduce((sum, p) => sum + p, 0) / percentages.length
+                : null;
+
+            requirements.push({
+                rule: 'min_quiz_average',
+                required: Number(rules.min_quiz_average),
+                actual: average === null ? null : Math.round(average * 100) / 100,
+                met: average === null || average >= Number(rules.min_quiz_average)
+            });
+        }
+
+        return {
+            courseId,
+            eligible: requirements.every(r => r.met),
+            totalLectures: progress.totalLectures,
+            completedLectures: progress.completedLectures,
+            requirements
+        };
+    }
+
+    // Issue the certificate once every completion rule is met
+    async checkAndIssueCertificate(studentId, courseId) {
+        const completion = await this.evaluateCompletion(studentId, courseId);
+
+        if (!completion.eligible) {
+            return null;
+        }
+
+        // Check if certificate already exists
+        const { data: existingCert } = await supabase
+            .from('certificates')
+            .select('id')
+            .eq('student_id', studentId)
+            .eq('course_id', courseId)
+            .single();
+
+        if (existingCert) {
+            return null;
+        }
+
+        console.log(`🎓 Completion rules met for course ${courseId}. Generating certificate...`);
+        const certificate = await certificateService.generateCertificate(studentId, courseId);
+        console.log(`✅ Certificate generated for student ${studentId}, course ${courseId}`);
+
+        return certificate;
+    }
+
+    // Reject certificate requests that do not meet the completion rules
+    async assertEligible(studentId, courseId) {
+        const completion = await this.evaluateCompletion(studentId, courseId);
+
+        if (!completion.eligible) {
+            const unmet = completion.requirements.filter(r => !r.met).map(r => r.rule);
+            const error = new AppError(`Course completion requirements not met: ${[...new Set(unmet)].join(', ')}`, 403);
+            error.code = 'COMPLETION_REQUIREMENTS_NOT_MET';
+            throw error;
+        }
+
+        return completion;
+    }
+
+    // Check whether a chapter is unlocked for a student
+    async getChapterAccess(studentId, chapterId) {
+        const { data: chapter, error } = await supabase
+            .from('chapters')
+            .select('id, course_id, chapter_order, requires_previous_quiz')
+            .eq('id', chapterId)
+            .single();
+
+        if (error || !chapter) {
+            throw new AppError('Chapter not found', 404);
+        }
+
+        if (!chapter.requires_previous_quiz) {
+            return { unlocked: true, pendingQuizIds: [] };
+        }
+
+        const { data: previous } = await supabase
+            .from('chapters')
+            .select('id')
+            .eq('course_id', chapter.course_id)
+            .lt('chapter_order', chapter.chapter_order)
+            .order('chapter_order', { ascending: false })
+            .limit(1);
+
+        if (!previous || previous.length === 0) {
+            return { unlocked: true, pendingQuizIds: [] };
+        }
+
+        const { data: quizzes, error: quizError } = await supabase
+            .from('quizzes')
+            .select('id')
+            .eq('chapter_id', previous[0].id);
+
+        if (quizError) {
+            throw new AppError('Failed to fetch chapter quizzes', 500);
+        }
+
+        const pendingQuizIds = [];
+        for (const quiz of quizzes || []) {
+            const result = await quizService.getQuizResult(quiz.id, studentId);
+            if (!result.passed) {
+                pendingQuizIds.push(quiz.id);
+            }
+        }
+
+        return {
+            unlocked: pendingQuizIds.length === 0,
+            previousChapterId: previous[0].id,
+            pendingQuizIds
+        };
+    }
+
+    // Reject access to lectures in a locked chapter
+    async assertChapterUnlocked(studentId, chapterId) {
+        const access = await this.getChapterAccess(studentId, chapterId);
+
+        if (!access.unlocked) {
+            const error = new AppError('This chapter is locked until you pass the previous chapter\'s quiz', 403);
+            error.code = 'CHAPTER_LOCKED';
+            throw error;
+        }
+
+        return access;
+    }
+}
+
+export default new CompletionService();
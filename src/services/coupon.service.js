@@ -4,7 +4,7 @@ import { AppError } from '../middlewares/error.middleware.js';
 class CouponService {
     // Create new coupon
     async createCoupon(data, adminId) {
-        const { code, discount_type, discount_value, applicable_to, course_ids, expiry_date, usage_limit } = data;
+        const { code, discount_type, discount_value, applicable_to, course_ids, bundle_ids, expiry_date, usage_limit } = data;
 
         // Validate discount value
         if (discount_type === 'percentage' && (discount_value < 0 || discount_value > 100)) {
@@ -16,7 +16,8 @@ class CouponService {
             discount_type,
             discount_value,
             applicable_to: applicable_to || 'all',
-            course_ids: applicable_to === 'specific' ? course_ids : [],
+            course_ids: applicable_to === 'specific' ? course_ids || [] : [],
+            bundle_ids: applicable_to === 'specific' ? bundle_ids || [] : [],
             expiry_date: expiry_date || null,
             usage_limit: usage_limit || null,
             created_by: adminId,
@@ -154,7 +155,7 @@ class CouponService {
     }
 
     // Validate coupon (CRITICAL - server-side only)
-    async validateCoupon(code, courseId, userId) {
+    async validateCoupon(code, courseId, userId, bundleId = null) {
         const { data: coupon, error } = await supabase
             .from('coupons')
             .select('*')
@@ -180,9 +181,15 @@ class CouponService {
             throw new AppError('This coupon has reached its usage limit', 400);
         }
 
-        // Check if applicable to course
-        if (coupon.applicable_to === 'specific' && !coupon.course_ids.includes(courseId)) {
-            throw new AppError('This coupon is not applicable to this course', 400);
+        // Check if applicable to course or bundle
+        if (coupon.applicable_to === 'specific') {
+            if (bundleId && !(coupon.bundle_ids || []).includes(bundleId)) {
+                throw new AppError('This coupon is not applicable to this bundle', 400);
+            }
+
+            if (!bundleId && !coupon.course_ids.includes(courseId)) {
+                throw new AppError('This coupon is not applicable to this course', 400);
+            }
         }
 
         // Check if user already used this coupon
@@ -235,6 +242,36 @@ class CouponService {
         }
     }
 
+    // Reverse the coupon use of a refunded payment so the student can use it again
+    async reverseCouponUsage(paymentId) {
+        const { data: usage } = await supabase
+            .from('coupon_usage')
+            .select('id, coupon_id')
+            .eq('payment_id', paymentId);
+
+        for (const entry of usage || []) {
+            const { error: deleteError } = await supabase
+                .from('coupon_usage')
+                .delete()
+                .eq('id', entry.id);
+
+            if (deleteError) {
+                console.error('Failed to delete coupon usage:', deleteError);
+                continue;
+            }
+
+            const { error: updateError } = await supabase.rpc('decrement_coupon_usage', {
+                coupon_id: entry.coupon_id,
+            });
+
+            if (updateError) {
+                console.error('Failed to decrement coupon usage:', updateError);
+            }
+        }
+
+        return (usage || []).length;
+    }
+
     // Get usage statistics
     async getUsageStats(couponId) {
         const { data: usage, error } = await supabase
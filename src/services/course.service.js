@@ -205,11 +205,12 @@ class CourseService {
         // Get total revenue
         const { data: payments } = await supabase
             .from('payments')
-            .select('amount')
+            .select('amount, refunded_amount')
             .eq('course_id', courseId)
-            .eq('status', 'success');
+            .eq('status', 'captured');
 
-        const totalRevenue = payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        // Partial refunds are taken out of the revenue
+        const totalRevenue = payments?.reduce((sum, p) => sum + parseFloat(p.amount) - parseFloat(p.refunded_amount || 0), 0) || 0;
 
         // Get chapters and lectures count
         const { count: chaptersCount } = await supabase
@@ -1,6 +1,7 @@
 import supabase from '../config/database.js';
 import { AppError } from '../middlewares/error.middleware.js';
 import auditService from './audit.service.js';
+import installmentService from './installment.service.js';
 
 class EnrollmentService {
     // Enroll student in course
@@ -60,6 +61,35 @@ class EnrollmentService {
         return enrollment;
     }
 
+    // Enroll unless already enrolled; safe to call again for the same payment
+    async ensureEnrollment(studentId, courseId, paymentType = 'online') {
+        const findExisting = async () => {
+            const { data } = await supabase
+                .from('enrollments')
+                .select('*')
+                .eq('student_id', studentId)
+                .eq('course_id', courseId)
+                .single();
+            return data;
+        };
+
+        const existing = await findExisting();
+        if (existing) {
+            return existing;
+        }
+
+        try {
+            return await this.enrollStudent(studentId, courseId, paymentType);
+        } catch (error) {
+            // Verification and webhook can race; the other one enrolled first
+            const enrolled = await findExisting();
+            if (enrolled) {
+                return enrolled;
+            }
+            throw error;
+        }
+    }
+
     // Admin enroll student (admin only)
     async adminEnrollStudent(studentId, courseId, validityDays, adminId) {
         // Check if already enrolled
@@ -169,6 +199,145 @@ class EnrollmentService {
         return enrollments;
     }
 
+    // Get the next lecture to watch for every active enrollment
+    async getContinueLearning(studentId) {
+        const { data: enrollments, error } = await supabase
+            .from('enrollments')
+            .select(`
+        id,
+        course_id,
+        enrolled_at,
+        valid_until,
+        courses:course_id (
+          id,
+          title,
+          thumbnail_url
+        )
+      `)
+            .eq('student_id', studentId)
+            .eq('status', 'active')
+            .gt('valid_until', new Date().toISOString());
+
+        if (error) {
+            throw new AppError('Failed to fetch enrollments', 500);
+        }
+
+        if (!enrollments || enrollments.length === 0) {
+            return [];
+        }
+
+        const { data: chapters, error: chaptersError } = await supabase
+            .from('chapters')
+            .select(`
+        id,
+        course_id,
+        title,
+        chapter_order,
+        lectures (
+          id,
+          title,
+          type,
+          duration,
+          lecture_order
+        )
+      `)
+            .in('course_id', enrollments.map(e => e.course_id));
+
+        if (chaptersError) {
+            throw new AppError('Failed to fetch course content', 500);
+        }
+
+        // Lectures of each course in playback order
+        const lecturesByCourse = new Map();
+        for (const chapter of [...(chapters || [])].sort((a, b) => a.chapter_order - b.chapter_order)) {
+            const lectures = [...(chapter.lectures || [])]
+                .sort((a, b) => a.lecture_order - b.lecture_order)
+                .map(lecture => ({ ...lecture, chapter_id: chapter.id, chapter_title: chapter.title }));
+
+            lecturesByCourse.set(chapter.course_id, [...(lecturesByCourse.get(chapter.course_id) || []), ...lectures]);
+        }
+
+        const lectureIds = [...lecturesByCourse.values()].flat().map(l => l.id);
+        let progressRows = [];
+
+        if (lectureIds.length > 0) {
+            const { data, error: progressError } = await supabase
+                .from('lecture_progress')
+                .select('lecture_id, completed, last_position, updated_at')
+                .eq('student_id', studentId)
+                .in('lecture_id', lectureIds);
+
+            if (progressError) {
+                throw new AppError('Failed to fetch lecture progress', 500);
+            }
+
+            progressRows = data || [];
+        }
+
+        const progressByLecture = new Map(progressRows.map(p => [p.lecture_id, p]));
+
+        const feed = enrollments.map(enrollment => {
+            const lectures = lecturesByCourse.get(enrollment.course_id) || [];
+            const touched = lectures
+                .map((lecture, index) => ({ index, progress: progressByLecture.get(lecture.id) }))
+                .filter(entry => entry.progress)
+                .sort((a, b) => new Date(b.progress.updated_at) - new Date(a.progress.updated_at));
+
+            const lastTouched = touched[0];
+            const completedLectures = touched.filter(entry => entry.progress.completed).length;
+
+            // Resume the last lecture if unfinished, otherwise the next unfinished one after it
+            let nextIndex = -1;
+            if (lastTouched && !lastTouched.progress.completed) {
+                nextIndex = lastTouched.index;
+            } else {
+                const startIndex = lastTouched ? lastTouched.index + 1 : 0;
+                const isOpen = (lecture) => !progressByLecture.get(lecture.id)?.completed;
+
+                nextIndex = lectures.findIndex((lecture, index) => index >= startIndex && isOpen(lecture));
+                if (nextIndex === -1) {
+                    nextIndex = lectures.findIndex(isOpen);
+                }
+            }
+
+            const nextLecture = lectures[nextIndex];
+            const nextProgress = nextLecture && progressByLecture.get(nextLecture.id);
+
+            return {
+                enrollmentId: enrollment.id,
+                course: enrollment.courses,
+                validUntil: enrollment.valid_until,
+                totalLectures: lectures.length,
+                completedLectures,
+                progressPercentage: lectures.length > 0 ? Math.round((completedLectures / lectures.length) * 100) : 0,
+                nextLecture: nextLecture
+                    ? {
+                        id: nextLecture.id,
+                        title: nextLecture.title,
+                        type: nextLecture.type,
+                        duration: nextLecture.duration,
+                        chapterId: nextLecture.chapter_id,
+                        chapterTitle: nextLecture.chapter_title,
+                        resumePosition: nextProgress && !nextProgress.completed ? nextProgress.last_position || 0 : 0
+                    }
+                    : null,
+                lastActivityAt: lastTouched ? lastTouched.progress.updated_at : null,
+                enrolledAt: enrollment.enrolled_at
+            };
+        });
+
+        // Most recently active courses first, untouched ones by enrollment date
+        return feed.sort((a, b) => {
+            if (a.lastActivityAt && b.lastActivityAt) {
+                return new Date(b.lastActivityAt) - new Date(a.lastActivityAt);
+            }
+            if (a.lastActivityAt || b.lastActivityAt) {
+                return a.lastActivityAt ? -1 : 1;
+            }
+            return new Date(b.enrolledAt) - new Date(a.enrolledAt);
+        });
+    }
+
     // Get course enrollments (for teacher/admin)
     async getCourseEnrollments(courseId) {
         const { data: enrollments, error } = await supabase
@@ -217,6 +386,16 @@ class EnrollmentService {
             return { hasAccess: false, reason: 'Enrollment expired' };
         }
 
+        // An installment unpaid beyond the grace period pauses access until it is paid
+        const overdue = await installmentService.getOverdueInstallment(studentId, courseId);
+        if (overdue) {
+            return {
+                hasAccess: false,
+                reason: `Installment ${overdue.installment_number} is overdue. Please pay it to continue.`,
+                overdueInstallment: overdue
+            };
+        }
+
         return { hasAccess: true, enrollment };
     }
 
@@ -283,6 +462,60 @@ class EnrollmentService {
         return updated;
     }
 
+    // Revoke or shorten an enrollment after its payment is refunded
+    async applyRefund(studentId, courseId, action, validDays, adminId = null) {
+        if (action === 'none') {
+            return null;
+        }
+
+        const { data: enrollment } = await supabase
+            .from('enrollments')
+            .select('*')
+            .eq('student_id', studentId)
+            .eq('course_id', courseId)
+            .single();
+
+        if (!enrollment) {
+            return null;
+        }
+
+        let updates;
+        if (action === 'shorten') {
+            const shortened = new Date();
+            shortened.setDate(shortened.getDate() + (validDays || 0));
+
+            // Never extend access through a refund
+            if (shortened >= new Date(enrollment.valid_until)) {
+                return enrollment;
+            }
+            updates = { valid_until: shortened.toISOString() };
+        } else {
+            updates = { status: 'cancelled' };
+        }
+
+        const { data: updated, error } = await supabase
+            .from('enrollments')
+            .update(updates)
+            .eq('id', enrollment.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update enrollment after refund', 500);
+        }
+
+        await auditService.log(
+            adminId,
+            action === 'shorten' ? 'ENROLLMENT_SHORTENED' : 'ENROLLMENT_REVOKED',
+            action === 'shorten'
+                ? `Shortened enrollment to ${validDays || 0} day(s) after refund`
+                : 'Revoked enrollment after refund',
+            { enrollmentId: enrollment.id, studentId, courseId, ...updates }
+        );
+
+        return updated;
+    }
+
     // Delete enrollment (admin only) - Permanently remove
     async deleteEnrollment(enrollmentId, adminId) {
         // Get enrollment details before deleting for audit log
@@ -292,6 +525,10 @@ class EnrollmentService {
             .eq('id', enrollmentId)
             .single();
 
+        if (enrollment) {
+            await this.recordRemoval([enrollment.student_id], enrollment.course_id, adminId);
+        }
+
         const { error } = await supabase
             .from('enrollments')
             .delete()
@@ -337,6 +574,8 @@ class EnrollmentService {
 
     // Bulk remove students from course (admin only)
     async bulkRemoveStudents(courseId, studentIds, adminId) {
+        await this.recordRemoval(studentIds, courseId, adminId);
+
         const { error } = await supabase
             .from('enrollments')
             .delete()
@@ -357,6 +596,24 @@ class EnrollmentService {
         return { success: true, message: `${studentIds.length} students removed successfully` };
     }
 
+    /**
+     * Remember removed enrollments per course so payment reconciliation doesn't re-create them
+     * @private
+     */
+    async recordRemoval(studentIds, courseId, adminId) {
+        const { error } = await supabase
+            .from('enrollment_removals')
+            .insert(studentIds.map(studentId => ({
+                student_id: studentId,
+                course_id: courseId,
+                removed_by: adminId
+            })));
+
+        if (error) {
+            throw new AppError('Failed to remove enrollment', 500);
+        }
+    }
+
     // Get course progress for student
     async getCourseProgress(studentId, courseId) {
         // Get all lectures in the course
@@ -0,0 +1,504 @@
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import notificationService from './notification.service.js';
+import auditService from './audit.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InstallmentService {
+    // Create installment plan for a course (admin only)
+    async createPlan(courseId, data, adminId) {
+        const { data: course } = await supabase
+            .from('courses')
+            .select('id, title, price')
+            .eq('id', courseId)
+            .single();
+
+        if (!course) {
+            throw new AppError('Course not found', 404);
+        }
+
+        const plan = {
+            name: data.name,
+            installment_count: data.installment_count,
+            interval_days: data.interval_days,
+            // Defaults to the full course price spread over the installments
+            total_amount: data.total_amount !== undefined ? data.total_amount : course.price,
+            is_active: data.is_active !== undefined ? data.is_active : true
+        };
+
+        this.validate(plan);
+
+        const { data: created, error } = await supabase
+            .from('installment_plans')
+            .insert({ ...plan, course_id: courseId, created_by: adminId })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create installment plan', 500);
+        }
+
+        await auditService.log(
+            adminId,
+            'INSTALLMENT_PLAN_CREATED',
+            `Created installment plan "${created.name}" for course: ${course.title}`,
+            { planId: created.id, courseId, installmentCount: created.installment_count, totalAmount: created.total_amount }
+        );
+
+        return { ...created, installments: this.getInstallmentAmounts(created) };
+    }
+
+    // Get installment plans of a course; students only see active ones
+    async getPlans(courseId, includeInactive = false) {
+        let query = supabase
+            .from('installment_plans')
+            .select('*')
+            .eq('course_id', courseId)
+            .order('installment_count', { ascending: true });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data: plans, error } = await query;
+
+        if (error) {
+            throw new AppError('Failed to fetch installment plans', 500);
+        }
+
+        return plans.map(plan => ({ ...plan, installments: this.getInstallmentAmounts(plan) }));
+    }
+
+    // Update installment plan (admin only); schedules already started keep their amounts and dates
+    async updatePlan(planId, data, adminId) {
+        const { data: plan } = await supabase
+            .from('installment_plans')
+            .select('*')
+            .eq('id', planId)
+            .single();
+
+        if (!plan) {
+            throw new AppError('Installment plan not found', 404);
+        }
+
+        const allowedFields = ['name', 'installment_count', 'interval_days', 'total_amount', 'is_active'];
+        const updates = {};
+
+        for (const field of allowedFields) {
+            if (data[field] !== undefined) {
+                updates[field] = data[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No valid fields to update', 400);
+        }
+
+        this.validate({ ...plan, ...updates });
+
+        const { data: updated, error } = await supabase
+            .from('installment_plans')
+            .update(updates)
+            .eq('id', planId)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update installment plan', 500);
+        }
+
+        await auditService.log(
+            adminId,
+            'INSTALLMENT_PLAN_UPDATED',
+            `Updated installment plan "${updated.name}"`,
+            { planId, updates }
+        );
+
+        return { ...updated, installments: this.getInstallmentAmounts(updated) };
+    }
+
+    // Active plan of a course, for paying its first installment
+    async getActivePlan(planId, courseId) {
+        const { data: plan } = await supabase
+            .from('installment_plans')
+            .select('*')
+            .eq('id', planId)
+            .eq('course_id', courseId)
+            .eq('is_active', true)
+            .single();
+
+        if (!plan) {
+            throw new AppError('Installment plan not found for this course', 404);
+        }
+
+        return plan;
+    }
+
+    // Equal installments in rupees; the rounding remainder is added to the first one
+    getInstallmentAmounts(plan) {
+        const totalPaise = Math.round(parseFloat(plan.total_amount) * 100);
+        const basePaise = Math.floor(totalPaise / plan.installment_count);
+
+        return Array.from({ length: plan.installment_count }, (_, index) =>
+            (index === 0 ? totalPaise - basePaise * (plan.installment_count - 1) : basePaise) / 100
+        );
+    }
+
+    // A pending installment of the student's own schedule
+    async getPayableInstallment(studentId, installmentId) {
+        const { data: installment } = await supabase
+            .from('student_installments')
+            .select('*')
+            .eq('id', installmentId)
+            .eq('student_id', studentId)
+            .single();
+
+        if (!installment) {
+            throw new AppError('Installment not found', 404);
+        }
+
+        if (installment.status !== 'pending') {
+            throw new AppError(`This installment is already ${installment.status}`, 400);
+        }
+
+        return installment;
+    }
+
+    // Record a captured installment payment: the first one starts the schedule, later ones settle their installment.
+    // Safe to call again for the same payment; newlyCaptured marks the call that captured it.
+    async recordPayment(payment, { newlyCaptured = false } = {}) {
+        if (!payment.installment_plan_id) {
+            return null;
+        }
+
+        if (payment.installment_id) {
+            const { data: settled, error } = await supabase
+                .from('student_installments')
+                .update({
+                    status: 'paid',
+                    payment_id: payment.id,
+                    paid_at: payment.captured_at || new Date().toISOString()
+                })
+                .eq('id', payment.installment_id)
+                .eq('status', 'pending')
+                .select();
+
+            if (error) {
+                throw new AppError('Failed to record installment payment', 500);
+            }
+
+            if (settled && settled.length > 0) {
+                return settled[0];
+            }
+
+            if (newlyCaptured) {
+                await this.flagDuplicatePayment(payment);
+            }
+
+            return null;
+        }
+
+        return this.createSchedule(payment);
+    }
+
+    /**
+     * A second order for an installment that another payment already settled was paid too;
+     * the money is kept, so an admin has to refund it
+     * @private
+     */
+    async flagDuplicatePayment(payment) {
+        const { data: installment } = await supabase
+            .from('student_installments')
+            .select('id, installment_number, status, payment_id')
+            .eq('id', payment.installment_id)
+            .single();
+
+        if (!installment || installment.payment_id === payment.id) {
+            return;
+        }
+
+        await auditService.log(
+            payment.student_id,
+            'INSTALLMENT_DUPLICATE_PAYMENT',
+            `Payment ${payment.id} was captured for installment ${installment.installment_number}, which is already ${installment.status}`,
+            { paymentId: payment.id, installmentId: installment.id, settledByPaymentId: installment.payment_id, amount: payment.amount }
+        );
+
+        await notificationService.notifyAdmins(
+            'Duplicate installment payment',
+            `Installment ${installment.installment_number} was paid again by payment ${payment.id}. Please refund the duplicate.`,
+            'warning'
+        );
+    }
+
+    /**
+     * @private
+     */
+    async createSchedule(payment) {
+        const { data: existing } = await supabase
+            .from('student_installments')
+            .select('*')
+            .eq('first_payment_id', payment.id)
+            .order('installment_number', { ascending: true });
+
+        if (existing && existing.length > 0) {
+            return existing;
+        }
+
+        const { data: plan } = await supabase
+            .from('installment_plans')
+            .select('*')
+            .eq('id', payment.installment_plan_id)
+            .single();
+
+        if (!plan) {
+            throw new AppError('Installment plan not found', 404);
+        }
+
+        const amounts = this.getInstallmentAmounts(plan);
+        const startedAt = new Date(payment.captured_at || Date.now()).getTime();
+
+        // The first installment is the amount actually paid, even if the plan changed since the order
+        const rows = amounts.map((amount, index) => ({
+            plan_id: plan.id,
+            student_id: payment.student_id,
+            course_id: payment.course_id,
+            first_payment_id: payment.id,
+            installment_number: index + 1,
+            amount: index === 0 ? parseFloat(payment.amount) : amount,
+            due_date: new Date(startedAt + index * plan.interval_days * DAY_MS).toISOString(),
+            status: index === 0 ? 'paid' : 'pending',
+            payment_id: index === 0 ? payment.id : null,
+            paid_at: index === 0 ? new Date(startedAt).toISOString() : null
+        }));
+
+        const { data: schedule, error } = await supabase
+            .from('student_installments')
+            .insert(rows)
+            .select();
+
+        if (error) {
+            // Verification and webhook can race; the other one created it first
+            if (error.code === '23505') {
+                return this.createSchedule(payment);
+            }
+            throw new AppError('Failed to create installment schedule', 500);
+        }
+
+        await auditService.log(
+            payment.student_id,
+            'INSTALLMENT_SCHEDULE_CREATED',
+            `Started installment plan "${plan.name}" for course: ${payment.course_id}`,
+            { planId: plan.id, paymentId: payment.id, installments: rows.length }
+        );
+
+        return schedule.sort((a, b) => a.installment_number - b.installment_number);
+    }
+
+    // Get installment schedules of a student
+    async getStudentInstallments(studentId, courseId = null) {
+        let query = supabase
+            .from('student_installments')
+            .select(`
+                *,
+                installment_plans:plan_id (
+                    id,
+                    name,
+                    installment_count
+                ),
+                courses:course_id (
+                    id,
+                    title
+                )
+            `)
+            .eq('student_id', studentId)
+            .order('due_date', { ascending: true });
+
+        if (courseId) {
+            query = query.eq('course_id', courseId);
+        }
+
+        const { data: installments, error } = await query;
+
+        if (error) {
+            throw new AppError('Failed to fetch installments', 500);
+        }
+
+        const blockAfter = Date.now() - config.installments.graceDays * DAY_MS;
+
+        return installments.map(installment => ({
+            ...installment,
+            overdue: installment.status === 'pending' && new Date(installment.due_date).getTime() < Date.now(),
+            accessBlocked: installment.status === 'pending' && new Date(installment.due_date).getTime() < blockAfter
+        }));
+    }
+
+    // Earliest installment unpaid beyond the grace period, if any
+    async getOverdueInstallment(studentId, courseId) {
+        const blockAfter = new Date(Date.now() - config.installments.graceDays * DAY_MS).toISOString();
+
+        const { data: overdue } = await supabase
+            .from('student_installments')
+            .select('id, installment_number, amount, due_date')
+            .eq('student_id', studentId)
+            .eq('course_id', courseId)
+            .eq('status', 'pending')
+            .lt('due_date', blockAfter)
+            .order('due_date', { ascending: true })
+            .limit(1);
+
+        return overdue && overdue.length > 0 ? overdue[0] : null;
+    }
+
+    // Waive an installment, e.g. when it was settled outside Razorpay (admin only)
+    async waiveInstallment(installmentId, reason, adminId) {
+        const { data: waived, error } = await supabase
+            .from('student_installments')
+            .update({ status: 'waived' })
+            .eq('id', installmentId)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            throw new AppError('Failed to waive installment', 500);
+        }
+
+        if (!waived || waived.length === 0) {
+            throw new AppError('Pending installment not found', 404);
+        }
+
+        await auditService.log(
+            adminId,
+            'INSTALLMENT_WAIVED',
+            `Waived installment ${waived[0].installment_number} for student: ${waived[0].student_id}`,
+            { installmentId, studentId: waived[0].student_id, courseId: waived[0].course_id, amount: waived[0].amount, reason }
+        );
+
+        return waived[0];
+    }
+
+    // Remind students of installments falling due within the reminder window (once per installment)
+    async sendReminders() {
+        const horizon = new Date(Date.now() + config.installments.reminderDaysBefore * DAY_MS).toISOString();
+
+        const { data: due, error } = await supabase
+            .from('student_installments')
+            .select(`
+                *,
+                users:student_id (
+                    id,
+                    name,
+                    email
+                ),
+                courses:course_id (
+                    id,
+                    title
+                )
+            `)
+            .eq('status', 'pending')
+            .is('reminder_sent_at', null)
+            .lte('due_date', horizon)
+            .order('due_date', { ascending: true })
+            .limit(500);
+
+        if (error) {
+            throw new AppError('Failed to fetch due installments', 500);
+        }
+
+        const summary = { due: due.length, sent: 0, skipped: 0, failed: 0 };
+
+        for (const installment of due) {
+            // No reminders for enrollments that were revoked or cancelled
+            const { data: enrollment } = await supabase
+                .from('enrollments')
+                .select('id')
+                .eq('student_id', installment.student_id)
+                .eq('course_id', installment.course_id)
+                .eq('status', 'active')
+                .single();
+
+            if (!enrollment) {
+                summary.skipped++;
+                continue;
+            }
+
+            // Claim the reminder first so overlapping runs never send it twice
+            const { data: claimed } = await supabase
+                .from('student_installments')
+                .update({ reminder_sent_at: new Date().toISOString() })
+                .eq('id', installment.id)
+                .is('reminder_sent_at', null)
+                .select('id');
+
+            if (!claimed || claimed.length === 0) {
+                summary.skipped++;
+                continue;
+            }
+
+            const result = await notificationService.sendInstallmentReminder(installment.users, installment.courses, installment);
+
+            if (!result.success) {
+                // Released so the next run retries it
+                await supabase
+                    .from('student_installments')
+                    .update({ reminder_sent_at: null })
+                    .eq('id', installment.id);
+
+                summary.failed++;
+                continue;
+            }
+
+            await notificationService.createNotification(
+                installment.student_id,
+                'Installment due',
+                `Installment ${installment.installment_number} of ₹${parseFloat(installment.amount).toFixed(2)} for ${installment.courses.title} is due on ${new Date(installment.due_date).toLocaleDateString('en-IN')}.`,
+                'warning'
+            );
+
+            summary.sent++;
+        }
+
+        return summary;
+    }
+
+    // Send reminders on a timer when INSTALLMENT_REMINDER_INTERVAL_HOURS is set
+    startReminderSchedule() {
+        const { reminderIntervalHours } = config.installments;
+
+        if (!reminderIntervalHours) {
+            return;
+        }
+
+        const timer = setInterval(() => {
+            this.sendReminders().catch(error => console.error('Scheduled installment reminder error:', error.message));
+        }, reminderIntervalHours * 60 * 60 * 1000);
+        timer.unref();
+
+        console.log(`⏰ Installment reminders scheduled every ${reminderIntervalHours}h`);
+    }
+
+    /**
+     * @private
+     */
+    validate(plan) {
+        if (!plan.name || !String(plan.name).trim()) {
+            throw new AppError('Plan name is required', 400);
+        }
+
+        if (!Number.isInteger(plan.installment_count) || plan.installment_count < 2 || plan.installment_count > 12) {
+            throw new AppError('installment_count must be a whole number between 2 and 12', 400);
+        }
+
+        if (!Number.isInteger(plan.interval_days) || plan.interval_days < 1) {
+            throw new AppError('interval_days must be a positive whole number', 400);
+        }
+
+        if (!(parseFloat(plan.total_amount) > 0)) {
+            throw new AppError('total_amount must be greater than 0', 400);
+        }
+    }
+}
+
+export default new InstallmentService();
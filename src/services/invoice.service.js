@@ -0,0 +1,378 @@
+import PDFDocument from 'pdfkit';
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import streamingService from './streaming.service.js';
+import notificationService from './notification.service.js';
+import auditService from './audit.service.js';
+import gst from '../utils/gst.js';
+
+const formatAmount = (value) => `Rs. ${parseFloat(value).toFixed(2)}`;
+
+class InvoiceService {
+    // Issue the tax invoice of a captured payment, store it and email it. Idempotent per payment.
+    async generateForPayment(paymentId) {
+        let invoice = await this.getInvoiceByPaymentId(paymentId);
+
+        if (invoice && invoice.file_url) {
+            return invoice;
+        }
+
+        if (!invoice) {
+            invoice = await this.createInvoiceRecord(paymentId);
+        }
+
+        // Render and store the PDF (also retried here if an earlier upload failed)
+        const pdfBuffer = await this.createInvoicePDF(invoice);
+
+        const uploadResult = await streamingService.uploadFile({
+            buffer: pdfBuffer,
+            originalname: `invoice_${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+            mimetype: 'application/pdf',
+            size: pdfBuffer.length
+        }, 'invoices');
+
+        // Capture and the first download can both get here; the first stored file wins
+        const { data: stored, error } = await supabase
+            .from('invoices')
+            .update({ file_url: uploadResult.fileUrl })
+            .eq('id', invoice.id)
+            .is('file_url', null)
+            .select();
+
+        if (error) {
+            throw new AppError('Failed to save invoice', 500);
+        }
+
+        if (!stored || stored.length === 0) {
+            await streamingService.deleteFile(uploadResult.fileUrl).catch(error => console.error('Duplicate invoice cleanup error:', error.message));
+            return this.getInvoiceByPaymentId(paymentId);
+        }
+
+        invoice = stored[0];
+
+        if (!invoice.emailed_at) {
+            // Claim the email first so concurrent calls never send it twice
+            const { data: claimed } = await supabase
+                .from('invoices')
+                .update({ emailed_at: new Date().toISOString() })
+                .eq('id', invoice.id)
+                .is('emailed_at', null)
+                .select();
+
+            if (claimed && claimed.length > 0) {
+                invoice = claimed[0];
+
+                const result = await notificationService.sendInvoiceEmail(
+                    { name: invoice.billing_name, email: invoice.billing_email },
+                    invoice,
+                    pdfBuffer
+                );
+
+                if (!result.success) {
+                    // Released so a later call can send it
+                    await supabase
+                        .from('invoices')
+                        .update({ emailed_at: null })
+                        .eq('id', invoice.id);
+
+                    invoice = { ...invoice, emailed_at: null };
+                }
+            }
+        }
+
+        return invoice;
+    }
+
+    /**
+     * @private
+     */
+    async createInvoiceRecord(paymentId) {
+        if (!config.invoice.gstin || !gst.isValidStateCode(config.invoice.stateCode)) {
+            throw new AppError('Invoicing is not configured. Please contact administrator.', 500);
+        }
+
+        const { data: payment, error } = await supabase
+            .from('payments')
+            .select(`
+                *,
+                users:student_id (
+                    id,
+                    name,
+                    email,
+                    state_code
+                ),
+                courses:course_id (
+                    id,
+                    title
+                ),
+                coupons:coupon_id (
+                    code
+                ),
+                installment_plans:installment_plan_id (
+                    installment_count
+                ),
+                course_bundles:bundle_id (
+                    title
+                )
+            `)
+            .eq('id', paymentId)
+            .single();
+
+        if (error || !payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        // Refunded payments keep the invoice they were paid with
+        if (!['captured', 'refunded'].includes(payment.status)) {
+            throw new AppError('Invoices are only issued for completed payments', 400);
+        }
+
+        const issuedAt = new Date();
+        const financialYear = gst.financialYear(issuedAt);
+
+        // Unregistered buyers without a known state are billed at the supplier's location
+        const placeOfSupply = gst.isValidStateCode(payment.users.state_code)
+            ? payment.users.state_code
+            : config.invoice.stateCode;
+
+        const total = parseFloat(payment.amount);
+        const discount = parseFloat(payment.discount_amount || 0);
+        const taxes = gst.splitInclusive(total, config.invoice.gstRate, placeOfSupply === config.invoice.stateCode);
+
+        // The number is allocated in the same transaction as the insert; a concurrent call gets the invoice issued first
+        const { data: invoice, error: insertError } = await supabase.rpc('issue_invoice', {
+            p_number_prefix: config.invoice.numberPrefix,
+            p_invoice: {
+                payment_id: payment.id,
+                financial_year: financialYear,
+                student_id: payment.student_id,
+                course_id: payment.course_id,
+                bundle_id: payment.bundle_id,
+                billing_name: payment.users.name,
+                billing_email: payment.users.email,
+                billing_state_code: payment.users.state_code,
+                place_of_supply: placeOfSupply,
+                item_description: this.describeItem(payment),
+                sac_code: config.invoice.sacCode,
+                gross_amount: payment.original_amount ? parseFloat(payment.original_amount) : total + discount,
+                discount_amount: discount,
+                coupon_code: payment.coupons?.code || null,
+                taxable_amount: taxes.taxable,
+                gst_rate: config.invoice.gstRate,
+                cgst_amount: taxes.cgst,
+                sgst_amount: taxes.sgst,
+                igst_amount: taxes.igst,
+                total_amount: total,
+                issued_at: issuedAt.toISOString()
+            }
+        });
+
+        if (insertError) {
+            // A concurrent call in another financial year issued it first; its number wins
+            if (insertError.code === '23505') {
+                const existing = await this.getInvoiceByPaymentId(paymentId);
+                if (existing) {
+                    return existing;
+                }
+            }
+
+            throw new AppError('Failed to create invoice', 500);
+        }
+
+        await auditService.log(
+            null,
+            'INVOICE_ISSUED',
+            `Invoice ${invoice.invoice_number} issued for payment ${payment.id}`,
+            { invoiceId: invoice.id, paymentId: payment.id, total }
+        );
+
+        return invoice;
+    }
+
+    /**
+     * @private
+     */
+    describeItem(payment) {
+        if (payment.course_bundles) {
+            return `${payment.course_bundles.title} (course bundle)`;
+        }
+
+        const title = payment.courses?.title || 'Course enrollment';
+
+        if (payment.installment_number && payment.installment_plans) {
+            return `${title} (installment ${payment.installment_number} of ${payment.installment_plans.installment_count})`;
+        }
+
+        return title;
+    }
+
+    // Create invoice PDF
+    async createInvoicePDF(invoice) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const left = 50;
+            const width = doc.page.width - 100;
+            const amountX = left + width - 120;
+
+            // Header
+            doc.fontSize(22)
+                .font('Helvetica-Bold')
+                .fillColor('#1e40af')
+                .text('TAX INVOICE', left, 50, { align: 'right', width });
+
+            doc.fontSize(16)
+                .fillColor('#111827')
+                .text(config.invoice.companyName, left, 50);
+
+            doc.fontSize(10)
+                .font('Helvetica')
+                .fillColor('#374151');
+
+            if (config.invoice.address) {
+                doc.text(config.invoice.address, { width: width / 2 });
+            }
+
+            doc.text(`GSTIN: ${config.invoice.gstin}`)
+                .text(`State: ${gst.formatState(config.invoice.stateCode)}`);
+
+            // Invoice details and billing party
+            const detailsTop = Math.max(doc.y, 120) + 20;
+
+            doc.font('Helvetica-Bold').text('Billed To', left, detailsTop);
+            doc.font('Helvetica')
+                .text(invoice.billing_name)
+                .text(invoice.billing_email);
+
+            if (invoice.billing_state_code) {
+                doc.text(`State: ${gst.formatState(invoice.billing_state_code)}`);
+            }
+
+            const issueDate = new Date(invoice.issued_at).toLocaleDateString('en-IN', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+
+            doc.text(`Invoice No: ${invoice.invoice_number}`, left + width / 2, detailsTop, { align: 'right', width: width / 2 })
+                .text(`Invoice Date: ${issueDate}`, { align: 'right', width: width / 2 })
+                .text(`Place of Supply: ${gst.formatState(invoice.place_of_supply)}`, { align: 'right', width: width / 2 });
+
+            // Line item
+            let y = Math.max(doc.y, detailsTop + 60) + 25;
+
+            doc.rect(left, y, width, 20).fill('#1e40af');
+            doc.font('Helvetica-Bold')
+                .fillColor('#ffffff')
+                .text('Description', left + 8, y + 6)
+                .text('SAC', left + width - 200, y + 6)
+                .text('Amount', amountX, y + 6, { width: 112, align: 'right' });
+
+            y += 28;
+            doc.font('Helvetica')
+                .fillColor('#111827')
+                .text(invoice.item_description, left + 8, y, { width: width - 220 })
+                .text(invoice.sac_code, left + width - 200, y)
+                .text(formatAmount(invoice.gross_amount), amountX, y, { width: 112, align: 'right' });
+
+            y = Math.max(doc.y, y + 14) + 10;
+            doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke('#d1d5db');
+            y += 10;
+
+            // Totals; amounts are GST-inclusive, so taxes are shown as the part of the total they make up
+            const rows = [];
+
+            if (parseFloat(invoice.discount_amount) > 0) {
+                rows.push([`Less: Discount${invoice.coupon_code ? ` (coupon ${invoice.coupon_code})` : ''}`, `- ${formatAmount(invoice.discount_amount)}`]);
+            }
+
+            rows.push(['Taxable Value', formatAmount(invoice.taxable_amount)]);
+
+            const rate = parseFloat(invoice.gst_rate);
+            if (parseFloat(invoice.igst_amount) > 0) {
+                rows.push([`IGST @ ${rate}%`, formatAmount(invoice.igst_amount)]);
+            } else {
+                rows.push([`CGST @ ${rate / 2}%`, formatAmount(invoice.cgst_amount)]);
+                rows.push([`SGST @ ${rate / 2}%`, formatAmount(invoice.sgst_amount)]);
+            }
+
+            for (const [label, amount] of rows) {
+                doc.text(label, left + width / 2, y, { width: width / 2 - 130 })
+                    .text(amount, amountX, y, { width: 112, align: 'right' });
+                y += 18;
+            }
+
+            doc.moveTo(left + width / 2, y).lineTo(left + width, y).stroke('#d1d5db');
+            y += 8;
+
+            doc.font('Helvetica-Bold')
+                .text('Total (incl. GST)', left + width / 2, y, { width: width / 2 - 130 })
+                .text(formatAmount(invoice.total_amount), amountX, y, { width: 112, align: 'right' });
+
+            // Footer
+            doc.fontSize(9)
+                .font('Helvetica')
+                .fillColor('#6b7280')
+                .text('Prices are inclusive of GST. Tax is not payable on reverse charge basis.', left, y + 50, { width })
+                .text('This is a computer-generated invoice and does not require a signature.', { width });
+
+            doc.end();
+        });
+    }
+
+    // Get a download URL for a payment's invoice, issuing it first if it is missing
+    async getInvoiceUrl(paymentId, user) {
+        const { data: payment, error } = await supabase
+            .from('payments')
+            .select('id, student_id, status')
+            .eq('id', paymentId)
+            .single();
+
+        if (error || !payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        if (user.role !== 'admin' && payment.student_id !== user.id) {
+            throw new AppError('You do not have access to this invoice', 403);
+        }
+
+        let invoice = await this.getInvoiceByPaymentId(paymentId);
+
+        if (!invoice || !invoice.file_url) {
+            invoice = await this.generateForPayment(paymentId);
+        }
+
+        // Generate signed URL
+        const signedUrl = await streamingService.getSignedUrl(invoice.file_url, 300); // 5 minutes
+
+        return {
+            url: signedUrl,
+            invoiceNumber: invoice.invoice_number,
+            issuedAt: invoice.issued_at
+        };
+    }
+
+    /**
+     * @private
+     */
+    async getInvoiceByPaymentId(paymentId) {
+        const { data: invoice } = await supabase
+            .from('invoices')
+            .select('*')
+            .eq('payment_id', paymentId)
+            .single();
+
+        return invoice || null;
+    }
+}
+
+export default new InvoiceService();
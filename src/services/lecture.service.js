@@ -1,6 +1,30 @@
 import supabase from '../config/database.js';
+import { config } from '../config/config.js';
 import { AppError } from '../middlewares/error.middleware.js';
-import certificateService from './certificate.service.js';
+import completionService from './completion.service.js';
+import enrollmentService from './enrollment.service.js';
+import auditService from './audit.service.js';
+import transcodingService from './transcoding.service.js';
+import streamGuardService from './streamGuard.service.js';
+
+// Merge [start, end] intervals into a sorted, non-overlapping list
+const mergeSegments = (segments) => {
+    const sorted = [...segments].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+
+    return merged;
+};
+
+const totalSeconds = (segments) => segments.reduce((sum, [start, end]) => sum + (end - start), 0);
 
 class LectureService {
     // Get lectures by chapter
@@ -64,6 +88,10 @@ class LectureService {
             throw new AppError('Failed to create lecture', 500);
         }
 
+        if (lecture.type === 'video' && lecture.file_url) {
+            await this.queueTranscode(lecture.id);
+        }
+
         return lecture;
     }
 
@@ -93,9 +121,23 @@ class LectureService {
             throw new AppError('Failed to update lecture', 500);
         }
 
+        // A new video file needs a fresh HLS ladder
+        if (updates.file_url && lecture.type === 'video') {
+            await this.queueTranscode(lecture.id);
+        }
+
         return lecture;
     }
 
+    // Start HLS transcoding without failing the lecture save
+    async queueTranscode(lectureId) {
+        try {
+            await transcodingService.queueTranscode(lectureId);
+        } catch (error) {
+            console.error('Transcoding queue error:', error);
+        }
+    }
+
     // Delete lecture
     async deleteLecture(lectureId) {
         const { error } = await supabase
@@ -145,7 +187,15 @@ class LectureService {
 
     // Update lecture progress
     async updateLectureProgress(studentId, lectureId, progressData) {
-        const { completed, last_position } = progressData;
+        const { last_position } = progressData;
+        let { completed } = progressData;
+
+        // Videos only complete through verified heartbeats; keep whatever they have earned
+        const lecture = await this.getLectureById(lectureId);
+        if (lecture.type === 'video') {
+            const existing = await this.getLectureProgress(studentId, lectureId);
+            completed = existing.completed;
+        }
 
         const updateData = {
             student_id: studentId,
@@ -154,7 +204,7 @@ class LectureService {
             last_position: last_position || 0
         };
 
-        if (completed) {
+        if (completed && lecture.type !== 'video') {
             updateData.completed_at = new Date().toISOString();
         }
 
@@ -170,8 +220,8 @@ class LectureService {
             throw new AppError('Failed to update lecture progress', 500);
         }
 
-        // Check if all lectures in the course are completed
-        if (completed) {
+        // Check if the course completion rules are now met
+        if (completed && lecture.type !== 'video') {
             try {
                 await this.checkAndGenerateCertificate(studentId, lectureId);
             } catch (certError) {
@@ -183,67 +233,140 @@ class LectureService {
         return progress;
     }
 
-    // Check if all course lectures are completed and generate certificate
-    async checkAndGenerateCertificate(studentId, lectureId) {
-        // Get the course ID for this lecture
+    // Record a player heartbeat with the segments watched since the last one
+    async recordHeartbeat(studentId, lectureId, heartbeat) {
         const lecture = await this.getLectureById(lectureId);
-        const courseId = lecture.chapters.course_id;
 
-        // Get all lectures for this course
-        const { data: allLectures } = await supabase
-            .from('lectures')
-            .select('id')
-            .eq('chapter_id', supabase.rpc('get_course_chapters', { p_course_id: courseId }));
+        if (lecture.type !== 'video') {
+            throw new AppError('Heartbeats are only accepted for video lectures', 400);
+        }
 
-        // Alternative: Get all lectures via chapters
-        const { data: chapters } = await supabase
-            .from('chapters')
-            .select('id')
-            .eq('course_id', courseId);
+        const duration = Number(lecture.duration);
+        if (!(duration > 0)) {
+            throw new AppError('Lecture duration is not set', 400);
+        }
 
-        if (!chapters || chapters.length === 0) {
-            return;
+        const { hasAccess, reason } = await enrollmentService.checkAccess(studentId, lecture.chapters.course_id);
+        if (!hasAccess) {
+            throw new AppError(`Access denied: ${reason}`, 403);
         }
 
-        const chapterIds = chapters.map(c => c.id);
+        const { completionThreshold, maxPlaybackRate, maxHeartbeatIntervalSeconds, toleranceSeconds } = config.watchProgress;
+        const segments = mergeSegments(this.parseSegments(heartbeat.segments, duration));
+        const existing = await this.getLectureProgress(studentId, lectureId);
+
+        // Watch time can't accrue faster than the player can play since the viewing session began.
+        // A session starts with a heartbeat (players send one when playback starts) and ends after
+        // a gap longer than the heartbeat interval; the tolerance is granted once per session.
+        const now = new Date();
+        const continuesSession = existing.watch_session_started_at && existing.last_heartbeat_at
+            && (now - new Date(existing.last_heartbeat_at)) / 1000 <= maxHeartbeatIntervalSeconds;
+        const sessionStartedAt = continuesSession ? new Date(existing.watch_session_started_at) : now;
+        const elapsedSeconds = Math.max(0, (now - sessionStartedAt) / 1000);
+        const allowedSeconds = elapsedSeconds * maxPlaybackRate + toleranceSeconds;
+        const claimedSeconds = totalSeconds(segments);
+        const sessionSeconds = (continuesSession ? Number(existing.watch_session_seconds) || 0 : 0) + claimedSeconds;
+
+        if (sessionSeconds > allowedSeconds) {
+            await auditService.log(
+                studentId,
+                'WATCH_PROGRESS_REJECTED',
+                `Rejected implausible progress for lecture: ${lecture.title}`,
+                { lectureId, claimedSeconds, sessionSeconds, allowedSeconds, elapsedSeconds }
+            );
+
+            const error = new AppError('Progress report rejected: more video reported than could have been played', 422);
+            error.code = 'IMPLAUSIBLE_PROGRESS';
+            throw error;
+        }
 
-        const { data: courseLectures } = await supabase
-            .from('lectures')
-            .select('id')
-            .in('chapter_id', chapterIds);
+        const watchedSegments = mergeSegments([...(existing.watched_segments || []), ...segments]);
+        const watchedSeconds = Math.round(totalSeconds(watchedSegments) * 100) / 100;
+        const newlyCompleted = !existing.completed && watchedSeconds >= duration * completionThreshold;
+        const lastSegment = segments[segments.length - 1];
+        const position = Number(heartbeat.position);
 
-        if (!courseLectures || courseLectures.length === 0) {
-            return;
-        }
+        const updateData = {
+            student_id: studentId,
+            lecture_id: lectureId,
+            watched_segments: watchedSegments,
+            watched_seconds: watchedSeconds,
+            last_heartbeat_at: now.toISOString(),
+            watch_session_started_at: sessionStartedAt.toISOString(),
+            watch_session_seconds: Math.round(sessionSeconds * 100) / 100,
+            last_position: Number.isFinite(position)
+                ? Math.min(Math.max(0, position), duration)
+                : (lastSegment ? lastSegment[1] : existing.last_position || 0),
+            completed: existing.completed || newlyCompleted
+        };
 
-        // Get student's completed lectures for this course
-        const lectureIds = courseLectures.map(l => l.id);
+        if (newlyCompleted) {
+            updateData.completed_at = now.toISOString();
+        }
 
-        const { data: completedLectures } = await supabase
+        const { data: progress, error } = await supabase
             .from('lecture_progress')
-            .select('lecture_id')
-            .eq('student_id', studentId)
-            .in('lecture_id', lectureIds)
-            .eq('completed', true);
-
-        // Check if all lectures are completed
-        if (completedLectures && completedLectures.length === courseLectures.length) {
-            console.log(`🎓 All lectures completed for course ${courseId}. Generating certificate...`);
-
-            // Check if certificate already exists
-            const { data: existingCert } = await supabase
-                .from('certificates')
-                .select('id')
-                .eq('student_id', studentId)
-                .eq('course_id', courseId)
-                .single();
+            .upsert(updateData, {
+                onConflict: 'student_id,lecture_id'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update lecture progress', 500);
+        }
 
-            if (!existingCert) {
-                // Generate certificate
-                await certificateService.generateCertificate(studentId, courseId);
-                console.log(`✅ Certificate generated for student ${studentId}, course ${courseId}`);
+        // Heartbeats keep the stream session counted as active
+        await streamGuardService.touchSession(studentId, lectureId);
+
+        if (newlyCompleted) {
+            try {
+                await this.checkAndGenerateCertificate(studentId, lectureId);
+            } catch (certError) {
+                // Log error but don't fail the progress update
+                console.error('Certificate generation error:', certError);
             }
         }
+
+        return {
+            ...progress,
+            watchedPercentage: Math.min(100, Math.round((watchedSeconds / duration) * 100))
+        };
+    }
+
+    // Validate heartbeat segments ([start, end] pairs or { start, end } objects, in seconds)
+    parseSegments(segments, duration) {
+        if (!Array.isArray(segments)) {
+            throw new AppError('segments must be a list of [start, end] pairs', 400);
+        }
+
+        const { toleranceSeconds } = config.watchProgress;
+
+        return segments
+            .map(segment => {
+                const [start, end] = Array.isArray(segment)
+                    ? segment.map(Number)
+                    : [Number(segment?.start), Number(segment?.end)];
+
+                if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+                    throw new AppError('Each segment needs a start and a later end', 400);
+                }
+
+                if (end > duration + toleranceSeconds) {
+                    throw new AppError('Segment extends past the end of the video', 400);
+                }
+
+                return [Math.round(start * 100) / 100, Math.round(Math.min(end, duration) * 100) / 100];
+            })
+            .filter(([start, end]) => end > start);
+    }
+
+    // Issue the course certificate once the completion rules are met
+    async checkAndGenerateCertificate(studentId, lectureId) {
+        // Get the course ID for this lecture
+        const lecture = await this.getLectureById(lectureId);
+
+        await completionService.checkAndIssueCertificate(studentId, lecture.chapters.course_id);
     }
 
     // Transfer lectures to another chapter
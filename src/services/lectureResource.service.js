@@ -0,0 +1,268 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import lectureService from './lecture.service.js';
+import enrollmentService from './enrollment.service.js';
+import completionService from './completion.service.js';
+
+const RESOURCE_TYPES = ['slides', 'code', 'assignment', 'document', 'link', 'other'];
+const ACCESS_LEVELS = ['enrolled', 'preview', 'completed'];
+
+// Storage keys and links are only handed out through the access-checked URL endpoint
+const STUDENT_FIELDS = ['id', 'lecture_id', 'title', 'resource_type', 'file_name', 'mime_type', 'file_size', 'access_level', 'available_from', 'resource_order'];
+
+class LectureResourceService {
+    // Get a lecture's resources; students see access state instead of file locations
+    async getResources(lectureId, user) {
+        const lecture = await lectureService.getLectureById(lectureId);
+
+        const { data: resources, error } = await supabase
+            .from('lecture_resources')
+            .select('*')
+            .eq('lecture_id', lectureId)
+            .order('resource_order', { ascending: true });
+
+        if (error) {
+            throw new AppError('Failed to fetch lecture resources', 500);
+        }
+
+        if (user.role !== 'student') {
+            return resources;
+        }
+
+        const context = await this.getAccessContext(user.id, lecture);
+
+        return resources.map(resource => {
+            const { allowed, reason } = this.evaluateAccess(resource, context);
+            const visible = {};
+            for (const field of STUDENT_FIELDS) {
+                visible[field] = resource[field];
+            }
+            return { ...visible, locked: !allowed, lockedReason: allowed ? null : reason };
+        });
+    }
+
+    // Get resource by ID, with its lecture and course
+    async getResourceById(resourceId) {
+        const { data: resource, error } = await supabase
+            .from('lecture_resources')
+            .select(`
+        *,
+        lectures:lecture_id (
+          id,
+          title,
+          chapter_id,
+          chapters:chapter_id (
+            id,
+            course_id
+          )
+        )
+      `)
+            .eq('id', resourceId)
+            .single();
+
+        if (error || !resource) {
+            throw new AppError('Resource not found', 404);
+        }
+
+        return resource;
+    }
+
+    // Create resource
+    async createResource(lectureId, resourceData) {
+        await lectureService.getLectureById(lectureId);
+
+        const fields = this.validate(resourceData);
+
+        if (fields.resource_order === undefined) {
+            const { data: last } = await supabase
+                .from('lecture_resources')
+                .select('resource_order')
+                .eq('lecture_id', lectureId)
+                .order('resource_order', { ascending: false })
+                .limit(1);
+
+            fields.resource_order = last && last.length > 0 ? last[0].resource_order + 1 : 1;
+        }
+
+        const { data: resource, error } = await supabase
+            .from('lecture_resources')
+            .insert({
+                lecture_id: lectureId,
+                access_level: 'enrolled',
+                ...fields
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create resource', 500);
+        }
+
+        return resource;
+    }
+
+    // Update resource
+    async updateResource(resourceId, updateData) {
+        const existing = await this.getResourceById(resourceId);
+        const { lectures, ...current } = existing;
+
+        const updates = this.validate({ ...current, ...updateData }, updateData);
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No valid fields to update', 400);
+        }
+
+        const { data: resource, error } = await supabase
+            .from('lecture_resources')
+            .update(updates)
+            .eq('id', resourceId)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update resource', 500);
+        }
+
+        return resource;
+    }
+
+    // Delete resource; its file is left for the storage cleanup job
+    async deleteResource(resourceId) {
+        const { error } = await supabase
+            .from('lecture_resources')
+            .delete()
+            .eq('id', resourceId);
+
+        if (error) {
+            throw new AppError('Failed to delete resource', 500);
+        }
+
+        return { success: true, message: 'Resource deleted successfully' };
+    }
+
+    // Reorder resources
+    async reorderResources(lectureId, resourceOrders) {
+        if (!Array.isArray(resourceOrders) || resourceOrders.length === 0) {
+            throw new AppError('resourceOrders must be a non-empty list', 400);
+        }
+
+        try {
+            for (const { id, resource_order } of resourceOrders) {
+                await supabase
+                    .from('lecture_resources')
+                    .update({ resource_order })
+                    .eq('id', id)
+                    .eq('lecture_id', lectureId);
+            }
+
+            return { success: true, message: 'Resources reordered successfully' };
+        } catch (error) {
+            throw new AppError('Failed to reorder resources', 500);
+        }
+    }
+
+    // Throw unless the student may open this resource
+    async assertCanAccess(resource, studentId) {
+        const context = await this.getAccessContext(studentId, resource.lectures);
+        const { allowed, reason } = this.evaluateAccess(resource, context);
+
+        if (!allowed) {
+            const error = new AppError(`Access denied: ${reason}`, 403);
+            error.code = 'RESOURCE_LOCKED';
+            throw error;
+        }
+    }
+
+    /**
+     * Everything the access rules depend on, fetched once per lecture
+     * @private
+     */
+    async getAccessContext(studentId, lecture) {
+        const courseId = lecture.chapters.course_id;
+        const { hasAccess, reason } = await enrollmentService.checkAccess(studentId, courseId);
+
+        const context = {
+            enrolled: hasAccess,
+            enrollmentReason: reason,
+            chapterUnlocked: false,
+            lectureCompleted: false
+        };
+
+        if (hasAccess) {
+            context.chapterUnlocked = (await completionService.getChapterAccess(studentId, lecture.chapter_id)).unlocked;
+            context.lectureCompleted = (await lectureService.getLectureProgress(studentId, lecture.id)).completed === true;
+        }
+
+        return context;
+    }
+
+    /**
+     * @private
+     */
+    evaluateAccess(resource, context) {
+        if (resource.available_from && new Date(resource.available_from) > new Date()) {
+            return { allowed: false, reason: `Available from ${new Date(resource.available_from).toISOString()}` };
+        }
+
+        if (resource.access_level === 'preview') {
+            return { allowed: true };
+        }
+
+        if (!context.enrolled) {
+            return { allowed: false, reason: context.enrollmentReason };
+        }
+
+        if (!context.chapterUnlocked) {
+            return { allowed: false, reason: 'Chapter is locked' };
+        }
+
+        if (resource.access_level === 'completed' && !context.lectureCompleted) {
+            return { allowed: false, reason: 'Complete the lecture to unlock this resource' };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Validate the merged resource and return the fields present in the request
+     * @private
+     */
+    validate(resource, requested = resource) {
+        const allowedFields = ['title', 'resource_type', 'file_url', 'external_url', 'file_name', 'mime_type', 'file_size', 'access_level', 'available_from', 'resource_order'];
+        const fields = {};
+
+        for (const field of allowedFields) {
+            if (requested[field] !== undefined) {
+                fields[field] = requested[field];
+            }
+        }
+
+        if (!resource.title) {
+            throw new AppError('Resource title is required', 400);
+        }
+
+        if (!RESOURCE_TYPES.includes(resource.resource_type)) {
+            throw new AppError(`Resource type must be one of: ${RESOURCE_TYPES.join(', ')}`, 400);
+        }
+
+        if (resource.access_level !== undefined && !ACCESS_LEVELS.includes(resource.access_level)) {
+            throw new AppError(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`, 400);
+        }
+
+        if (resource.resource_type === 'link') {
+            if (!/^https?:\/\//i.test(resource.external_url || '')) {
+                throw new AppError('Link resources need an http(s) external_url', 400);
+            }
+            fields.file_url = null;
+        } else {
+            if (!resource.file_url) {
+                throw new AppError('File resources need a file_url from an upload', 400);
+            }
+            fields.external_url = null;
+        }
+
+        return fields;
+    }
+}
+
+export default new LectureResourceService();
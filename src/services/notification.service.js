@@ -4,7 +4,7 @@ import supabase from '../config/database.js';
 
 class NotificationService {
     constructor() {
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
             host: config.email.host,
             port: config.email.port,
             secure: config.email.secure,
@@ -16,13 +16,14 @@ class NotificationService {
     }
 
     // Send email
-    async sendEmail(to, subject, html) {
+    async sendEmail(to, subject, html, attachments = []) {
         try {
             const info = await this.transporter.sendMail({
                 from: config.email.from,
                 to,
                 subject,
-                html
+                html,
+                attachments
             });
 
             return { success: true, messageId: info.messageId };
@@ -102,6 +103,50 @@ class NotificationService {
         return this.sendEmail(user.email, subject, html);
     }
 
+    // Send installment due reminder
+    async sendInstallmentReminder(user, course, installment) {
+        const dueDate = new Date(installment.due_date).toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+        const overdue = new Date(installment.due_date) < new Date();
+        const subject = `${overdue ? 'Installment Overdue' : 'Installment Due Soon'}: ${course.title}`;
+        const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">${overdue ? 'Installment Overdue' : 'Installment Due Soon'}</h2>
+        <p>Dear ${user.name},</p>
+        <p>Installment ${installment.installment_number} of <strong>₹${parseFloat(installment.amount).toFixed(2)}</strong> for <strong>${course.title}</strong> ${overdue ? 'was' : 'is'} due on ${dueDate}.</p>
+        <p>Course access is paused if an installment stays unpaid for more than ${config.installments.graceDays} days after its due date.</p>
+        <p><a href="${config.frontendUrl}/student/payments" style="background-color: #1e40af; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin-top: 10px;">Pay Now</a></p>
+        <p>Best regards,<br>AS Academy Team</p>
+      </div>
+    `;
+
+        return this.sendEmail(user.email, subject, html);
+    }
+
+    // Send tax invoice email with the PDF attached
+    async sendInvoiceEmail(user, invoice, pdfBuffer) {
+        const subject = `Tax Invoice ${invoice.invoice_number}`;
+        const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1e40af;">Thank you for your payment</h2>
+        <p>Dear ${user.name},</p>
+        <p>Please find attached the tax invoice for <strong>${invoice.item_description}</strong>.</p>
+        <p>Invoice Number: <strong>${invoice.invoice_number}</strong><br>Amount Paid: <strong>₹${parseFloat(invoice.total_amount).toFixed(2)}</strong></p>
+        <p>You can also download it any time from your payment history.</p>
+        <p>Best regards,<br>AS Academy Team</p>
+      </div>
+    `;
+
+        return this.sendEmail(user.email, subject, html, [{
+            filename: `invoice_${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+        }]);
+    }
+
     // Create in-app notification
     async createNotification(userId, title, message, type = 'info') {
         const { data, error } = await supabase
@@ -166,6 +211,18 @@ class NotificationService {
         return !error;
     }
 
+    // Notify every admin
+    async notifyAdmins(title, message, type = 'info') {
+        const { data: admins } = await supabase
+            .from('users')
+            .select('id')
+            .eq('role', 'admin');
+
+        return Promise.all(
+            (admins || []).map(admin => this.createNotification(admin.id, title, message, type))
+        );
+    }
+
     // Create course request notification (for teachers)
     async createCourseRequest(teacherId, teacherName, courseDetails) {
         // Get all admin users
@@ -6,6 +6,22 @@ import { AppError } from '../middlewares/error.middleware.js';
 import enrollmentService from './enrollment.service.js';
 import auditService from './audit.service.js';
 import couponService from './coupon.service.js';
+import refundService from './refund.service.js';
+import invoiceService from './invoice.service.js';
+import installmentService from './installment.service.js';
+import bundleService from './bundle.service.js';
+
+// Revenue kept from a payment after partial refunds
+const netAmount = (payment) => parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0);
+
+// Allowed next states; anything else is a replay or an out-of-order event and is ignored
+const PAYMENT_TRANSITIONS = {
+    created: ['authorized', 'captured', 'failed'],
+    authorized: ['captured', 'failed'],
+    failed: ['authorized', 'captured'],
+    captured: ['refunded'],
+    refunded: []
+};
 
 class PaymentService {
     constructor() {
@@ -15,41 +31,109 @@ class PaymentService {
         });
     }
 
-    // Create Razorpay order (with optional coupon)
-    async createOrder(studentId, courseId, couponCode = null) {
-        // Get course details
-        const { data: course, error } = await supabase
-            .from('courses')
-            .select('id, title, price')
-            .eq('id', courseId)
-            .single();
+    // Create Razorpay order (with optional coupon) for a course, a bundle, an installment plan or a later installment
+    async createOrder(studentId, courseId, couponCode = null, { installmentPlanId = null, installmentId = null, bundleId = null } = {}) {
+        if (bundleId && (installmentPlanId || installmentId)) {
+            throw new AppError('Bundles cannot be paid in installments', 400);
+        }
 
-        if (error || !course) {
-            throw new AppError('Course not found', 404);
+        // Later installments are paid by a student who is already enrolled
+        let installment = null;
+        if (installmentId) {
+            installment = await installmentService.getPayableInstallment(studentId, installmentId);
+            courseId = installment.course_id;
+            installmentPlanId = installment.plan_id;
+        }
+
+        // Get course or bundle details
+        let item;
+        if (bundleId) {
+            item = await bundleService.getBundleById(bundleId);
+            courseId = null;
+        } else {
+            const { data: course, error } = await supabase
+                .from('courses')
+                .select('id, title, price')
+                .eq('id', courseId)
+                .single();
+
+            if (error || !course) {
+                throw new AppError('Course not found', 404);
+            }
+
+            item = course;
         }
 
         // Check if already enrolled
-        const { data: existing } = await supabase
-            .from('enrollments')
-            .select('id')
-            .eq('student_id', studentId)
-            .eq('course_id', courseId)
-            .single();
+        let bundleCourseIds = null;
+        if (bundleId) {
+            const { data: enrolled } = await supabase
+                .from('enrollments')
+                .select('course_id')
+                .eq('student_id', studentId)
+                .in('course_id', item.courses.map(course => course.id));
+
+            // Partly owned bundles can still be bought (at a lower price); existing enrollments are kept as they are
+            const owned = new Set((enrolled || []).map(e => e.course_id));
+            bundleCourseIds = item.courses.map(course => course.id).filter(id => !owned.has(id));
+
+            if (bundleCourseIds.length === 0) {
+                throw new AppError('You are already enrolled in every course of this bundle', 400);
+            }
+        } else if (!installment) {
+            const { data: existing } = await supabase
+                .from('enrollments')
+                .select('id')
+                .eq('student_id', studentId)
+                .eq('course_id', courseId)
+                .single();
+
+            if (existing) {
+                throw new AppError('You are already enrolled in this course', 400);
+            }
+        }
+
+        let price = parseFloat(item.price);
 
-        if (existing) {
-            throw new AppError('You are already enrolled in this course', 400);
+        // Partly owned bundles are priced down to the list-price share of the courses still to be bought
+        if (bundleId && bundleCourseIds.length < item.courses.length) {
+            const remaining = item.courses.filter(course => bundleCourseIds.includes(course.id));
+            const share = item.coursesTotal > 0
+                ? remaining.reduce((sum, course) => sum + parseFloat(course.price), 0) / item.coursesTotal
+                : remaining.length / item.courses.length;
+
+            price = Math.round(price * share * 100) / 100;
         }
 
-        let finalAmount = course.price;
+        let originalAmount = price;
+        let finalAmount = price;
         let discountAmount = 0;
         let couponId = null;
+        let installmentNumber = null;
+
+        if (installmentPlanId) {
+            if (couponCode) {
+                throw new AppError('Coupons cannot be applied to installment payments', 400);
+            }
+
+            if (installment) {
+                finalAmount = parseFloat(installment.amount);
+                installmentNumber = installment.installment_number;
+            } else {
+                const plan = await installmentService.getActivePlan(installmentPlanId, courseId);
+                finalAmount = installmentService.getInstallmentAmounts(plan)[0];
+                installmentNumber = 1;
+            }
+
+            originalAmount = finalAmount;
+        }
 
         // Validate and apply coupon if provided
         if (couponCode) {
             try {
-                const coupon = await couponService.validateCoupon(couponCode, courseId, studentId);
-                discountAmount = couponService.calculateDiscount(coupon, course.price);
-                finalAmount = course.price - discountAmount;
+                const coupon = await couponService.validateCoupon(couponCode, courseId, studentId, bundleId);
+                discountAmount = couponService.calculateDiscount(coupon, price);
+                finalAmount = price - discountAmount;
                 couponId = coupon.id;
             } catch (error) {
                 // If coupon validation fails, throw the error
@@ -64,11 +148,13 @@ class PaymentService {
             receipt: `order_${Date.now()}`,
             notes: {
                 student_id: studentId,
-                course_id: courseId,
-                course_title: course.title,
-                original_amount: course.price,
+                course_id: courseId || 'none',
+                bundle_id: bundleId || 'none',
+                [bundleId ? 'bundle_title' : 'course_title']: item.title,
+                original_amount: price,
                 discount_amount: discountAmount,
-                coupon_code: couponCode || 'none'
+                coupon_code: couponCode || 'none',
+                installment_number: installmentNumber || 'none'
             }
         };
 
@@ -82,12 +168,17 @@ class PaymentService {
                     razorpay_order_id: order.id,
                     student_id: studentId,
                     course_id: courseId,
+                    bundle_id: bundleId,
+                    bundle_course_ids: bundleCourseIds,
                     amount: finalAmount,
-                    original_amount: course.price,
+                    original_amount: originalAmount,
                     discount_amount: discountAmount,
                     coupon_id: couponId,
+                    installment_plan_id: installmentPlanId,
+                    installment_id: installment ? installment.id : null,
+                    installment_number: installmentNumber,
                     currency: 'INR',
-                    status: 'pending'
+                    status: 'created'
                 });
 
             return {
@@ -95,9 +186,10 @@ class PaymentService {
                 amount: order.amount,
                 currency: order.currency,
                 keyId: config.razorpay.keyId,
-                originalAmount: course.price,
+                originalAmount: originalAmount,
                 discountAmount: discountAmount,
-                finalAmount: finalAmount
+                finalAmount: finalAmount,
+                installmentNumber
             };
         } catch (error) {
             console.error('Razorpay order creation error:', error);
@@ -119,66 +211,291 @@ class PaymentService {
             throw new AppError('Payment verification failed. Invalid signature.', 400);
         }
 
-        // Get payment record
+        const { payment, enrollment } = await this.capturePayment(razorpay_order_id, {
+            razorpay_payment_id,
+            razorpay_signature
+        }, 'verify');
+
+        return {
+            success: true,
+            message: 'Payment verified and enrollment successful',
+            payment,
+            enrollment
+        };
+    }
+
+    // Move a payment to captured and enroll the student. Idempotent per order: only the call that wins
+    // the status transition records coupon usage and enrolls; an enrollment lost to a crash is repaired by
+    // reconciliation, so replaying a verification can't bring back an enrollment an admin deleted.
+    async capturePayment(orderId, { razorpay_payment_id, razorpay_signature = null }, source) {
+        const payment = await this.getPaymentByOrderId(orderId);
+
+        if (payment.status === 'refunded') {
+            throw new AppError('This payment has been refunded', 400);
+        }
+
+        const updates = {
+            razorpay_payment_id,
+            payment_method: 'online',
+            captured_at: new Date().toISOString(),
+            failure_reason: null
+        };
+        if (razorpay_signature) {
+            updates.razorpay_signature = razorpay_signature;
+        }
+
+        const captured = await this.transition(orderId, 'captured', updates);
+
+        if (captured) {
+            // Record coupon usage if coupon was used
+            if (captured.coupon_id && captured.discount_amount > 0) {
+                await couponService.applyCoupon(
+                    captured.coupon_id,
+                    captured.student_id,
+                    captured.id,
+                    captured.discount_amount
+                );
+            }
+
+            // Log action
+            await auditService.log(
+                captured.student_id,
+                'PAYMENT_SUCCESS',
+                captured.bundle_id
+                    ? `Payment successful for bundle: ${captured.bundle_id}`
+                    : `Payment successful for course: ${captured.course_id}`,
+                {
+                    orderId,
+                    paymentId: razorpay_payment_id,
+                    amount: captured.amount,
+                    discount: captured.discount_amount || 0,
+                    coupon_used: captured.coupon_id ? true : false,
+                    source
+                }
+            );
+        }
+
+        // Enroll student (in every member course for a bundle)
+        const enrollments = [];
+        for (const courseId of this.getPaymentCourseIds(payment)) {
+            if (captured) {
+                enrollments.push(await enrollmentService.ensureEnrollment(payment.student_id, courseId, 'online'));
+            } else {
+                const { data: enrollment } = await supabase
+                    .from('enrollments')
+                    .select('*')
+                    .eq('student_id', payment.student_id)
+                    .eq('course_id', courseId)
+                    .single();
+
+                enrollments.push(enrollment || null);
+            }
+        }
+
+        const current = captured || await this.getPaymentByOrderId(orderId);
+
+        // Start or settle the installment schedule (no-op for full payments)
+        await installmentService.recordPayment(current, { newlyCaptured: Boolean(captured) });
+
+        if (captured) {
+            this.issueInvoice(captured.id);
+        }
+
+        return {
+            payment: current,
+            enrollment: payment.bundle_id ? enrollments : enrollments[0]
+        };
+    }
+
+    // Apply a status transition only if the current status allows it; returns null otherwise
+    async transition(orderId, toStatus, updates = {}) {
+        const from = Object.keys(PAYMENT_TRANSITIONS).filter(status => PAYMENT_TRANSITIONS[status].includes(toStatus));
+
+        const { data: payments, error } = await supabase
+            .from('payments')
+            .update({ ...updates, status: toStatus })
+            .eq('razorpay_order_id', orderId)
+            .in('status', from)
+            .select();
+
+        if (error) {
+            throw new AppError('Failed to update payment status', 500);
+        }
+
+        return payments && payments.length > 0 ? payments[0] : null;
+    }
+
+    // Courses a payment grants: its course, or the bundle courses fixed at order time
+    getPaymentCourseIds(payment) {
+        if (payment.bundle_id) {
+            return payment.bundle_course_ids || [];
+        }
+
+        return payment.course_id ? [payment.course_id] : [];
+    }
+
+    /**
+     * @private
+     */
+    issueInvoice(paymentId) {
+        // Best effort: a missing invoice is issued on its first download
+        invoiceService.generateForPayment(paymentId)
+            .catch(error => console.error('Invoice generation error:', paymentId, error.message));
+    }
+
+    /**
+     * @private
+     */
+    async getPaymentByOrderId(orderId) {
         const { data: payment, error } = await supabase
             .from('payments')
             .select('*')
-            .eq('razorpay_order_id', razorpay_order_id)
+            .eq('razorpay_order_id', orderId)
             .single();
 
         if (error || !payment) {
             throw new AppError('Payment record not found', 404);
         }
 
-        // Update payment record
-        const { data: updatedPayment } = await supabase
+        return payment;
+    }
+
+    // Pull order status from Razorpay for payments stuck before capture and fix their enrollments
+    async reconcilePayments() {
+        const { staleMinutes, lookbackDays, orderExpiryHours } = config.paymentReconciliation;
+        const now = Date.now();
+
+        const { data: stale, error } = await supabase
             .from('payments')
-            .update({
-                razorpay_payment_id,
-                razorpay_signature,
-                status: 'success',
-                payment_method: 'online'
-            })
-            .eq('razorpay_order_id', razorpay_order_id)
-            .select()
-            .single();
+            .select('*')
+            .in('status', ['created', 'authorized'])
+            .not('razorpay_order_id', 'is', null)
+            .lt('created_at', new Date(now - staleMinutes * 60 * 1000).toISOString())
+            .gte('created_at', new Date(now - lookbackDays * 24 * 60 * 60 * 1000).toISOString())
+            .order('created_at', { ascending: true })
+            .limit(200);
 
-        // Record coupon usage if coupon was used
-        if (payment.coupon_id && payment.discount_amount > 0) {
-            await couponService.applyCoupon(
-                payment.coupon_id,
-                payment.student_id,
-                updatedPayment.id,
-                payment.discount_amount
-            );
+        if (error) {
+            throw new AppError('Failed to fetch pending payments', 500);
         }
 
-        // Enroll student
-        const enrollment = await enrollmentService.enrollStudent(
-            payment.student_id,
-            payment.course_id,
-            'online'
-        );
+        const summary = { checked: 0, captured: 0, authorized: 0, failed: 0, unchanged: 0, enrollmentsRepaired: 0, errors: [] };
 
-        // Log action
-        await auditService.log(
-            payment.student_id,
-            'PAYMENT_SUCCESS',
-            `Payment successful for course: ${payment.course_id}`,
-            {
-                orderId: razorpay_order_id,
-                paymentId: razorpay_payment_id,
-                amount: payment.amount,
-                discount: payment.discount_amount || 0,
-                coupon_used: payment.coupon_id ? true : false
+        for (const payment of stale || []) {
+            summary.checked++;
+
+            try {
+                const result = await this.reconcileOrder(payment, now - new Date(payment.created_at).getTime() > orderExpiryHours * 60 * 60 * 1000);
+                summary[result]++;
+            } catch (reconcileError) {
+                console.error('Payment reconciliation error:', payment.razorpay_order_id, reconcileError.message);
+                summary.errors.push({ orderId: payment.razorpay_order_id, error: reconcileError.message });
             }
+        }
+
+        summary.enrollmentsRepaired = await this.repairEnrollments(lookbackDays);
+
+        await auditService.log(
+            null,
+            'PAYMENTS_RECONCILED',
+            `Reconciled ${summary.checked} pending payment(s): ${summary.captured} captured, ${summary.failed} failed`,
+            { ...summary, errors: summary.errors.length }
         );
 
-        return {
-            success: true,
-            message: 'Payment verified and enrollment successful',
-            enrollment
-        };
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    async reconcileOrder(payment, expired) {
+        const orderId = payment.razorpay_order_id;
+        const { items = [] } = await this.razorpay.orders.fetchPayments(orderId);
+        const reconciledAt = new Date().toISOString();
+
+        const captured = items.find(p => p.status === 'captured');
+        if (captured) {
+            await this.capturePayment(orderId, { razorpay_payment_id: captured.id }, 'reconciliation');
+            await supabase.from('payments').update({ reconciled_at: reconciledAt }).eq('id', payment.id);
+            return 'captured';
+        }
+
+        const authorized = items.find(p => p.status === 'authorized');
+        if (authorized) {
+            const updated = await this.transition(orderId, 'authorized', { razorpay_payment_id: authorized.id, reconciled_at: reconciledAt });
+            return updated && payment.status !== 'authorized' ? 'authorized' : 'unchanged';
+        }
+
+        const lastFailure = items.filter(p => p.status === 'failed').pop();
+        if (lastFailure || expired) {
+            await this.transition(orderId, 'failed', {
+                failure_reason: lastFailure ? lastFailure.error_description || 'Payment failed' : 'Order expired without payment',
+                reconciled_at: reconciledAt
+            });
+            return 'failed';
+        }
+
+        return 'unchanged';
+    }
+
+    // Captured payments whose enrollment is missing (e.g. a crash between capture and enrollment)
+    async repairEnrollments(lookbackDays) {
+        const { data: captured } = await supabase
+            .from('payments')
+            .select('id, student_id, course_id, bundle_id, bundle_course_ids, payment_method, captured_at')
+            .eq('status', 'captured')
+            .gte('captured_at', new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString());
+
+        let repaired = 0;
+
+        for (const payment of captured || []) {
+            for (const courseId of this.getPaymentCourseIds(payment)) {
+                const { data: enrollment } = await supabase
+                    .from('enrollments')
+                    .select('id')
+                    .eq('student_id', payment.student_id)
+                    .eq('course_id', courseId)
+                    .single();
+
+                if (enrollment) {
+                    continue;
+                }
+
+                // Enrollments an admin removed after this payment stay removed
+                const { data: removals } = await supabase
+                    .from('enrollment_removals')
+                    .select('id')
+                    .eq('student_id', payment.student_id)
+                    .eq('course_id', courseId)
+                    .gte('created_at', payment.captured_at)
+                    .limit(1);
+
+                if (removals && removals.length > 0) {
+                    continue;
+                }
+
+                await enrollmentService.ensureEnrollment(payment.student_id, courseId, payment.payment_method || 'online');
+                repaired++;
+            }
+        }
+
+        return repaired;
+    }
+
+    // Run reconciliation on a timer when PAYMENT_RECONCILE_INTERVAL_MINUTES is set
+    startReconciliationSchedule() {
+        const { intervalMinutes } = config.paymentReconciliation;
+
+        if (!intervalMinutes) {
+            return;
+        }
+
+        const timer = setInterval(() => {
+            this.reconcilePayments().catch(error => console.error('Scheduled payment reconciliation error:', error.message));
+        }, intervalMinutes * 60 * 1000);
+        timer.unref();
+
+        console.log(`💳 Payment reconciliation scheduled every ${intervalMinutes} min`);
     }
 
     // Offline payment enrollment (admin only)
@@ -202,8 +519,9 @@ class PaymentService {
                 course_id: courseId,
                 amount: amount || course.price,
                 currency: 'INR',
-                status: 'success',
-                payment_method: 'offline'
+                status: 'captured',
+                payment_method: 'offline',
+                captured_at: new Date().toISOString()
             })
             .select()
             .single();
@@ -215,6 +533,8 @@ class PaymentService {
         // Enroll student
         const enrollment = await enrollmentService.enrollStudent(studentId, courseId, 'offline');
 
+        this.issueInvoice(payment.id);
+
         // Log action
         await auditService.log(
             adminId,
@@ -245,6 +565,15 @@ class PaymentService {
         courses:course_id (
           id,
           title
+        ),
+        course_bundles:bundle_id (
+          id,
+          title
+        ),
+        invoices (
+          id,
+          invoice_number,
+          issued_at
         )
       `, { count: 'exact' })
             .order('created_at', { ascending: false });
@@ -258,6 +587,10 @@ class PaymentService {
             query = query.eq('course_id', filters.courseId);
         }
 
+        if (filters.bundleId) {
+            query = query.eq('bundle_id', filters.bundleId);
+        }
+
         if (filters.status) {
             query = query.eq('status', filters.status);
         }
@@ -292,10 +625,10 @@ class PaymentService {
         // Total revenue
         const { data: successPayments } = await supabase
             .from('payments')
-            .select('amount')
-            .eq('status', 'success');
+            .select('amount, refunded_amount, payment_method')
+            .eq('status', 'captured');
 
-        const totalRevenue = successPayments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        const totalRevenue = successPayments?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         // Payment counts by status
         const { data: allPayments } = await supabase
@@ -309,19 +642,20 @@ class PaymentService {
 
         // Revenue by payment method
         const onlineRevenue = successPayments?.filter(p => p.payment_method === 'online')
-            .reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+            .reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         const offlineRevenue = successPayments?.filter(p => p.payment_method === 'offline')
-            .reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+            .reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         return {
             totalRevenue,
             onlineRevenue,
             offlineRevenue,
             totalPayments: allPayments?.length || 0,
-            successfulPayments: statusCounts?.success || 0,
+            successfulPayments: statusCounts?.captured || 0,
             failedPayments: statusCounts?.failed || 0,
-            pendingPayments: statusCounts?.pending || 0
+            pendingPayments: (statusCounts?.created || 0) + (statusCounts?.authorized || 0),
+            refundedPayments: statusCounts?.refunded || 0
         };
     }
 
@@ -336,38 +670,38 @@ class PaymentService {
         // Today's revenue
         const { data: todayPayments } = await supabase
             .from('payments')
-            .select('amount')
-            .eq('status', 'success')
+            .select('amount, refunded_amount')
+            .eq('status', 'captured')
             .gte('created_at', startOfToday);
 
-        const todayRevenue = todayPayments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        const todayRevenue = todayPayments?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         // This month's revenue
         const { data: thisMonthPayments } = await supabase
             .from('payments')
-            .select('amount')
-            .eq('status', 'success')
+            .select('amount, refunded_amount')
+            .eq('status', 'captured')
             .gte('created_at', startOfMonth);
 
-        const thisMonthRevenue = thisMonthPayments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        const thisMonthRevenue = thisMonthPayments?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         // Last month's revenue
         const { data: lastMonthPayments } = await supabase
             .from('payments')
-            .select('amount')
-            .eq('status', 'success')
+            .select('amount, refunded_amount')
+            .eq('status', 'captured')
             .gte('created_at', startOfLastMonth)
             .lte('created_at', endOfLastMonth);
 
-        const lastMonthRevenue = lastMonthPayments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        const lastMonthRevenue = lastMonthPayments?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         // All-time revenue
         const { data: allPayments } = await supabase
             .from('payments')
-            .select('amount')
-            .eq('status', 'success');
+            .select('amount, refunded_amount')
+            .eq('status', 'captured');
 
-        const totalRevenue = allPayments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+        const totalRevenue = allPayments?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
         return {
             todayRevenue,
@@ -385,8 +719,8 @@ class PaymentService {
     async getRevenueByMonth() {
         const { data: payments, error } = await supabase
             .from('payments')
-            .select('amount, created_at')
-            .eq('status', 'success')
+            .select('amount, refunded_amount, created_at')
+            .eq('status', 'captured')
             .gte('created_at', new Date(new Date().setMonth(new Date().getMonth() - 12)).toISOString())
             .order('created_at', { ascending: true });
 
@@ -408,47 +742,61 @@ class PaymentService {
                 };
             }
 
-            monthlyRevenue[monthKey].revenue += parseFloat(payment.amount);
+            monthlyRevenue[monthKey].revenue += netAmount(payment);
             monthlyRevenue[monthKey].count += 1;
         });
 
         return Object.values(monthlyRevenue).sort((a, b) => a.month.localeCompare(b.month));
     }
 
-    // Get revenue by course
+    // Get revenue by course; bundle sales are reported as separate entries
     async getRevenueByCourse() {
         const { data: payments, error } = await supabase
             .from('payments')
             .select(`
                 amount,
+                refunded_amount,
                 courses:course_id (
                     id,
                     title
+                ),
+                course_bundles:bundle_id (
+                    id,
+                    title
                 )
             `)
-            .eq('status', 'success');
+            .eq('status', 'captured');
 
         if (error) {
             throw new AppError('Failed to fetch revenue by course', 500);
         }
 
-        // Group by course
+        // Group by course or bundle
         const courseRevenue = {};
         payments?.forEach(payment => {
-            const courseId = payment.courses?.id;
-            const courseTitle = payment.courses?.title || 'Unknown Course';
-
-            if (!courseRevenue[courseId]) {
-                courseRevenue[courseId] = {
-                    courseId,
-                    courseTitle,
-                    revenue: 0,
-                    enrollments: 0
-                };
+            const bundle = payment.course_bundles;
+            const key = bundle ? `bundle:${bundle.id}` : `course:${payment.courses?.id}`;
+
+            if (!courseRevenue[key]) {
+                courseRevenue[key] = bundle
+                    ? {
+                        type: 'bundle',
+                        bundleId: bundle.id,
+                        bundleTitle: bundle.title,
+                        revenue: 0,
+                        enrollments: 0
+                    }
+                    : {
+                        type: 'course',
+                        courseId: payment.courses?.id,
+                        courseTitle: payment.courses?.title || 'Unknown Course',
+                        revenue: 0,
+                        enrollments: 0
+                    };
             }
 
-            courseRevenue[courseId].revenue += parseFloat(payment.amount);
-            courseRevenue[courseId].enrollments += 1;
+            courseRevenue[key].revenue += netAmount(payment);
+            courseRevenue[key].enrollments += 1;
         });
 
         return Object.values(courseRevenue).sort((a, b) => b.revenue - a.revenue);
@@ -468,6 +816,10 @@ class PaymentService {
                 courses:course_id (
                     id,
                     title
+                ),
+                course_bundles:bundle_id (
+                    id,
+                    title
                 )
             `, { count: 'exact' })
             .order('created_at', { ascending: false });
@@ -485,6 +837,11 @@ class PaymentService {
             query = query.eq('course_id', filters.courseId);
         }
 
+        // Filter by bundle
+        if (filters.bundleId) {
+            query = query.eq('bundle_id', filters.bundleId);
+        }
+
         // Filter by payment mode
         if (filters.paymentMethod) {
             query = query.eq('payment_method', filters.paymentMethod);
@@ -530,23 +887,36 @@ class PaymentService {
         }
 
         const event = webhookBody.event;
+
+        if (event.startsWith('refund.')) {
+            await refundService.handleRefundWebhook(webhookBody.payload.refund.entity);
+            return { success: true };
+        }
+
         const payload = webhookBody.payload.payment.entity;
 
-        if (event === 'payment.captured') {
-            // Update payment status
-            await supabase
-                .from('payments')
-                .update({
-                    status: 'success',
-                    razorpay_payment_id: payload.id
-                })
-                .eq('razorpay_order_id', payload.order_id);
+        // Orders not created through this API (e.g. payment links) are ignored
+        const { data: payment } = await supabase
+            .from('payments')
+            .select('id')
+            .eq('razorpay_order_id', payload.order_id)
+            .single();
+
+        if (!payment) {
+            return { success: true };
+        }
+
+        if (event === 'payment.captured' || event === 'order.paid') {
+            // Same path as client verification; whichever runs second only confirms the enrollment
+            await this.capturePayment(payload.order_id, { razorpay_payment_id: payload.id }, 'webhook');
+        } else if (event === 'payment.authorized') {
+            await this.transition(payload.order_id, 'authorized', { razorpay_payment_id: payload.id });
         } else if (event === 'payment.failed') {
-            // Update payment status
-            await supabase
-                .from('payments')
-                .update({ status: 'failed' })
-                .eq('razorpay_order_id', payload.order_id);
+            // Ignored once captured: a retry on the same order may have succeeded
+            await this.transition(payload.order_id, 'failed', {
+                razorpay_payment_id: payload.id,
+                failure_reason: payload.error_description || 'Payment failed'
+            });
         }
 
         return { success: true };
@@ -0,0 +1,188 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import questionGrader from '../utils/question-grader.js';
+
+const QUESTION_FIELDS = ['question_type', 'question_text', 'options', 'answer_key', 'tolerance', 'partial_credit', 'marks', 'explanation', 'tags'];
+
+class QuestionBankService {
+    // Get bank questions for a course
+    async getQuestionsByCourse(courseId, filters = {}) {
+        let query = supabase
+            .from('question_bank')
+            .select('*')
+            .eq('course_id', courseId)
+            .order('created_at', { ascending: false });
+
+        if (filters.type) {
+            query = query.eq('question_type', filters.type);
+        }
+
+        if (filters.tag) {
+            query = query.contains('tags', [filters.tag]);
+        }
+
+        if (filters.search) {
+            query = query.ilike('question_text', `%${filters.search}%`);
+        }
+
+        const { data: questions, error } = await query;
+
+        if (error) {
+            throw new AppError('Failed to fetch question bank', 500);
+        }
+
+        return questions;
+    }
+
+    // Get bank question by ID
+    async getQuestionById(questionId) {
+        const { data: question, error } = await supabase
+            .from('question_bank')
+            .select('*')
+            .eq('id', questionId)
+            .single();
+
+        if (error || !question) {
+            throw new AppError('Question not found', 404);
+        }
+
+        return question;
+    }
+
+    // Get several bank questions, preserving the requested order
+    async getQuestionsByIds(questionIds, courseId) {
+        const { data: questions, error } = await supabase
+            .from('question_bank')
+            .select('*')
+            .eq('course_id', courseId)
+            .in('id', questionIds);
+
+        if (error) {
+            throw new AppError('Failed to fetch bank questions', 500);
+        }
+
+        const byId = new Map(questions.map(q => [q.id, q]));
+        const missing = questionIds.filter(id => !byId.has(id));
+
+        if (missing.length > 0) {
+            throw new AppError(`Bank questions not found for this course: ${missing.join(', ')}`, 400);
+        }
+
+        return questionIds.map(id => byId.get(id));
+    }
+
+    // Create bank question
+    async createQuestion(questionData, userId) {
+        const question = this.pickFields(questionData);
+        question.question_type = question.question_type || 'single_choice';
+
+        if (!questionData.course_id) {
+            throw new AppError('Course ID is required', 400);
+        }
+
+        this.assertValid(question);
+
+        const { data: created, error } = await supabase
+            .from('question_bank')
+            .insert({
+                ...question,
+                course_id: questionData.course_id,
+                created_by: userId
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create question', 500);
+        }
+
+        return created;
+    }
+
+    // Create several bank questions at once (used by quiz import)
+    async createQuestions(courseId, questions, userId) {
+        const rows = questions.map((questionData, index) => {
+            const question = this.pickFields(questionData);
+            question.question_type = question.question_type || 'single_choice';
+
+            const errors = questionGrader.validate(question);
+            if (errors.length > 0) {
+                throw new AppError(`Question ${index + 1}: ${errors.join(', ')}`, 400);
+            }
+
+            return { ...question, course_id: courseId, created_by: userId };
+        });
+
+        const { data: created, error } = await supabase
+            .from('question_bank')
+            .insert(rows)
+            .select();
+
+        if (error) {
+            throw new AppError('Failed to create questions', 500);
+        }
+
+        return created;
+    }
+
+    // Update bank question
+    async updateQuestion(questionId, updateData) {
+        const existing = await this.getQuestionById(questionId);
+        const updates = this.pickFields(updateData);
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No valid fields to update', 400);
+        }
+
+        this.assertValid({ ...existing, ...updates });
+
+        const { data: question, error } = await supabase
+            .from('question_bank')
+            .update(updates)
+            .eq('id', questionId)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update question', 500);
+        }
+
+        return question;
+    }
+
+    // Delete bank question (quizzes keep their own copy)
+    async deleteQuestion(questionId) {
+        const { error } = await supabase
+            .from('question_bank')
+            .delete()
+            .eq('id', questionId);
+
+        if (error) {
+            throw new AppError('Failed to delete question', 500);
+        }
+
+        return { success: true, message: 'Question deleted successfully' };
+    }
+
+    pickFields(data) {
+        const picked = {};
+
+        for (const field of QUESTION_FIELDS) {
+            if (data[field] !== undefined) {
+                picked[field] = data[field];
+            }
+        }
+
+        return picked;
+    }
+
+    assertValid(question) {
+        const errors = questionGrader.validate(question);
+
+        if (errors.length > 0) {
+            throw new AppError(errors.join(', '), 400);
+        }
+    }
+}
+
+export default new QuestionBankService();
@@ -1,21 +1,43 @@
 import supabase from '../config/database.js';
+import { config } from '../config/config.js';
 import { AppError } from '../middlewares/error.middleware.js';
+import questionBankService from './questionBank.service.js';
+import questionGrader from '../utils/question-grader.js';
+import seededShuffle from '../utils/seeded-shuffle.js';
+import auditService from './audit.service.js';
+import completionService from './completion.service.js';
+
+const SCORE_POLICIES = ['best', 'latest', 'average'];
+const REVEAL_POLICIES = ['immediately', 'after_final_attempt', 'after_close'];
+const QUIZ_FIELDS = ['title', 'description', 'total_marks', 'passing_marks', 'duration_minutes', 'chapter_id'];
+const QUESTION_FIELDS = [
+    'question_type', 'question_text', 'options', 'answer_key', 'tolerance', 'partial_credit', 'explanation', 'marks',
+    'option_a', 'option_b', 'option_c', 'option_d', 'correct_answer'
+];
+const ANSWER_FIELDS = ['correct_answer', 'answer_key', 'tolerance', 'explanation'];
 
 class QuizService {
     // Create quiz
     async createQuiz(quizData) {
-        const { course_id, title, description, total_marks, passing_marks, duration_minutes, questions } = quizData;
+        const { course_id, chapter_id, title, description, total_marks, passing_marks, duration_minutes, questions, bank_question_ids } = quizData;
+
+        // Build question rows up front so an invalid question never leaves an empty quiz behind
+        const questionRows = await this.buildQuestionRows(course_id, questions, bank_question_ids);
+        const questionMarks = questionRows.reduce((sum, q) => sum + Number(q.marks), 0);
+        const policy = this.pickPolicy(quizData);
 
         // Create quiz
         const { data: quiz, error: quizError } = await supabase
             .from('quizzes')
             .insert({
                 course_id,
+                chapter_id,
                 title,
                 description,
-                total_marks,
+                total_marks: total_marks ?? questionMarks,
                 passing_marks,
-                duration_minutes
+                duration_minutes,
+                ...policy
             })
             .select()
             .single();
@@ -25,16 +47,10 @@ class QuizService {
         }
 
         // Add questions if provided
-        if (questions && questions.length > 0) {
-            const questionsData = questions.map((q, index) => ({
+        if (questionRows.length > 0) {
+            const questionsData = questionRows.map((q, index) => ({
+                ...q,
                 quiz_id: quiz.id,
-                question_text: q.question_text,
-                option_a: q.option_a,
-                option_b: q.option_b,
-                option_c: q.option_c,
-                option_d: q.option_d,
-                correct_answer: q.correct_answer,
-                marks: q.marks || 1,
                 question_order: index + 1
             }));
 
@@ -50,6 +66,111 @@ class QuizService {
         return quiz;
     }
 
+    // Pick and validate attempt policy and randomization settings
+    pickPolicy(data) {
+        const policy = {};
+
+        if (data.max_attempts !== undefined) {
+            if (data.max_attempts !== null && !(Number.isInteger(Number(data.max_attempts)) && Number(data.max_attempts) > 0)) {
+                throw new AppError('Max attempts must be a positive integer', 400);
+            }
+            policy.max_attempts = data.max_attempts === null ? null : Number(data.max_attempts);
+        }
+
+        if (data.cooldown_minutes !== undefined) {
+            if (!(Number(data.cooldown_minutes) >= 0)) {
+                throw new AppError('Cooldown must be zero or more minutes', 400);
+            }
+            policy.cooldown_minutes = Number(data.cooldown_minutes);
+        }
+
+        if (data.score_policy !== undefined) {
+            if (!SCORE_POLICIES.includes(data.score_policy)) {
+                throw new AppError(`Score policy must be one of: ${SCORE_POLICIES.join(', ')}`, 400);
+            }
+            policy.score_policy = data.score_policy;
+        }
+
+        if (data.reveal_answers !== undefined) {
+            if (!REVEAL_POLICIES.includes(data.reveal_answers)) {
+                throw new AppError(`Answer reveal must be one of: ${REVEAL_POLICIES.join(', ')}`, 400);
+            }
+            policy.reveal_answers = data.reveal_answers;
+        }
+
+        if (data.closes_at !== undefined) {
+            policy.closes_at = data.closes_at || null;
+        }
+
+        if (data.questions_per_attempt !== undefined) {
+            if (data.questions_per_attempt !== null && !(Number.isInteger(Number(data.questions_per_attempt)) && Number(data.questions_per_attempt) > 0)) {
+                throw new AppError('Questions per attempt must be a positive integer', 400);
+            }
+            policy.questions_per_attempt = data.questions_per_attempt === null ? null : Number(data.questions_per_attempt);
+        }
+
+        for (const flag of ['shuffle_questions', 'shuffle_options']) {
+            if (data[flag] !== undefined) {
+                policy[flag] = Boolean(data[flag]);
+            }
+        }
+
+        return policy;
+    }
+
+    // Build quiz_questions rows from inline questions and question bank picks
+    async buildQuestionRows(courseId, questions = [], bankQuestionIds = []) {
+        const rows = [];
+
+        for (const [index, q] of (questions || []).entries()) {
+            // Legacy four-option question
+            if (!q.question_type) {
+                rows.push({
+                    question_type: 'single_choice',
+                    question_text: q.question_text,
+                    option_a: q.option_a,
+                    option_b: q.option_b,
+                    option_c: q.option_c,
+                    option_d: q.option_d,
+                    correct_answer: q.correct_answer,
+                    marks: q.marks || 1
+                });
+                continue;
+            }
+
+            const errors = questionGrader.validate(q);
+            if (errors.length > 0) {
+                throw new AppError(`Question ${index + 1}: ${errors.join(', ')}`, 400);
+            }
+
+            rows.push(this.toQuestionRow(q));
+        }
+
+        if (bankQuestionIds && bankQuestionIds.length > 0) {
+            const bankQuestions = await questionBankService.getQuestionsByIds(bankQuestionIds, courseId);
+
+            for (const q of bankQuestions) {
+                rows.push({ ...this.toQuestionRow(q), bank_question_id: q.id });
+            }
+        }
+
+        return rows;
+    }
+
+    // Map a typed question onto quiz_questions columns
+    toQuestionRow(q) {
+        return {
+            question_type: q.question_type,
+            question_text: q.question_text,
+            options: q.options || [],
+            answer_key: q.answer_key,
+            tolerance: q.tolerance || 0,
+            partial_credit: q.partial_credit !== false,
+            explanation: q.explanation || null,
+            marks: q.marks || 1
+        };
+    }
+
     // Get quiz by ID
     async getQuizById(quizId, includeAnswers = false) {
         const { data: quiz, error } = await supabase
@@ -63,9 +184,9 @@ class QuizService {
         }
 
         // Get questions
-        let selectFields = 'id, question_text, option_a, option_b, option_c, option_d, marks, question_order';
+        let selectFields = 'id, question_type, question_text, option_a, option_b, option_c, option_d, options, marks, partial_credit, question_order';
         if (includeAnswers) {
-            selectFields += ', correct_answer';
+            selectFields += ', correct_answer, answer_key, tolerance, explanation';
         }
 
         const { data: questions } = await supabase
@@ -74,7 +195,54 @@ class QuizService {
             .eq('quiz_id', quizId)
             .order('question_order', { ascending: true });
 
-        quiz.questions = questions || [];
+        quiz.questions = (questions || []).map(q => questionGrader.normalize(q));
+
+        return quiz;
+    }
+
+    // Get quiz with the questions of a specific version (older versions come from snapshots)
+    async getQuizForVersion(quizId, version, includeAnswers = false) {
+        const quiz = await this.getQuizById(quizId, true);
+
+        if (version && version !== quiz.version) {
+            const { data: snapshot } = await supabase
+                .from('quiz_versions')
+                .select('questions')
+                .eq('quiz_id', quizId)
+                .eq('version', version)
+                .single();
+
+            if (snapshot) {
+                quiz.questions = snapshot.questions;
+            }
+        }
+
+        if (!includeAnswers) {
+            quiz.questions = quiz.questions.map(q => this.stripAnswers(q));
+        }
+
+        return quiz;
+    }
+
+    stripAnswers(question) {
+        const stripped = { ...question };
+        for (const field of ANSWER_FIELDS) {
+            delete stripped[field];
+        }
+        return stripped;
+    }
+
+    // Get quiz for a student - randomized quizzes only reveal questions through an attempt
+    async getQuizForStudent(quizId) {
+        const quiz = await this.getQuizById(quizId, false);
+
+        if (quiz.questions_per_attempt || quiz.shuffle_questions || quiz.shuffle_options) {
+            quiz.question_count = Math.min(quiz.questions_per_attempt || quiz.questions.length, quiz.questions.length);
+            quiz.questions = [];
+        } else {
+            // Ordering items still get a random order; the authored one is the answer
+            quiz.questions = this.getAttemptQuestions(quiz, { shuffle_seed: seededShuffle.createSeed() });
+        }
 
         return quiz;
     }
@@ -94,65 +262,494 @@ class QuizService {
         return quizzes;
     }
 
-    // Submit quiz attempt
-    async submitQuiz(quizId, studentId, answers) {
-        // Get quiz with correct answers
-        const quiz = await this.getQuizById(quizId, true);
-
-        // Calculate score
-        let score = 0;
-        const results = [];
+    // Start a quiz attempt with a server-side deadline
+    async startAttempt(quizId, studentId) {
+        const quiz = await this.getQuizById(quizId, false);
 
-        for (const question of quiz.questions) {
-            const studentAnswer = answers[question.id];
-            const isCorrect = studentAnswer === question.correct_answer;
+        // Close out attempts whose time ran out while the student was away
+        await this.expireOverdueAttempts(studentId, quizId);
 
-            if (isCorrect) {
-                score += question.marks;
-            }
+        // Resume the open attempt instead of restarting the clock
+        const { data: openAttempt } = await supabase
+            .from('quiz_attempts')
+            .select('*')
+            .eq('quiz_id', quizId)
+            .eq('student_id', studentId)
+            .eq('status', 'in_progress')
+            .single();
 
-            results.push({
-                questionId: question.id,
-                studentAnswer,
-                correctAnswer: question.correct_answer,
-                isCorrect,
-                marks: isCorrect ? question.marks : 0
-            });
+        if (openAttempt) {
+            const attemptQuiz = await this.getQuizForVersion(quizId, openAttempt.quiz_version, false);
+            return this.buildAttemptSession(openAttempt, attemptQuiz);
         }
 
-        const passed = score >= quiz.passing_marks;
+        await this.assertCanStartAttempt(quiz, studentId);
+
+        // Draw this attempt's paper from the pool
+        const shuffleSeed = seededShuffle.createSeed();
+        const drawnQuestions = this.drawQuestions(quiz, shuffleSeed);
+        const totalMarks = drawnQuestions.length < quiz.questions.length
+            ? drawnQuestions.reduce((sum, q) => sum + Number(q.marks), 0)
+            : quiz.total_marks;
+
+        const startedAt = new Date();
+        const deadlineAt = quiz.duration_minutes
+            ? new Date(startedAt.getTime() + quiz.duration_minutes * 60 * 1000)
+            : null;
 
-        // Save attempt
         const { data: attempt, error } = await supabase
             .from('quiz_attempts')
             .insert({
                 quiz_id: quizId,
                 student_id: studentId,
+                quiz_version: quiz.version,
+                status: 'in_progress',
+                started_at: startedAt.toISOString(),
+                deadline_at: deadlineAt ? deadlineAt.toISOString() : null,
+                total_marks: totalMarks,
+                shuffle_seed: shuffleSeed,
+                question_ids: drawnQuestions.map(q => q.id),
+                answers: {}
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new AppError('An attempt for this quiz is already in progress', 409);
+            }
+            throw new AppError('Failed to start quiz attempt', 500);
+        }
+
+        return this.buildAttemptSession(attempt, quiz);
+    }
+
+    // Get an attempt (student's own) - open attempts come back with their questions and remaining time
+    async getAttempt(attemptId, studentId) {
+        const attempt = await this.getOwnAttempt(attemptId, studentId);
+
+        if (attempt.status === 'in_progress') {
+            if (this.isPastGrace(attempt)) {
+                return this.finalizeAttempt(attempt, attempt.answers, { autoSubmitted: true });
+            }
+
+            const quiz = await this.getQuizForVersion(attempt.quiz_id, attempt.quiz_version, false);
+            return this.buildAttemptSession(attempt, quiz);
+        }
+
+        const quiz = await this.getQuizForVersion(attempt.quiz_id, attempt.quiz_version, true);
+        const submitted = await this.getSubmittedAttempts(quiz.id, studentId);
+        const answersRevealed = this.canRevealAnswers(quiz, submitted.length);
+        const { results } = this.gradeAnswers(quiz, attempt.answers, attempt);
+
+        return {
+            attempt,
+            answersRevealed,
+            results: this.applyRevealPolicy(results, answersRevealed)
+        };
+    }
+
+    // Autosave answers during an attempt
+    async saveAnswers(attemptId, studentId, answers = {}) {
+        const attempt = await this.getOwnAttempt(attemptId, studentId);
+
+        if (attempt.status !== 'in_progress') {
+            throw new AppError('This attempt has already been submitted', 400);
+        }
+
+        if (this.isPastGrace(attempt)) {
+            await this.finalizeAttempt(attempt, attempt.answers, { autoSubmitted: true });
+
+            const error = new AppError('Time is up. Your attempt was submitted automatically.', 400);
+            error.code = 'QUIZ_TIME_EXPIRED';
+            throw error;
+        }
+
+        const savedAt = new Date().toISOString();
+
+        const { data: updated, error } = await supabase
+            .from('quiz_attempts')
+            .update({
+                answers: { ...(attempt.answers || {}), ...answers },
+                last_saved_at: savedAt
+            })
+            .eq('id', attemptId)
+            .eq('status', 'in_progress')
+            .select()
+            .single();
+
+        if (error || !updated) {
+            throw new AppError('Failed to save answers', 500);
+        }
+
+        return {
+            attemptId,
+            savedAt,
+            remainingSeconds: this.getRemainingSeconds(updated)
+        };
+    }
+
+    // Submit quiz attempt
+    async submitQuiz(quizId, studentId, answers = {}, attemptId = null) {
+        let attempt;
+
+        if (attemptId) {
+            attempt = await this.getOwnAttempt(attemptId, studentId);
+
+            if (attempt.quiz_id !== quizId) {
+                throw new AppError('Attempt does not belong to this quiz', 400);
+            }
+        } else {
+            const { data: openAttempt } = await supabase
+                .from('quiz_attempts')
+                .select('*')
+                .eq('quiz_id', quizId)
+                .eq('student_id', studentId)
+                .eq('status', 'in_progress')
+                .single();
+
+            attempt = openAttempt;
+        }
+
+        if (attempt && attempt.status !== 'in_progress') {
+            throw new AppError('This attempt has already been submitted', 400);
+        }
+
+        if (!attempt) {
+            const quiz = await this.getQuizById(quizId, false);
+
+            if (quiz.duration_minutes) {
+                throw new AppError('This quiz is timed. Start an attempt before submitting.', 400);
+            }
+
+            // Untimed quizzes can still be submitted in one step
+            ({ attempt } = await this.startAttempt(quizId, studentId));
+        }
+
+        // Late submissions only keep what was autosaved before the deadline
+        if (this.isPastGrace(attempt)) {
+            return this.finalizeAttempt(attempt, attempt.answers, { autoSubmitted: true });
+        }
+
+        return this.finalizeAttempt(attempt, { ...(attempt.answers || {}), ...answers });
+    }
+
+    // Grade and close an in-progress attempt
+    async finalizeAttempt(attempt, answers, { autoSubmitted = false } = {}) {
+        // Grade against the version the attempt was taken on
+        const quiz = await this.getQuizForVersion(attempt.quiz_id, attempt.quiz_version, true);
+
+        const { score, results } = this.gradeAnswers(quiz, answers, attempt);
+        const totalMarks = Number(attempt.total_marks || quiz.total_marks);
+        const passed = score >= this.getPassingScore(quiz, totalMarks);
+
+        const { data: updated, error } = await supabase
+            .from('quiz_attempts')
+            .update({
+                status: 'submitted',
                 score,
-                total_marks: quiz.total_marks,
+                total_marks: totalMarks,
                 passed,
                 submitted_at: new Date().toISOString(),
-                answers: answers
+                answers: answers || {},
+                auto_submitted: autoSubmitted
             })
+            .eq('id', attempt.id)
+            .eq('status', 'in_progress')
             .select()
             .single();
 
-        if (error) {
+        if (error || !updated) {
             throw new AppError('Failed to save quiz attempt', 500);
         }
 
+        // A pass may complete the course requirements
+        if (passed) {
+            try {
+                await completionService.checkAndIssueCertificate(attempt.student_id, quiz.course_id);
+            } catch (certError) {
+                // Log error but don't fail the submission
+                console.error('Certificate generation error:', certError);
+            }
+        }
+
+        const submitted = await this.getSubmittedAttempts(quiz.id, attempt.student_id);
+        const answersRevealed = this.canRevealAnswers(quiz, submitted.length);
+
         return {
-            attempt,
+            attempt: updated,
             score,
-            totalMarks: quiz.total_marks,
+            totalMarks,
             passed,
-            percentage: Math.round((score / quiz.total_marks) * 100),
-            results
+            percentage: Math.round((score / totalMarks) * 100),
+            autoSubmitted,
+            answersRevealed,
+            results: this.applyRevealPolicy(results, answersRevealed)
+        };
+    }
+
+    // Score answers against a quiz loaded with its answer key
+    gradeAnswers(quiz, answers, attempt = null) {
+        let score = 0;
+        const results = [];
+        const questions = attempt ? this.getAttemptQuestions(quiz, attempt) : quiz.questions;
+
+        for (const question of questions) {
+            const studentAnswer = answers?.[question.id];
+            const { marks, isCorrect } = questionGrader.score(question, studentAnswer);
+
+            score += marks;
+
+            results.push({
+                questionId: question.id,
+                questionType: question.question_type,
+                studentAnswer,
+                correctAnswer: question.answer_key,
+                isCorrect,
+                marks
+            });
+        }
+
+        return { score: Math.round(score * 100) / 100, results };
+    }
+
+    // Auto-submit open attempts that are past deadline + grace period
+    async expireOverdueAttempts(studentId, quizId = null) {
+        const cutoff = new Date(Date.now() - config.quiz.gracePeriodSeconds * 1000).toISOString();
+
+        let query = supabase
+            .from('quiz_attempts')
+            .select('*')
+            .eq('student_id', studentId)
+            .eq('status', 'in_progress')
+            .lt('deadline_at', cutoff);
+
+        if (quizId) {
+            query = query.eq('quiz_id', quizId);
+        }
+
+        const { data: overdue } = await query;
+
+        for (const attempt of overdue || []) {
+            try {
+                await this.finalizeAttempt(attempt, attempt.answers, { autoSubmitted: true });
+            } catch (error) {
+                console.error('Quiz auto-submit error:', error);
+            }
+        }
+    }
+
+    // Enforce closing time, attempt limit and cooldown before a new attempt
+    async assertCanStartAttempt(quiz, studentId) {
+        if (quiz.closes_at && new Date(quiz.closes_at) <= new Date()) {
+            throw new AppError('This quiz is closed', 400);
+        }
+
+        if (quiz.chapter_id) {
+            await completionService.assertChapterUnlocked(studentId, quiz.chapter_id);
+        }
+
+        const submitted = await this.getSubmittedAttempts(quiz.id, studentId);
+
+        if (quiz.max_attempts && submitted.length >= quiz.max_attempts) {
+            throw new AppError(`You have used all ${quiz.max_attempts} attempt(s) for this quiz`, 403);
+        }
+
+        const lastAttempt = submitted[submitted.length - 1];
+        if (quiz.cooldown_minutes && lastAttempt) {
+            const availableAt = new Date(new Date(lastAttempt.submitted_at).getTime() + quiz.cooldown_minutes * 60 * 1000);
+
+            if (availableAt > new Date()) {
+                const error = new AppError(`You can retake this quiz after ${availableAt.toISOString()}`, 429);
+                error.code = 'QUIZ_COOLDOWN';
+                throw error;
+            }
+        }
+    }
+
+    // Get submitted attempts, oldest first
+    async getSubmittedAttempts(quizId, studentId) {
+        const { data: attempts, error } = await supabase
+            .from('quiz_attempts')
+            .select('id, score, total_marks, passed, submitted_at')
+            .eq('quiz_id', quizId)
+            .eq('student_id', studentId)
+            .eq('status', 'submitted')
+            .order('submitted_at', { ascending: true });
+
+        if (error) {
+            throw new AppError('Failed to fetch quiz attempts', 500);
+        }
+
+        return attempts || [];
+    }
+
+    canRevealAnswers(quiz, submittedCount) {
+        switch (quiz.reveal_answers) {
+            case 'after_final_attempt':
+                return Boolean(quiz.max_attempts) && submittedCount >= quiz.max_attempts;
+            case 'after_close':
+                return Boolean(quiz.closes_at) && new Date(quiz.closes_at) <= new Date();
+            default:
+                return true;
+        }
+    }
+
+    // Hidden results only echo the student's own answers
+    applyRevealPolicy(results, answersRevealed) {
+        if (answersRevealed) {
+            return results;
+        }
+
+        return results.map(({ questionId, questionType, studentAnswer }) => ({ questionId, questionType, studentAnswer }));
+    }
+
+    // Get the student's standing on a quiz under its score policy
+    async getQuizResult(quizId, studentId) {
+        await this.expireOverdueAttempts(studentId, quizId);
+
+        const quiz = await this.getQuizById(quizId, false);
+        const submitted = await this.getSubmittedAttempts(quizId, studentId);
+        const scores = submitted.map(a => Number(a.score));
+
+        let score = null;
+        if (scores.length > 0) {
+            if (quiz.score_policy === 'latest') {
+                score = scores[scores.length - 1];
+            } else if (quiz.score_policy === 'average') {
+                score = Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) / 100;
+            } else {
+                score = Math.max(...scores);
+            }
+        }
+
+        let nextAttemptAt = null;
+        const lastAttempt = submitted[submitted.length - 1];
+        if (quiz.cooldown_minutes && lastAttempt) {
+            const availableAt = new Date(new Date(lastAttempt.submitted_at).getTime() + quiz.cooldown_minutes * 60 * 1000);
+            nextAttemptAt = availableAt > new Date() ? availableAt.toISOString() : null;
+        }
+
+        const totalMarks = Number(lastAttempt?.total_marks || quiz.total_marks);
+
+        return {
+            quizId,
+            scorePolicy: quiz.score_policy,
+            attemptsUsed: submitted.length,
+            attemptsRemaining: quiz.max_attempts ? Math.max(0, quiz.max_attempts - submitted.length) : null,
+            nextAttemptAt,
+            score,
+            totalMarks,
+            percentage: score === null ? null : Math.round((score / totalMarks) * 100),
+            passed: score !== null && score >= this.getPassingScore(quiz, totalMarks),
+            answersRevealed: this.canRevealAnswers(quiz, submitted.length)
+        };
+    }
+
+    // Get attempt owned by the student
+    async getOwnAttempt(attemptId, studentId) {
+        const { data: attempt, error } = await supabase
+            .from('quiz_attempts')
+            .select('*')
+            .eq('id', attemptId)
+            .eq('student_id', studentId)
+            .single();
+
+        if (error || !attempt) {
+            throw new AppError('Quiz attempt not found', 404);
+        }
+
+        return attempt;
+    }
+
+    isPastGrace(attempt) {
+        if (!attempt.deadline_at) {
+            return false;
+        }
+
+        return Date.now() > new Date(attempt.deadline_at).getTime() + config.quiz.gracePeriodSeconds * 1000;
+    }
+
+    getRemainingSeconds(attempt) {
+        if (!attempt.deadline_at) {
+            return null;
+        }
+
+        return Math.max(0, Math.floor((new Date(attempt.deadline_at).getTime() - Date.now()) / 1000));
+    }
+
+    // Draw a paper: optional random subset of the pool, optionally shuffled
+    drawQuestions(quiz, seed) {
+        let questions = quiz.questions;
+
+        if (quiz.shuffle_questions || quiz.questions_per_attempt) {
+            questions = seededShuffle.shuffle(questions, seed);
+        }
+
+        if (quiz.questions_per_attempt && quiz.questions_per_attempt < questions.length) {
+            questions = questions.slice(0, quiz.questions_per_attempt);
+        }
+
+        if (!quiz.shuffle_questions) {
+            questions = [...questions].sort((a, b) => a.question_order - b.question_order);
+        }
+
+        return questions;
+    }
+
+    // Rebuild the exact paper an attempt was given from its stored questions and seed
+    getAttemptQuestions(quiz, attempt) {
+        let questions = quiz.questions;
+
+        if (Array.isArray(attempt.question_ids) && attempt.question_ids.length > 0) {
+            const byId = new Map(quiz.questions.map(q => [q.id, q]));
+            questions = attempt.question_ids.map(id => byId.get(id)).filter(Boolean);
+        }
+
+        if (attempt.shuffle_seed === null || attempt.shuffle_seed === undefined) {
+            return questions;
+        }
+
+        return questions.map(question => {
+            // Ordering items are always shuffled - the authored order is usually the answer
+            const shuffleOptions = question.question_type === 'ordering'
+                || (quiz.shuffle_options && ['single_choice', 'multiple_choice'].includes(question.question_type));
+
+            if (!shuffleOptions || !Array.isArray(question.options)) {
+                return question;
+            }
+
+            return {
+                ...question,
+                options: seededShuffle.shuffle(question.options, seededShuffle.derive(attempt.shuffle_seed, question.id))
+            };
+        });
+    }
+
+    // Passing marks scale with the attempt's paper when only a subset was drawn
+    getPassingScore(quiz, totalMarks) {
+        if (!quiz.total_marks || Number(totalMarks) === Number(quiz.total_marks)) {
+            return quiz.passing_marks;
+        }
+
+        return (quiz.passing_marks * totalMarks) / quiz.total_marks;
+    }
+
+    buildAttemptSession(attempt, quiz) {
+        return {
+            attempt,
+            quiz: { ...quiz, questions: this.getAttemptQuestions(quiz, attempt) },
+            serverTime: new Date().toISOString(),
+            deadline: attempt.deadline_at,
+            remainingSeconds: this.getRemainingSeconds(attempt),
+            gracePeriodSeconds: config.quiz.gracePeriodSeconds
         };
     }
 
     // Get student quiz attempts
     async getStudentAttempts(studentId, quizId = null) {
+        await this.expireOverdueAttempts(studentId, quizId);
+
         let query = supabase
             .from('quiz_attempts')
             .select(`
@@ -179,6 +776,395 @@ class QuizService {
         return attempts;
     }
 
+    // Update quiz metadata and settings (does not touch questions or attempts)
+    async updateQuiz(quizId, updateData) {
+        const updates = this.pickPolicy(updateData);
+
+        for (const field of QUIZ_FIELDS) {
+            if (updateData[field] !== undefined) {
+                updates[field] = updateData[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            throw new AppError('No valid fields to update', 400);
+        }
+
+        updates.updated_at = new Date().toISOString();
+
+        const { data: quiz, error } = await supabase
+            .from('quizzes')
+            .update(updates)
+            .eq('id', quizId)
+            .select()
+            .single();
+
+        if (error || !quiz) {
+            throw new AppError('Failed to update quiz', 500);
+        }
+
+        return quiz;
+    }
+
+    // Add a question (inline or from the question bank)
+    async addQuestion(quizId, questionData) {
+        return this.changeQuestions(quizId, async (quiz) => {
+            const [row] = await this.buildQuestionRows(
+                quiz.course_id,
+                questionData.bank_question_id ? [] : [questionData],
+                questionData.bank_question_id ? [questionData.bank_question_id] : []
+            );
+
+            const lastOrder = quiz.questions.reduce((max, q) => Math.max(max, q.question_order), 0);
+
+            const { data: question, error } = await supabase
+                .from('quiz_questions')
+                .insert({ ...row, quiz_id: quizId, question_order: lastOrder + 1 })
+                .select()
+                .single();
+
+            if (error) {
+                throw new AppError('Failed to add question', 500);
+            }
+
+            return question;
+        });
+    }
+
+    // Edit a question
+    async updateQuestion(quizId, questionId, updateData) {
+        return this.changeQuestions(quizId, async (quiz) => {
+            const existing = quiz.questions.find(q => q.id === questionId);
+
+            if (!existing) {
+                throw new AppError('Question not found', 404);
+            }
+
+            const updates = {};
+            for (const field of QUESTION_FIELDS) {
+                if (updateData[field] !== undefined) {
+                    updates[field] = updateData[field];
+                }
+            }
+
+            if (Object.keys(updates).length === 0) {
+                throw new AppError('No valid fields to update', 400);
+            }
+
+            // Typed questions are validated as a whole; legacy four-option rows keep their free-form key
+            const merged = { ...existing, ...updates };
+            if (updates.options !== undefined || updates.answer_key !== undefined || merged.question_type !== 'single_choice') {
+                const errors = questionGrader.validate(questionGrader.normalize(merged));
+                if (errors.length > 0) {
+                    throw new AppError(errors.join(', '), 400);
+                }
+            }
+
+            const { data: question, error } = await supabase
+                .from('quiz_questions')
+                .update(updates)
+                .eq('id', questionId)
+                .eq('quiz_id', quizId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new AppError('Failed to update question', 500);
+            }
+
+            return question;
+        });
+    }
+
+    // Remove a question
+    async deleteQuestion(quizId, questionId) {
+        return this.changeQuestions(quizId, async (quiz) => {
+            if (!quiz.questions.some(q => q.id === questionId)) {
+                throw new AppError('Question not found', 404);
+            }
+
+            const { error } = await supabase
+                .from('quiz_questions')
+                .delete()
+                .eq('id', questionId)
+                .eq('quiz_id', quizId);
+
+            if (error) {
+                throw new AppError('Failed to delete question', 500);
+            }
+
+            return { success: true, message: 'Question deleted successfully' };
+        });
+    }
+
+    // Reorder questions (presentation only - does not create a new version)
+    async reorderQuestions(quizId, questionOrders) {
+        try {
+            for (const { id, question_order } of questionOrders) {
+                await supabase
+                    .from('quiz_questions')
+                    .update({ question_order })
+                    .eq('id', id)
+                    .eq('quiz_id', quizId);
+            }
+
+            return { success: true, message: 'Questions reordered successfully' };
+        } catch (error) {
+            throw new AppError('Failed to reorder questions', 500);
+        }
+    }
+
+    // Apply a question change as a new quiz version.
+    // The current version is snapshotted first so existing attempts keep their original key.
+    async changeQuestions(quizId, change) {
+        const quiz = await this.getQuizById(quizId, true);
+
+        const { error: snapshotError } = await supabase
+            .from('quiz_versions')
+            .upsert({
+                quiz_id: quizId,
+                version: quiz.version,
+                questions: quiz.questions
+            }, {
+                onConflict: 'quiz_id,version',
+                ignoreDuplicates: true
+            });
+
+        if (snapshotError) {
+            throw new AppError('Failed to snapshot quiz version', 500);
+        }
+
+        const result = await change(quiz);
+
+        const { data: questions } = await supabase
+            .from('quiz_questions')
+            .select('marks')
+            .eq('quiz_id', quizId);
+
+        const { error } = await supabase
+            .from('quizzes')
+            .update({
+                version: quiz.version + 1,
+                total_marks: (questions || []).reduce((sum, q) => sum + Number(q.marks), 0),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', quizId);
+
+        if (error) {
+            throw new AppError('Failed to update quiz version', 500);
+        }
+
+        return result;
+    }
+
+    // Regrade every submitted attempt against the current answer key
+    async regradeAttempts(quizId, userId) {
+        const quiz = await this.getQuizById(quizId, true);
+
+        const { data: attempts, error } = await supabase
+            .from('quiz_attempts')
+            .select('*')
+            .eq('quiz_id', quizId)
+            .eq('status', 'submitted');
+
+        if (error) {
+            throw new AppError('Failed to fetch quiz attempts', 500);
+        }
+
+        let changed = 0;
+        const regradedAt = new Date().toISOString();
+
+        for (const attempt of attempts) {
+            const questions = this.getAttemptQuestions(quiz, attempt);
+            const { score } = this.gradeAnswers(quiz, attempt.answers, attempt);
+            const totalMarks = attempt.question_ids?.length
+                ? questions.reduce((sum, q) => sum + Number(q.marks), 0)
+                : Number(quiz.total_marks);
+            const passed = score >= this.getPassingScore(quiz, totalMarks);
+
+            if (Number(attempt.score) !== score || attempt.passed !== passed) {
+                changed++;
+            }
+
+            const { error: updateError } = await supabase
+                .from('quiz_attempts')
+                .update({
+                    score,
+                    total_marks: totalMarks,
+                    passed,
+                    quiz_version: quiz.version,
+                    regraded_at: regradedAt
+                })
+                .eq('id', attempt.id);
+
+            if (updateError) {
+                throw new AppError('Failed to regrade quiz attempts', 500);
+            }
+        }
+
+        await auditService.log(
+            userId,
+            'QUIZ_REGRADED',
+            `Regraded ${attempts.length} attempt(s) for quiz: ${quiz.title}`,
+            { quizId, version: quiz.version, attempts: attempts.length, changed }
+        );
+
+        return {
+            success: true,
+            message: `${attempts.length} attempt(s) regraded, ${changed} score(s) changed`,
+            version: quiz.version,
+            regraded: attempts.length,
+            changed
+        };
+    }
+
+    // Item analysis across submitted attempts, graded against the current answer key
+    async getQuizAnalytics(quizId) {
+        const quiz = await this.getQuizById(quizId, true);
+
+        const { data: attempts, error } = await supabase
+            .from('quiz_attempts')
+            .select('id, student_id, score, total_marks, passed, answers, question_ids, shuffle_seed')
+            .eq('quiz_id', quizId)
+            .eq('status', 'submitted');
+
+        if (error) {
+            throw new AppError('Failed to fetch quiz attempts', 500);
+        }
+
+        // Grade every response once: attempt -> { percentage, fractions by question }
+        const graded = attempts.map(attempt => {
+            const fractions = {};
+            for (const question of this.getAttemptQuestions(quiz, attempt)) {
+                fractions[question.id] = questionGrader.grade(question, attempt.answers?.[question.id]).fraction;
+            }
+
+            const totalMarks = Number(attempt.total_marks) || Number(quiz.total_marks) || 1;
+            return {
+                attempt,
+                percentage: (Number(attempt.score) / totalMarks) * 100,
+                fractions
+            };
+        });
+
+        // Upper and lower 27% groups by overall score
+        const ranked = [...graded].sort((a, b) => b.percentage - a.percentage);
+        const groupSize = Math.max(1, Math.round(ranked.length * 0.27));
+        const upper = ranked.slice(0, groupSize);
+        const lower = ranked.slice(-groupSize);
+
+        const meanFraction = (group, questionId) => {
+            const values = group
+                .filter(g => g.fractions[questionId] !== undefined)
+                .map(g => g.fractions[questionId]);
+            return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        };
+
+        const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+
+        const questions = quiz.questions.map(question => {
+            const responses = graded.filter(g => g.fractions[question.id] !== undefined);
+            const difficulty = meanFraction(graded, question.id);
+            const upperCorrect = ranked.length >= 2 ? meanFraction(upper, question.id) : null;
+            const lowerCorrect = ranked.length >= 2 ? meanFraction(lower, question.id) : null;
+            const discrimination = upperCorrect !== null && lowerCorrect !== null ? upperCorrect - lowerCorrect : null;
+
+            const flags = [];
+            if (discrimination !== null && discrimination < 0) {
+                flags.push('negative_discrimination');
+            } else if (discrimination !== null && discrimination < 0.2) {
+                flags.push('low_discrimination');
+            }
+            if (upperCorrect !== null && upperCorrect < 0.5) {
+                flags.push('missed_by_high_scorers');
+            }
+
+            return {
+                questionId: question.id,
+                questionText: question.question_text,
+                questionType: question.question_type,
+                responses: responses.length,
+                difficultyIndex: round(difficulty),
+                discriminationIndex: round(discrimination),
+                upperGroupCorrect: round(upperCorrect),
+                lowerGroupCorrect: round(lowerCorrect),
+                answerDistribution: this.getAnswerDistribution(question, responses.map(g => g.attempt.answers?.[question.id])),
+                flags
+            };
+        });
+
+        // Score histogram in 10% buckets
+        const histogram = Array.from({ length: 10 }, (_, i) => ({
+            range: `${i * 10}-${i === 9 ? 100 : i * 10 + 9}`,
+            count: 0
+        }));
+        for (const g of graded) {
+            const bucket = Math.min(9, Math.max(0, Math.floor(g.percentage / 10)));
+            histogram[bucket].count++;
+        }
+
+        const passedCount = attempts.filter(a => a.passed).length;
+
+        return {
+            quizId,
+            version: quiz.version,
+            attemptCount: attempts.length,
+            studentCount: new Set(attempts.map(a => a.student_id)).size,
+            averagePercentage: graded.length > 0
+                ? round(graded.reduce((sum, g) => sum + g.percentage, 0) / graded.length)
+                : null,
+            passRate: attempts.length > 0 ? round(passedCount / attempts.length) : null,
+            histogram,
+            questions,
+            flaggedQuestions: questions.filter(q => q.flags.length > 0).map(q => q.questionId)
+        };
+    }
+
+    // Count chosen options (choice questions) or the most common responses (free-form questions)
+    getAnswerDistribution(question, answers) {
+        const counts = {};
+        let unanswered = 0;
+
+        if (['single_choice', 'multiple_choice'].includes(question.question_type)) {
+            for (const option of question.options || []) {
+                counts[option.id] = 0;
+            }
+        } else if (question.question_type === 'true_false') {
+            counts.true = 0;
+            counts.false = 0;
+        }
+
+        for (const answer of answers) {
+            if (answer === undefined || answer === null || answer === '' || (Array.isArray(answer) && answer.length === 0)) {
+                unanswered++;
+                continue;
+            }
+
+            let keys;
+            if (question.question_type === 'multiple_choice') {
+                keys = Array.isArray(answer) ? answer : [answer];
+            } else if (question.question_type === 'ordering') {
+                keys = [Array.isArray(answer) ? answer.join(' > ') : String(answer)];
+            } else if (question.question_type === 'short_text') {
+                keys = [String(answer).trim().toLowerCase()];
+            } else {
+                keys = [String(answer)];
+            }
+
+            for (const key of keys) {
+                counts[key] = (counts[key] || 0) + 1;
+            }
+        }
+
+        let options = Object.entries(counts).map(([answer, count]) => ({ answer, count }));
+
+        if (['numeric', 'short_text', 'ordering'].includes(question.question_type)) {
+            options = options.sort((a, b) => b.count - a.count).slice(0, 10);
+        }
+
+        return { options, unanswered };
+    }
+
     // Delete quiz
     async deleteQuiz(quizId) {
         const { error } = await supabase
@@ -0,0 +1,124 @@
+import { AppError } from '../middlewares/error.middleware.js';
+import quizFormats, { QUIZ_FORMATS } from '../utils/quiz-formats.js';
+import questionGrader from '../utils/question-grader.js';
+import questionBankService from './questionBank.service.js';
+import quizService from './quiz.service.js';
+import auditService from './audit.service.js';
+
+class QuizImportService {
+    // Parse an uploaded CSV/GIFT/QTI file into a validated preview (nothing is saved)
+    previewImport(file, format) {
+        if (!file) {
+            throw new AppError('No file provided', 400);
+        }
+
+        const detectedFormat = quizFormats.detectFormat(format, file.originalname);
+
+        if (!detectedFormat) {
+            throw new AppError(`Unsupported format. Use one of: ${QUIZ_FORMATS.join(', ')}`, 400);
+        }
+
+        let rows;
+        try {
+            rows = quizFormats.parse(file.buffer, detectedFormat);
+        } catch (error) {
+            throw new AppError(`Could not read ${detectedFormat.toUpperCase()} file: ${error.message}`, 400);
+        }
+
+        const valid = rows.filter(r => r.errors.length === 0).length;
+
+        return {
+            format: detectedFormat,
+            fileName: file.originalname,
+            total: rows.length,
+            valid,
+            invalid: rows.length - valid,
+            rows
+        };
+    }
+
+    // Save previewed questions into the course question bank or as a new quiz
+    async commitImport(importData, userId) {
+        const { course_id, target = 'bank', quiz = {}, questions } = importData;
+
+        if (!course_id) {
+            throw new AppError('Course ID is required', 400);
+        }
+
+        if (!['bank', 'quiz'].includes(target)) {
+            throw new AppError('Target must be bank or quiz', 400);
+        }
+
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new AppError('Please provide questions as a non-empty array', 400);
+        }
+
+        // Re-validate: the client may have edited rows after the preview
+        const rowErrors = questions
+            .map((q, index) => ({ row: q.row ?? index + 1, errors: questionGrader.validate(q) }))
+            .filter(r => r.errors.length > 0);
+
+        if (rowErrors.length > 0) {
+            const details = rowErrors.map(r => `Row ${r.row}: ${r.errors.join(', ')}`).join('; ');
+            const error = new AppError(`Import has invalid questions. ${details}`, 400);
+            error.code = 'IMPORT_VALIDATION_FAILED';
+            throw error;
+        }
+
+        let result;
+
+        if (target === 'bank') {
+            const created = await questionBankService.createQuestions(course_id, questions, userId);
+            result = { target, imported: created.length, questions: created };
+        } else {
+            if (!quiz.title) {
+                throw new AppError('Quiz title is required', 400);
+            }
+
+            const created = await quizService.createQuiz({ ...quiz, course_id, questions });
+            result = { target, imported: questions.length, quiz: created };
+        }
+
+        await auditService.log(
+            userId,
+            'QUIZ_IMPORTED',
+            `Imported ${questions.length} question(s) into ${target === 'bank' ? 'question bank' : `quiz: ${quiz.title}`}`,
+            { courseId: course_id, target, count: questions.length }
+        );
+
+        return result;
+    }
+
+    // Export a quiz with its answer key
+    async exportQuiz(quizId, format = 'csv') {
+        if (!QUIZ_FORMATS.includes(format)) {
+            throw new AppError(`Unsupported format. Use one of: ${QUIZ_FORMATS.join(', ')}`, 400);
+        }
+
+        const quiz = await quizService.getQuizById(quizId, true);
+        const baseName = (quiz.title || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+
+        switch (format) {
+            case 'gift':
+                return {
+                    fileName: `${baseName}.gift.txt`,
+                    contentType: 'text/plain; charset=utf-8',
+                    content: quizFormats.toGift(quiz.questions)
+                };
+            case 'qti':
+                return {
+                    fileName: `${baseName}.qti.zip`,
+                    contentType: 'application/zip',
+                    content: quizFormats.toQti(quiz.questions, quiz.title)
+                };
+            default:
+                return {
+                    fileName: `${baseName}.csv`,
+                    contentType: 'text/csv; charset=utf-8',
+                    content: quizFormats.toCsv(quiz.questions)
+                };
+        }
+    }
+}
+
+export default new QuizImportService();
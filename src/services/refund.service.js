@@ -0,0 +1,301 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import paymentService from './payment.service.js';
+import enrollmentService from './enrollment.service.js';
+import couponService from './coupon.service.js';
+import auditService from './audit.service.js';
+
+const ENROLLMENT_ACTIONS = ['revoke', 'shorten', 'none'];
+
+// Razorpay amounts are in paise
+const toRupees = (paise) => Math.round(paise) / 100;
+
+class RefundService {
+    // Issue a full or partial refund (admin only)
+    async refundPayment(paymentId, refundData, adminId) {
+        const { amount, reason, enrollment_action, valid_days } = refundData;
+
+        const { data: payment, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        if (error || !payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        if (payment.status !== 'captured') {
+            throw new AppError(`Only captured payments can be refunded (payment is ${payment.status})`, 400);
+        }
+
+        const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0);
+        const refundAmount = amount !== undefined ? Math.round(parseFloat(amount) * 100) / 100 : refundable;
+
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            throw new AppError(`Refund amount must be between 0 and ${refundable.toFixed(2)}`, 400);
+        }
+
+        const isFull = refundAmount === refundable;
+        const enrollmentAction = enrollment_action || (isFull ? 'revoke' : 'none');
+
+        if (!ENROLLMENT_ACTIONS.includes(enrollmentAction)) {
+            throw new AppError(`enrollment_action must be one of: ${ENROLLMENT_ACTIONS.join(', ')}`, 400);
+        }
+
+        // The enrollment action is applied when the payment becomes fully refunded
+        if (!isFull && enrollmentAction !== 'none') {
+            throw new AppError('Partial refunds leave the enrollment as it is; enrollment_action must be none', 400);
+        }
+
+        if (enrollmentAction === 'shorten' && !(Number.isInteger(valid_days) && valid_days >= 0)) {
+            throw new AppError('valid_days is required to shorten the enrollment', 400);
+        }
+
+        if (payment.payment_method === 'online' && !payment.razorpay_payment_id) {
+            throw new AppError('Payment has no Razorpay payment ID', 400);
+        }
+
+        // Offline payments are refunded outside Razorpay; only the record is kept
+        const isOnline = payment.payment_method === 'online';
+
+        // Recorded before Razorpay is called so the refund webhook finds the admin's enrollment action
+        const { data: pending, error: insertError } = await supabase
+            .from('refunds')
+            .insert({
+                payment_id: payment.id,
+                amount: refundAmount,
+                status: isOnline ? 'pending' : 'processed',
+                reason,
+                enrollment_action: enrollmentAction,
+                valid_days: enrollmentAction === 'shorten' ? valid_days : null,
+                initiated_by: adminId,
+                processed_at: isOnline ? null : new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (insertError) {
+            throw new AppError('Failed to record refund', 500);
+        }
+
+        let refund = pending;
+
+        if (isOnline) {
+            let razorpayRefund;
+
+            try {
+                razorpayRefund = await paymentService.razorpay.payments.refund(payment.razorpay_payment_id, {
+                    amount: Math.round(refundAmount * 100),
+                    speed: 'normal',
+                    notes: {
+                        payment_id: payment.id,
+                        refund_id: pending.id,
+                        reason: reason || ''
+                    }
+                });
+            } catch (refundError) {
+                await supabase
+                    .from('refunds')
+                    .update({ status: 'failed' })
+                    .eq('id', pending.id);
+
+                console.error('Razorpay refund error:', refundError);
+                throw new AppError(`Refund failed: ${refundError.error?.description || refundError.message}`, 502);
+            }
+
+            // Skipped if the refund webhook already linked and settled the record
+            const { data: linked } = await supabase
+                .from('refunds')
+                .update({
+                    razorpay_refund_id: razorpayRefund.id,
+                    status: this.mapStatus(razorpayRefund.status),
+                    processed_at: razorpayRefund.status === 'processed' ? new Date().toISOString() : null
+                })
+                .eq('id', pending.id)
+                .eq('status', 'pending')
+                .select();
+
+            refund = linked && linked.length > 0 ? linked[0] : { ...pending, razorpay_refund_id: razorpayRefund.id };
+        }
+
+        await auditService.log(
+            adminId,
+            'PAYMENT_REFUNDED',
+            `${isFull ? 'Full' : 'Partial'} refund of ${refundAmount} for payment ${payment.id}`,
+            {
+                paymentId: payment.id,
+                refundId: refund.id,
+                razorpayRefundId: refund.razorpay_refund_id,
+                amount: refundAmount,
+                enrollmentAction,
+                reason
+            }
+        );
+
+        const updatedPayment = await this.syncPayment(payment.id, adminId);
+
+        return { refund, payment: updatedPayment };
+    }
+
+    // Get refunds of a payment
+    async getRefunds(paymentId) {
+        const { data: refunds, error } = await supabase
+            .from('refunds')
+            .select('*')
+            .eq('payment_id', paymentId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw new AppError('Failed to fetch refunds', 500);
+        }
+
+        return refunds;
+    }
+
+    // Apply refund.created / refund.processed / refund.failed webhooks, including refunds made in the dashboard
+    async handleRefundWebhook(refundEntity) {
+        const { data: payment } = await supabase
+            .from('payments')
+            .select('id, student_id')
+            .eq('razorpay_payment_id', refundEntity.payment_id)
+            .single();
+
+        if (!payment) {
+            console.error('Refund webhook for unknown payment:', refundEntity.payment_id);
+            return null;
+        }
+
+        const status = this.mapStatus(refundEntity.status);
+
+        // Refunds issued from here carry the ID of the record created before calling Razorpay
+        let query = supabase
+            .from('refunds')
+            .select('id, status')
+            .eq('payment_id', payment.id);
+
+        query = refundEntity.notes?.refund_id
+            ? query.eq('id', refundEntity.notes.refund_id)
+            : query.eq('razorpay_refund_id', refundEntity.id);
+
+        const { data: existing } = await query.single();
+
+        if (existing) {
+            await supabase
+                .from('refunds')
+                .update({
+                    razorpay_refund_id: refundEntity.id,
+                    status,
+                    processed_at: status === 'processed' ? new Date().toISOString() : null
+                })
+                .eq('id', existing.id);
+        } else {
+            const { error } = await supabase
+                .from('refunds')
+                .insert({
+                    payment_id: payment.id,
+                    razorpay_refund_id: refundEntity.id,
+                    amount: toRupees(refundEntity.amount),
+                    status,
+                    reason: refundEntity.notes?.reason || 'Refunded in Razorpay dashboard',
+                    enrollment_action: 'revoke',
+                    processed_at: status === 'processed' ? new Date().toISOString() : null
+                });
+
+            // A concurrent request may have recorded it first
+            if (error && error.code !== '23505') {
+                throw new AppError('Failed to record refund', 500);
+            }
+        }
+
+        return this.syncPayment(payment.id);
+    }
+
+    // Recompute the refunded total from the refund records; on the first full refund
+    // apply the enrollment action and reverse coupon usage
+    async syncPayment(paymentId, adminId = null) {
+        const { data: payment } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        const refunds = await this.getRefunds(paymentId);
+        const active = refunds.filter(r => r.status !== 'failed');
+        const refundedAmount = Math.round(active.reduce((sum, r) => sum + parseFloat(r.amount), 0) * 100) / 100;
+        const fullyRefunded = refundedAmount >= parseFloat(payment.amount);
+
+        const updates = { refunded_amount: refundedAmount };
+        if (fullyRefunded && payment.status !== 'refunded') {
+            updates.status = 'refunded';
+            updates.refunded_at = new Date().toISOString();
+        } else if (!fullyRefunded && payment.status === 'refunded') {
+            // A refund failed after being issued; access already revoked is left for an admin to restore
+            updates.status = 'captured';
+            updates.refunded_at = null;
+        }
+
+        let query = supabase
+            .from('payments')
+            .update(updates)
+            .eq('id', paymentId);
+
+        // Status changes are conditional so only one of the admin request and the webhook applies them
+        if (updates.status) {
+            query = query.eq('status', updates.status === 'refunded' ? 'captured' : 'refunded');
+        }
+
+        const { data: rows, error } = await query.select();
+
+        if (error) {
+            throw new AppError('Failed to update payment refund status', 500);
+        }
+
+        if (!rows || rows.length === 0) {
+            // Someone else changed the status first and applied its side effects; only the total is refreshed
+            const { data: current, error: totalError } = await supabase
+                .from('payments')
+                .update({ refunded_amount: refundedAmount })
+                .eq('id', paymentId)
+                .select()
+                .single();
+
+            if (totalError) {
+                throw new AppError('Failed to update payment refund status', 500);
+            }
+
+            return current;
+        }
+
+        const updated = rows[0];
+
+        if (updates.status === 'refunded') {
+            // The latest refund decides what happens to the enrollment
+            const last = active[active.length - 1];
+
+            for (const courseId of paymentService.getPaymentCourseIds(payment)) {
+                await enrollmentService.applyRefund(
+                    payment.student_id,
+                    courseId,
+                    last?.enrollment_action || 'revoke',
+                    last?.valid_days,
+                    adminId
+                );
+            }
+            await couponService.reverseCouponUsage(payment.id);
+        }
+
+        return updated;
+    }
+
+    /**
+     * @private
+     */
+    mapStatus(razorpayStatus) {
+        if (razorpayStatus === 'processed') return 'processed';
+        if (razorpayStatus === 'failed') return 'failed';
+        return 'pending';
+    }
+}
+
+export default new RefundService();
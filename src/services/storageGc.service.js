@@ -0,0 +1,220 @@
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import auditService from './audit.service.js';
+import uploadService from './upload.service.js';
+import storage from '../storage/index.js';
+
+const PAGE_SIZE = 1000;
+
+// Keys in these columns are stored as-is; anything that looks like a full URL lives elsewhere
+const isStorageKey = (value) => typeof value === 'string' && value.length > 0 && !/^https?:\/\//i.test(value);
+
+// Directory of a key, with trailing slash
+const prefixOf = (key) => key.slice(0, key.lastIndexOf('/') + 1);
+
+class StorageGcService {
+    constructor() {
+        this.running = false;
+        this.lastReport = null;
+    }
+
+    // Compare bucket contents with the database, report orphans and missing files,
+    // and delete orphans older than the grace period unless this is a dry run
+    async run({ dryRun = true, graceHours = config.storageGc.graceHours, userId = null } = {}) {
+        if (this.running) {
+            throw new AppError('Storage cleanup is already running', 409);
+        }
+
+        this.running = true;
+        const startedAt = new Date();
+
+        try {
+            // Collect references first: a failed query must never turn live files into "orphans"
+            const references = await this.collectReferences();
+
+            let objects;
+            try {
+                objects = await storage.listObjects();
+            } catch (error) {
+                console.error('Storage listing error:', error);
+                throw new AppError('Failed to list stored files', 500);
+            }
+
+            // Unfinished multipart uploads are invisible to listObjects; close the expired ones here
+            const uploads = await uploadService.abortExpiredSessions({ dryRun });
+
+            const existing = new Set(objects.map(o => o.key));
+            const cutoff = startedAt.getTime() - graceHours * 60 * 60 * 1000;
+
+            const orphans = objects
+                .filter(o => !references.keys.has(o.key) && !references.prefixes.some(p => o.key.startsWith(p)))
+                .map(o => ({
+                    key: o.key,
+                    size: o.size,
+                    lastModified: o.lastModified,
+                    withinGracePeriod: new Date(o.lastModified).getTime() > cutoff
+                }));
+
+            const missing = references.entries.filter(e => !existing.has(e.key));
+
+            const deleted = [];
+            const failed = [];
+
+            if (!dryRun) {
+                for (const orphan of orphans.filter(o => !o.withinGracePeriod)) {
+                    try {
+                        await storage.deleteObject(orphan.key);
+                        deleted.push(orphan.key);
+                    } catch (error) {
+                        console.error('Orphan deletion error:', orphan.key, error.message);
+                        failed.push({ key: orphan.key, error: error.message });
+                    }
+                }
+            }
+
+            const report = {
+                driver: storage.name,
+                dryRun,
+                graceHours,
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                summary: {
+                    objects: objects.length,
+                    referenced: objects.length - orphans.length,
+                    orphans: orphans.length,
+                    orphanBytes: orphans.reduce((sum, o) => sum + (o.size || 0), 0),
+                    withinGracePeriod: orphans.filter(o => o.withinGracePeriod).length,
+                    deleted: deleted.length,
+                    failed: failed.length,
+                    missing: missing.length,
+                    expiredUploads: uploads.expired,
+                    abortedUploads: uploads.aborted
+                },
+                orphans,
+                missing,
+                deleted,
+                failed,
+                uploads
+            };
+
+            this.lastReport = report;
+
+            await auditService.log(
+                userId,
+                'STORAGE_GC_RUN',
+                `Storage cleanup ${dryRun ? '(dry run) ' : ''}found ${orphans.length} orphaned and ${missing.length} missing file(s), deleted ${deleted.length}, aborted ${uploads.aborted} expired upload(s)`,
+                { dryRun, graceHours, ...report.summary }
+            );
+
+            return report;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Get the report of the most recent run since startup
+    getLastReport() {
+        return this.lastReport;
+    }
+
+    // Run on a timer when STORAGE_GC_INTERVAL_HOURS is set
+    startSchedule() {
+        const { intervalHours, dryRun } = config.storageGc;
+
+        if (!intervalHours) {
+            return;
+        }
+
+        const timer = setInterval(() => {
+            this.run({ dryRun }).catch(error => console.error('Scheduled storage cleanup error:', error.message));
+        }, intervalHours * 60 * 60 * 1000);
+        timer.unref();
+
+        console.log(`🧹 Storage cleanup scheduled every ${intervalHours}h${dryRun ? ' (dry run)' : ''}`);
+    }
+
+    // Every object key (and HLS prefix) the database still points at
+    async collectReferences() {
+        const entries = [];
+        const prefixes = [];
+        const add = (key, source, id) => {
+            if (isStorageKey(key)) {
+                entries.push({ key, source, id });
+            }
+        };
+
+        for (const lecture of await this.fetchAll('lectures', 'id, file_url, hls_manifest_key, thumbnail_sprite_key')) {
+            add(lecture.file_url, 'lecture_file', lecture.id);
+            add(lecture.hls_manifest_key, 'lecture_hls_manifest', lecture.id);
+            add(lecture.thumbnail_sprite_key, 'lecture_thumbnail_sprite', lecture.id);
+
+            // Segments and rendition playlists of the current transcode live next to the manifest
+            if (isStorageKey(lecture.hls_manifest_key)) {
+                prefixes.push(prefixOf(lecture.hls_manifest_key));
+            }
+        }
+
+        for (const resource of await this.fetchAll('lecture_resources', 'id, file_url')) {
+            add(resource.file_url, 'lecture_resource', resource.id);
+        }
+
+        for (const subtitle of await this.fetchAll('lecture_subtitles', 'id, file_url')) {
+            add(subtitle.file_url, 'lecture_subtitle', subtitle.id);
+        }
+
+        for (const certificate of await this.fetchAll('certificates', 'id, certificate_url')) {
+            add(certificate.certificate_url, 'certificate', certificate.id);
+        }
+
+        for (const invoice of await this.fetchAll('invoices', 'id, file_url')) {
+            add(invoice.file_url, 'invoice', invoice.id);
+        }
+
+        for (const course of await this.fetchAll('courses', 'id, thumbnail_url')) {
+            add(course.thumbnail_url, 'course_thumbnail', course.id);
+        }
+
+        for (const bundle of await this.fetchAll('course_bundles', 'id, thumbnail_url')) {
+            add(bundle.thumbnail_url, 'bundle_thumbnail', bundle.id);
+        }
+
+        for (const request of await this.fetchAll('course_requests', 'id, thumbnail_url')) {
+            add(request.thumbnail_url, 'course_request_thumbnail', request.id);
+        }
+
+        return {
+            entries,
+            keys: new Set(entries.map(e => e.key)),
+            prefixes
+        };
+    }
+
+    /**
+     * @private
+     */
+    async fetchAll(table, columns) {
+        const rows = [];
+
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(table)
+                .select(columns)
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                console.error(`Storage reference fetch error (${table}):`, error);
+                throw new AppError(`Failed to read file references from ${table}`, 500);
+            }
+
+            rows.push(...data);
+
+            if (data.length < PAGE_SIZE) {
+                return rows;
+            }
+        }
+    }
+}
+
+export default new StorageGcService();
@@ -0,0 +1,339 @@
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import auditService from './audit.service.js';
+import notificationService from './notification.service.js';
+
+const FLAG_REASONS = {
+    hourly_limit: 'Signed URL limit exceeded',
+    concurrent_limit: 'Concurrent stream limit exceeded',
+    sequential_fetching: 'Sequential fetching of course lectures'
+};
+
+class StreamGuardService {
+    // Enforce throttles, the hourly URL quota and (for videos) the concurrent stream limit
+    async assertCanStream(user, lectureId, assetType) {
+        const limits = config.streamingLimits;
+
+        const throttle = await this.getActiveThrottle(user.id);
+        if (throttle) {
+            const error = new AppError(`Streaming is paused for your account until ${new Date(throttle.throttled_until).toISOString()}. Please contact support.`, 429);
+            error.code = 'STREAMING_THROTTLED';
+            throw error;
+        }
+
+        const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const { count, error: countError } = await supabase
+            .from('content_deliveries')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .gte('created_at', since);
+
+        if (countError) {
+            throw new AppError('Failed to check streaming quota', 500);
+        }
+
+        if (count >= limits.signedUrlsPerHour) {
+            await this.raiseFlag(user.id, 'hourly_limit', { deliveriesLastHour: count, limit: limits.signedUrlsPerHour });
+
+            const error = new AppError('Hourly streaming limit reached. Please try again later.', 429);
+            error.code = 'STREAM_QUOTA_EXCEEDED';
+            throw error;
+        }
+
+        if (assetType === 'video') {
+            const activeStreams = (await this.getActiveSessions(user.id))
+                .filter(s => !(s.lecture_id === lectureId && s.device_id === (user.deviceId || null)));
+
+            if (activeStreams.length >= limits.maxConcurrentStreams) {
+                await this.raiseFlag(user.id, 'concurrent_limit', {
+                    activeStreams: activeStreams.length,
+                    limit: limits.maxConcurrentStreams,
+                    lectureIds: activeStreams.map(s => s.lecture_id)
+                });
+
+                const error = new AppError(`You can watch at most ${limits.maxConcurrentStreams} video(s) at a time`, 429);
+                error.code = 'STREAM_LIMIT_REACHED';
+                throw error;
+            }
+        }
+    }
+
+    // Open (or reuse) a stream session for a lecture on this device
+    async startSession(user, lectureId) {
+        const deviceId = user.deviceId || null;
+        const now = new Date().toISOString();
+
+        let query = supabase
+            .from('stream_sessions')
+            .select('id')
+            .eq('user_id', user.id)
+            .eq('lecture_id', lectureId)
+            .is('ended_at', null);
+
+        query = deviceId ? query.eq('device_id', deviceId) : query.is('device_id', null);
+
+        const { data: existing } = await query.limit(1);
+
+        if (existing && existing.length > 0) {
+            await supabase
+                .from('stream_sessions')
+                .update({ last_seen_at: now })
+                .eq('id', existing[0].id);
+
+            return existing[0].id;
+        }
+
+        const { data: session, error } = await supabase
+            .from('stream_sessions')
+            .insert({
+                user_id: user.id,
+                lecture_id: lectureId,
+                device_id: deviceId,
+                started_at: now,
+                last_seen_at: now
+            })
+            .select('id')
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to start stream session', 500);
+        }
+
+        return session.id;
+    }
+
+    // Keep the student's open streams of a lecture alive (called from player heartbeats)
+    async touchSession(userId, lectureId) {
+        await supabase
+            .from('stream_sessions')
+            .update({ last_seen_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('lecture_id', lectureId)
+            .is('ended_at', null);
+    }
+
+    // End a stream session when the player closes
+    async endSession(sessionId, userId) {
+        const { error } = await supabase
+            .from('stream_sessions')
+            .update({ ended_at: new Date().toISOString() })
+            .eq('id', sessionId)
+            .eq('user_id', userId);
+
+        if (error) {
+            throw new AppError('Failed to end stream session', 500);
+        }
+
+        return { success: true, message: 'Stream session ended' };
+    }
+
+    /**
+     * @private
+     */
+    async getActiveSessions(userId) {
+        const cutoff = new Date(Date.now() - config.streamingLimits.sessionTimeoutSeconds * 1000).toISOString();
+
+        const { data: sessions, error } = await supabase
+            .from('stream_sessions')
+            .select('id, lecture_id, device_id, last_seen_at')
+            .eq('user_id', userId)
+            .is('ended_at', null)
+            .gte('last_seen_at', cutoff);
+
+        if (error) {
+            throw new AppError('Failed to check active streams', 500);
+        }
+
+        return sessions || [];
+    }
+
+    /**
+     * @private
+     */
+    async getActiveThrottle(userId) {
+        const { data: flags } = await supabase
+            .from('streaming_flags')
+            .select('id, reason, throttled_until')
+            .eq('user_id', userId)
+            .is('resolved_at', null)
+            .gt('throttled_until', new Date().toISOString())
+            .order('throttled_until', { ascending: false })
+            .limit(1);
+
+        return flags && flags.length > 0 ? flags[0] : null;
+    }
+
+    // Flag and throttle students who walk through a course lecture by lecture
+    async detectSequentialFetching(userId, courseId) {
+        const { sequentialLectureThreshold, sequentialWindowMinutes } = config.streamingLimits;
+        const since = new Date(Date.now() - sequentialWindowMinutes * 60 * 1000).toISOString();
+
+        const { data: deliveries } = await supabase
+            .from('content_deliveries')
+            .select('lecture_id, created_at')
+            .eq('user_id', userId)
+            .eq('course_id', courseId)
+            .gte('created_at', since)
+            .order('created_at', { ascending: true });
+
+        // Distinct lectures in the order they were first fetched, with the time of that first fetch
+        const firstFetchedAt = new Map();
+        for (const delivery of deliveries || []) {
+            if (delivery.lecture_id && !firstFetchedAt.has(delivery.lecture_id)) {
+                firstFetchedAt.set(delivery.lecture_id, new Date(delivery.created_at).getTime());
+            }
+        }
+        const fetched = [...firstFetchedAt.keys()];
+
+        if (fetched.length < sequentialLectureThreshold) {
+            return false;
+        }
+
+        const { data: chapters } = await supabase
+            .from('chapters')
+            .select('chapter_order, lectures (id, lecture_order, duration)')
+            .eq('course_id', courseId);
+
+        const courseLectures = (chapters || [])
+            .sort((a, b) => a.chapter_order - b.chapter_order)
+            .flatMap(c => (c.lectures || []).sort((a, b) => a.lecture_order - b.lecture_order));
+        const courseOrder = courseLectures.map(l => l.id);
+
+        // Moving on to the last lecture takes at least the playing time of the earlier ones
+        const durations = new Map(courseLectures.map(l => [l.id, Number(l.duration) || 0]));
+        const elapsedSeconds = (firstFetchedAt.get(fetched[fetched.length - 1]) - firstFetchedAt.get(fetched[0])) / 1000;
+        const minimumSeconds = fetched.slice(0, -1)
+            .reduce((sum, id) => sum + (durations.get(id) || 0), 0) / config.watchProgress.maxPlaybackRate;
+
+        if (elapsedSeconds >= minimumSeconds) {
+            return false;
+        }
+
+        const positions = fetched.map(id => courseOrder.indexOf(id)).filter(i => i >= 0);
+        let inOrder = 0;
+        for (let i = 1; i < positions.length; i++) {
+            if (positions[i] === positions[i - 1] + 1) {
+                inOrder++;
+            }
+        }
+
+        // Mostly consecutive lectures, faster than anyone could watch them
+        if (positions.length > 1 && inOrder / (positions.length - 1) >= 0.8) {
+            await this.raiseFlag(userId, 'sequential_fetching', {
+                courseId,
+                lecturesFetched: fetched.length,
+                windowMinutes: sequentialWindowMinutes,
+                elapsedSeconds: Math.round(elapsedSeconds),
+                minimumSeconds: Math.round(minimumSeconds)
+            }, true);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Record a flag, audit it and tell the admins; repeated flags within the throttle window are collapsed
+    async raiseFlag(userId, reason, details = {}, throttle = false) {
+        const { throttleMinutes } = config.streamingLimits;
+        const recentSince = new Date(Date.now() - throttleMinutes * 60 * 1000).toISOString();
+
+        const { data: recent } = await supabase
+            .from('streaming_flags')
+            .select('id')
+            .eq('user_id', userId)
+            .eq('reason', reason)
+            .is('resolved_at', null)
+            .gte('created_at', recentSince)
+            .limit(1);
+
+        if (recent && recent.length > 0) {
+            return null;
+        }
+
+        const { data: flag, error } = await supabase
+            .from('streaming_flags')
+            .insert({
+                user_id: userId,
+                reason,
+                details,
+                throttled_until: throttle ? new Date(Date.now() + throttleMinutes * 60 * 1000).toISOString() : null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Streaming flag error:', error);
+            return null;
+        }
+
+        await auditService.log(
+            userId,
+            'STREAMING_FLAGGED',
+            `${FLAG_REASONS[reason]}${throttle ? ' - streaming throttled' : ''}`,
+            { flagId: flag.id, reason, throttled: throttle, ...details }
+        );
+
+        await notificationService.notifyAdmins(
+            'Streaming abuse detected',
+            `${FLAG_REASONS[reason]} for student ${userId}.${throttle ? ` Streaming is paused for ${throttleMinutes} minutes.` : ''}`,
+            'warning'
+        );
+
+        return flag;
+    }
+
+    // Get streaming flags (admin)
+    async getFlags({ includeResolved = false } = {}) {
+        let query = supabase
+            .from('streaming_flags')
+            .select(`
+        *,
+        users:user_id (
+          id,
+          name,
+          email,
+          phone
+        )
+      `)
+            .order('created_at', { ascending: false })
+            .limit(200);
+
+        if (!includeResolved) {
+            query = query.is('resolved_at', null);
+        }
+
+        const { data: flags, error } = await query;
+
+        if (error) {
+            throw new AppError('Failed to fetch streaming flags', 500);
+        }
+
+        return flags;
+    }
+
+    // Resolve a flag and lift its throttle (admin)
+    async resolveFlag(flagId, adminId) {
+        const { data: flag, error } = await supabase
+            .from('streaming_flags')
+            .update({ resolved_at: new Date().toISOString(), resolved_by: adminId })
+            .eq('id', flagId)
+            .select()
+            .single();
+
+        if (error || !flag) {
+            throw new AppError('Streaming flag not found', 404);
+        }
+
+        await auditService.log(
+            adminId,
+            'STREAMING_FLAG_RESOLVED',
+            `Resolved streaming flag for student ${flag.user_id}`,
+            { flagId, userId: flag.user_id, reason: flag.reason }
+        );
+
+        return flag;
+    }
+}
+
+export default new StreamGuardService();
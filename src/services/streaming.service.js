@@ -1,44 +1,26 @@
-import AWS from 'aws-sdk';
 import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { config } from '../config/config.js';
+import supabase from '../config/database.js';
 import { AppError } from '../middlewares/error.middleware.js';
 import enrollmentService from './enrollment.service.js';
 import lectureService from './lecture.service.js';
 import auditService from './audit.service.js';
+import completionService from './completion.service.js';
+import leakTraceService from './leakTrace.service.js';
+import streamGuardService from './streamGuard.service.js';
+import lectureResourceService from './lectureResource.service.js';
+import subtitleService from './subtitle.service.js';
+import storage from '../storage/index.js';
+import pdfWatermark from '../utils/pdf-watermark.js';
+import traceToken from '../utils/trace-token.js';
 
 class StreamingService {
-    constructor() {
-        // Validate B2 configuration
-        if (!config.backblaze.applicationKeyId || !config.backblaze.applicationKey) {
-            console.error('❌ Backblaze B2 configuration is missing!');
-            console.error('Required: B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY');
-            console.error('Current config:', {
-                applicationKeyId: config.backblaze.applicationKeyId ? '✓ Set' : '✗ Missing',
-                applicationKey: config.backblaze.applicationKey ? '✓ Set' : '✗ Missing',
-                bucketName: config.backblaze.bucketName ? '✓ Set' : '✗ Missing',
-                endpoint: config.backblaze.endpoint ? '✓ Set' : '✗ Missing'
-            });
-        }
-
-        // Configure AWS SDK for Backblaze B2 (S3-compatible)
-        // IMPORTANT: Region must match the actual bucket location
-        this.s3 = new AWS.S3({
-            endpoint: config.backblaze.endpoint,
-            region: 'ca-east-006', // Backblaze B2 region - must match bucket location
-            accessKeyId: config.backblaze.applicationKeyId,
-            secretAccessKey: config.backblaze.applicationKey,
-            s3ForcePathStyle: true,
-            signatureVersion: 'v4'
-        });
-
-        console.log('✅ Streaming service initialized with B2 configuration');
-    }
-
-    // Upload file to Backblaze B2
+    // Upload file to storage
     async uploadFile(file, folder = 'lectures') {
         // Validate configuration
-        if (!config.backblaze.applicationKeyId || !config.backblaze.applicationKey) {
-            throw new AppError('Backblaze B2 storage is not configured. Please contact administrator.', 500);
+        if (!storage.isConfigured()) {
+            throw new AppError('File storage is not configured. Please contact administrator.', 500);
         }
 
         if (!file) {
@@ -52,22 +34,14 @@ class StreamingService {
             folder
         });
 
-        const fileName = `${folder}/${Date.now()}_${crypto.randomBytes(8).toString('hex')}_${file.originalname}`;
-
-        const params = {
-            Bucket: config.backblaze.bucketName,
-            Key: fileName,
-            Body: file.buffer,
-            ContentType: file.mimetype,
-            ACL: 'private' // Important: keep files private
-        };
+        const fileName = this.buildFileKey(folder, file.originalname);
 
         try {
-            const result = await this.s3.upload(params).promise();
-            console.log('✅ File uploaded successfully:', result.Key);
+            const result = await storage.putObject(fileName, file.buffer, { contentType: file.mimetype });
+            console.log('✅ File uploaded successfully:', result.key);
 
             return {
-                fileUrl: result.Key, // Store the key, not the full URL
+                fileUrl: result.key, // Store the key, not the full URL
                 fileName: file.originalname,
                 fileSize: file.size,
                 mimeType: file.mimetype
@@ -77,35 +51,33 @@ class StreamingService {
                 message: error.message,
                 code: error.code,
                 statusCode: error.statusCode,
-                bucket: config.backblaze.bucketName,
-                endpoint: config.backblaze.endpoint
+                driver: storage.name
             });
 
             // Provide more specific error messages
             if (error.code === 'InvalidAccessKeyId') {
-                throw new AppError('Invalid Backblaze B2 credentials. Please check configuration.', 500);
+                throw new AppError('Invalid storage credentials. Please check configuration.', 500);
             } else if (error.code === 'NoSuchBucket') {
-                throw new AppError('Backblaze B2 bucket not found. Please check bucket name.', 500);
+                throw new AppError('Storage bucket not found. Please check bucket name.', 500);
             } else if (error.code === 'NetworkingError') {
-                throw new AppError('Network error while uploading to B2. Please try again.', 500);
+                throw new AppError('Network error while uploading file. Please try again.', 500);
             }
 
             throw new AppError(`Failed to upload file: ${error.message}`, 500);
         }
     }
 
+    // Unique storage key for an uploaded file
+    buildFileKey(folder, originalName) {
+        return `${folder}/${Date.now()}_${crypto.randomBytes(8).toString('hex')}_${originalName}`;
+    }
+
     // Generate signed URL for video/PDF access
     async getSignedUrl(fileKey, expirySeconds = null) {
         const expiry = expirySeconds || config.cloudfront.signedUrlExpiry;
 
-        const params = {
-            Bucket: config.backblaze.bucketName,
-            Key: fileKey,
-            Expires: expiry
-        };
-
         try {
-            const url = await this.s3.getSignedUrlPromise('getObject', params);
+            const url = await storage.getSignedUrl(fileKey, expiry);
             return url;
         } catch (error) {
             console.error('Signed URL generation error:', error);
@@ -114,7 +86,9 @@ class StreamingService {
     }
 
     // Get video URL with access validation
-    async getVideoUrl(lectureId, studentId) {
+    async getVideoUrl(lectureId, user, req = null) {
+        const studentId = user.id;
+
         // Get lecture details
         const lecture = await lectureService.getLectureById(lectureId);
 
@@ -132,30 +106,201 @@ class StreamingService {
             throw new AppError(`Access denied: ${reason}`, 403);
         }
 
-        // Generate signed URL
-        const signedUrl = await this.getSignedUrl(lecture.file_url);
+        // Locked chapters open once the previous chapter's quiz is passed
+        await completionService.assertChapterUnlocked(studentId, lecture.chapter_id);
+
+        // Per-student quotas and concurrent stream limit
+        await streamGuardService.assertCanStream(user, lectureId, 'video');
+
+        // Per-delivery token for the player overlay, so screen recordings can be traced
+        const traceId = await leakTraceService.recordDelivery({ user, lectureId, courseId, assetType: 'video', req });
+        const streamSessionId = await streamGuardService.startSession(user, lectureId);
+        await this.checkForAnomalies(studentId, courseId);
 
         // Log access
         await auditService.log(
             studentId,
             'VIDEO_ACCESSED',
             `Accessed video: ${lecture.title}`,
-            { lectureId, courseId }
+            { lectureId, courseId, traceId }
         );
 
+        const lectureInfo = {
+            id: lecture.id,
+            title: lecture.title,
+            duration: lecture.duration
+        };
+        const watermark = {
+            ...this.getWatermarkData(user),
+            traceId: traceToken.format(traceId),
+            invisibleTrace: traceToken.toZeroWidth(traceId)
+        };
+
+        // Adaptive playback once the HLS ladder is ready, the original upload until then
+        if (lecture.hls_status === 'ready') {
+            const expiresIn = config.hls.playbackExpirySeconds;
+            const token = jwt.sign(
+                { purpose: 'hls_playback', lectureId, studentId },
+                config.jwtSecret,
+                { expiresIn }
+            );
+
+            return {
+                type: 'hls',
+                url: `${config.hls.playbackBaseUrl}/api/streaming/hls/${lectureId}/master.m3u8?token=${token}`,
+                lecture: lectureInfo,
+                watermark,
+                streamSessionId,
+                renditions: (lecture.hls_renditions || []).map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth })),
+                thumbnailSprite: lecture.thumbnail_sprite_key
+                    ? { url: await this.getSignedUrl(lecture.thumbnail_sprite_key, expiresIn), ...lecture.thumbnail_sprite }
+                    : null,
+                subtitles: await subtitleService.getPlayerTracks(lectureId, expiresIn),
+                expiresIn
+            };
+        }
+
+        // Generate signed URL
+        const signedUrl = await this.getSignedUrl(lecture.file_url);
+
         return {
+            type: 'progressive',
             url: signedUrl,
-            lecture: {
-                id: lecture.id,
-                title: lecture.title,
-                duration: lecture.duration
-            },
+            lecture: lectureInfo,
+            watermark,
+            streamSessionId,
+            subtitles: await subtitleService.getPlayerTracks(lectureId),
             expiresIn: config.cloudfront.signedUrlExpiry
         };
     }
 
-    // Get PDF URL with access validation
-    async getPdfUrl(lectureId, studentId) {
+    // Get an HLS playlist with its URIs rewritten for the holder of a playback token
+    async getHlsPlaylist(lectureId, playlistName, token) {
+        let playback;
+        try {
+            playback = jwt.verify(token, config.jwtSecret);
+        } catch (error) {
+            throw new AppError('Playback token is invalid or expired', 401);
+        }
+
+        if (playback.purpose !== 'hls_playback' || playback.lectureId !== lectureId) {
+            throw new AppError('Playback token is not valid for this lecture', 401);
+        }
+
+        const lecture = await lectureService.getLectureById(lectureId);
+
+        if (lecture.hls_status !== 'ready') {
+            throw new AppError('Stream is not available', 404);
+        }
+
+        // Re-check enrollment so revoked access stops playback
+        const { hasAccess, reason } = await enrollmentService.checkAccess(playback.studentId, lecture.chapters.course_id);
+
+        if (!hasAccess) {
+            throw new AppError(`Access denied: ${reason}`, 403);
+        }
+
+        if (playlistName === 'master') {
+            const master = await this.getObjectText(lecture.hls_manifest_key);
+
+            // Variant playlists (<rendition>/index.m3u8) come back through this endpoint with the same token
+            return this.rewritePlaylist(master, async (uri) => `${uri.split('/')[0]}.m3u8?token=${token}`);
+        }
+
+        const rendition = (lecture.hls_renditions || []).find(r => r.name === playlistName);
+
+        if (!rendition) {
+            throw new AppError('Rendition not found', 404);
+        }
+
+        const playlist = await this.getObjectText(rendition.playlist_key);
+        const segmentPrefix = rendition.playlist_key.substring(0, rendition.playlist_key.lastIndexOf('/') + 1);
+
+        // Segment URLs live as long as the playback token
+        const expiresIn = Math.max(1, playback.exp - Math.floor(Date.now() / 1000));
+        const keyUrl = `${config.hls.playbackBaseUrl}/api/streaming/hls/${lectureId}/key`;
+
+        return this.rewritePlaylist(playlist, (uri) => this.getSignedUrl(`${segmentPrefix}${uri}`, expiresIn), keyUrl);
+    }
+
+    // Replace every URI line of an m3u8 playlist, and the key URI when one is given
+    async rewritePlaylist(playlist, mapUri, keyUrl = null) {
+        const lines = [];
+
+        for (const line of playlist.split('\n')) {
+            const trimmed = line.trim();
+
+            if (keyUrl && trimmed.startsWith('#EXT-X-KEY')) {
+                lines.push(trimmed.replace(/URI="[^"]*"/, `URI="${keyUrl}"`));
+            } else {
+                lines.push(!trimmed || trimmed.startsWith('#') ? trimmed : await mapUri(trimmed));
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    // Release the AES-128 key of a lecture's HLS segments to an enrolled student
+    async getHlsKey(lectureId, user) {
+        const lecture = await lectureService.getLectureById(lectureId);
+
+        if (lecture.hls_status !== 'ready' || !lecture.hls_key_id) {
+            throw new AppError('Stream is not available', 404);
+        }
+
+        const courseId = lecture.chapters.course_id;
+        const { hasAccess, reason } = await enrollmentService.checkAccess(user.id, courseId);
+
+        if (!hasAccess) {
+            await auditService.log(
+                user.id,
+                'HLS_KEY_DENIED',
+                `Key request denied for: ${lecture.title}`,
+                { lectureId, courseId, keyId: lecture.hls_key_id, reason, deviceId: user.deviceId }
+            );
+            throw new AppError(`Access denied: ${reason}`, 403);
+        }
+
+        await completionService.assertChapterUnlocked(user.id, lecture.chapter_id);
+
+        const { data: lectureKey, error } = await supabase
+            .from('lecture_keys')
+            .select('key_hex')
+            .eq('id', lecture.hls_key_id)
+            .single();
+
+        if (error || !lectureKey) {
+            throw new AppError('Stream key not found', 404);
+        }
+
+        await auditService.log(
+            user.id,
+            'HLS_KEY_ISSUED',
+            `Issued stream key for: ${lecture.title}`,
+            { lectureId, courseId, keyId: lecture.hls_key_id, deviceId: user.deviceId }
+        );
+
+        return Buffer.from(lectureKey.key_hex, 'hex');
+    }
+
+    /**
+     * @private
+     */
+    async getObjectText(fileKey) {
+        try {
+            const object = await storage.getObject(fileKey);
+
+            return object.toString('utf8');
+        } catch (error) {
+            console.error('Playlist fetch error:', error);
+            throw new AppError('Failed to load stream playlist', 500);
+        }
+    }
+
+    // Get the URL of the watermarked PDF stream with access validation; the stored original is never signed for students
+    async getPdfUrl(lectureId, user, req = null) {
+        const studentId = user.id;
+
         // Get lecture details
         const lecture = await lectureService.getLectureById(lectureId);
 
@@ -173,8 +318,12 @@ class StreamingService {
             throw new AppError(`Access denied: ${reason}`, 403);
         }
 
-        // Generate signed URL
-        const signedUrl = await this.getSignedUrl(lecture.file_url);
+        // Locked chapters open once the previous chapter's quiz is passed
+        await completionService.assertChapterUnlocked(studentId, lecture.chapter_id);
+
+        // Rate limits and the leak-trace delivery apply when the stamped stream itself is fetched
+        const url = `${config.hls.playbackBaseUrl}/api/streaming/stream/pdf/${lectureId}`;
+        await this.checkForAnomalies(studentId, courseId);
 
         // Log access
         await auditService.log(
@@ -185,17 +334,18 @@ class StreamingService {
         );
 
         return {
-            url: signedUrl,
+            url,
             lecture: {
                 id: lecture.id,
                 title: lecture.title
-            },
-            expiresIn: config.cloudfront.signedUrlExpiry
+            }
         };
     }
 
-    // Stream PDF file directly (fixes CORS issues)
-    async streamPdf(lectureId, studentId) {
+    // Stream PDF file directly (fixes CORS issues), watermarked for the requesting student
+    async streamPdf(lectureId, user, req = null) {
+        const studentId = user.id;
+
         // Get lecture details
         const lecture = await lectureService.getLectureById(lectureId);
 
@@ -211,33 +361,112 @@ class StreamingService {
             throw new AppError(`Access denied: ${reason}`, 403);
         }
 
-        // Log access
+        // Locked chapters open once the previous chapter's quiz is passed
+        await completionService.assertChapterUnlocked(studentId, lecture.chapter_id);
+
+        await streamGuardService.assertCanStream(user, lectureId, 'pdf');
+
+        let original;
+        try {
+            original = await storage.getObject(lecture.file_url);
+        } catch (error) {
+            console.error('PDF fetch error:', error);
+            throw new AppError('Error streaming file', 500);
+        }
+
+        const traceId = await leakTraceService.recordDelivery({ user, lectureId, courseId, assetType: 'pdf', req });
+        await this.checkForAnomalies(studentId, courseId);
+        const timestamp = new Date();
+
+        let buffer;
+        try {
+            buffer = await pdfWatermark.apply(original, {
+                ...this.getWatermarkData(user),
+                traceId: traceToken.format(traceId),
+                timestamp
+            });
+        } catch (error) {
+            console.error('PDF watermark error:', error);
+            throw new AppError('Failed to prepare PDF', 500);
+        }
+
+        // Log access with the trace ID stamped on every page
         await auditService.log(
             studentId,
             'PDF_STREAMED',
             `Streamed PDF: ${lecture.title}`,
-            { lectureId, courseId }
+            { lectureId, courseId, traceId, deviceId: user.deviceId, servedAt: timestamp.toISOString() }
         );
 
-        // Return S3 stream parameters
         return {
-            params: {
-                Bucket: config.backblaze.bucketName,
-                Key: lecture.file_url
-            },
-            s3: this.s3
+            buffer,
+            fileName: `${lecture.title}.pdf`
         };
     }
 
-    // Delete file from B2
-    async deleteFile(fileKey) {
-        const params = {
-            Bucket: config.backblaze.bucketName,
-            Key: fileKey
+    // Get a lecture resource (attachment or link) with access validation
+    async getResourceUrl(resourceId, user, req = null) {
+        const studentId = user.id;
+
+        const resource = await lectureResourceService.getResourceById(resourceId);
+        const lectureId = resource.lecture_id;
+        const courseId = resource.lectures.chapters.course_id;
+
+        // Enrollment, chapter lock and the resource's own access rule
+        await lectureResourceService.assertCanAccess(resource, studentId);
+
+        const resourceInfo = {
+            id: resource.id,
+            title: resource.title,
+            type: resource.resource_type,
+            fileName: resource.file_name
         };
 
+        if (resource.resource_type === 'link') {
+            await auditService.log(
+                studentId,
+                'RESOURCE_ACCESSED',
+                `Opened link: ${resource.title}`,
+                { resourceId, lectureId, courseId }
+            );
+
+            return { url: resource.external_url, resource: resourceInfo, expiresIn: null };
+        }
+
+        await streamGuardService.assertCanStream(user, lectureId, 'resource');
+
+        // Generate signed URL; the file is served as uploaded, so there is no trace token to record
+        const signedUrl = await this.getSignedUrl(resource.file_url);
+        await this.checkForAnomalies(studentId, courseId);
+
+        // Log access
+        await auditService.log(
+            studentId,
+            'RESOURCE_ACCESSED',
+            `Accessed resource: ${resource.title}`,
+            { resourceId, lectureId, courseId }
+        );
+
+        return {
+            url: signedUrl,
+            resource: resourceInfo,
+            expiresIn: config.cloudfront.signedUrlExpiry
+        };
+    }
+
+    // Scraping detection must never break playback
+    async checkForAnomalies(studentId, courseId) {
+        try {
+            await streamGuardService.detectSequentialFetching(studentId, courseId);
+        } catch (error) {
+            console.error('Streaming anomaly check error:', error);
+        }
+    }
+
+    // Delete file from storage
+    async deleteFile(fileKey) {
         try {
-            await this.s3.deleteObject(params).promise();
+            await storage.deleteObject(fileKey);
             return { success: true, message: 'File deleted successfully' };
         } catch (error) {
             console.error('File deletion error:', error);
@@ -277,6 +506,26 @@ class StreamingService {
             expiresIn: 3600
         };
     }
+
+    // Get download URL of a lecture resource for staff (no enrollment check)
+    async getAdminResourceUrl(resourceId) {
+        const resource = await lectureResourceService.getResourceById(resourceId);
+
+        const url = resource.resource_type === 'link'
+            ? resource.external_url
+            : await this.getSignedUrl(resource.file_url, 3600);
+
+        return {
+            url,
+            resource: {
+                id: resource.id,
+                title: resource.title,
+                type: resource.resource_type,
+                fileName: resource.file_name
+            },
+            expiresIn: resource.resource_type === 'link' ? null : 3600
+        };
+    }
 }
 
 export default new StreamingService();
@@ -0,0 +1,255 @@
+import supabase from '../config/database.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import lectureService from './lecture.service.js';
+import enrollmentService from './enrollment.service.js';
+import completionService from './completion.service.js';
+import streamingService from './streaming.service.js';
+import storage from '../storage/index.js';
+import subtitleFormats from '../utils/subtitle-formats.js';
+
+// BCP 47 style: en, hi, en-IN, zh-Hant
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const CUE_BATCH_SIZE = 500;
+
+class SubtitleService {
+    // Add or replace a lecture's subtitle track for one language
+    async uploadSubtitle(lectureId, file, trackData) {
+        const { language_code, label, is_default } = trackData;
+
+        if (!file) {
+            throw new AppError('No subtitle file provided', 400);
+        }
+
+        if (!language_code || !LANGUAGE_CODE.test(language_code)) {
+            throw new AppError('A valid language_code is required (e.g. en, hi, en-IN)', 400);
+        }
+
+        const lecture = await lectureService.getLectureById(lectureId);
+
+        if (lecture.type !== 'video') {
+            throw new AppError('Subtitles can only be added to video lectures', 400);
+        }
+
+        const content = file.buffer.toString('utf8');
+        const sourceFormat = subtitleFormats.detect(content, file.originalname);
+        const cues = subtitleFormats.parse(content);
+
+        if (cues.length === 0) {
+            throw new AppError('No subtitle cues found. Upload a WebVTT or SRT file.', 400);
+        }
+
+        // Stored next to the video's other assets as WebVTT
+        const fileKey = `subtitles/${lectureId}/${language_code}_${Date.now()}.vtt`;
+
+        try {
+            await storage.putObject(fileKey, Buffer.from(subtitleFormats.toVtt(cues), 'utf8'), { contentType: 'text/vtt' });
+        } catch (error) {
+            console.error('Subtitle upload error:', error);
+            throw new AppError('Failed to store subtitle file', 500);
+        }
+
+        const { data: subtitle, error } = await supabase
+            .from('lecture_subtitles')
+            .upsert({
+                lecture_id: lectureId,
+                language_code,
+                label: label || language_code,
+                file_url: fileKey,
+                source_format: sourceFormat,
+                is_default: is_default === true || is_default === 'true',
+                cue_count: cues.length
+            }, { onConflict: 'lecture_id,language_code' })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to save subtitle track', 500);
+        }
+
+        // Only one default track per lecture
+        if (subtitle.is_default) {
+            await supabase
+                .from('lecture_subtitles')
+                .update({ is_default: false })
+                .eq('lecture_id', lectureId)
+                .neq('id', subtitle.id);
+        }
+
+        await this.indexTranscript(subtitle, cues);
+
+        return subtitle;
+    }
+
+    // Get a lecture's subtitle tracks
+    async getSubtitles(lectureId) {
+        const { data: subtitles, error } = await supabase
+            .from('lecture_subtitles')
+            .select('*')
+            .eq('lecture_id', lectureId)
+            .order('language_code', { ascending: true });
+
+        if (error) {
+            throw new AppError('Failed to fetch subtitles', 500);
+        }
+
+        return subtitles;
+    }
+
+    // Delete a subtitle track and its transcript; the file is left for the storage cleanup job
+    async deleteSubtitle(subtitleId) {
+        const { error } = await supabase
+            .from('lecture_subtitles')
+            .delete()
+            .eq('id', subtitleId);
+
+        if (error) {
+            throw new AppError('Failed to delete subtitle track', 500);
+        }
+
+        return { success: true, message: 'Subtitle track deleted successfully' };
+    }
+
+    // Subtitle tracks with signed URLs, for the video player
+    async getPlayerTracks(lectureId, expirySeconds = null) {
+        const subtitles = await this.getSubtitles(lectureId);
+        const tracks = [];
+
+        for (const subtitle of subtitles) {
+            tracks.push({
+                id: subtitle.id,
+                language: subtitle.language_code,
+                label: subtitle.label,
+                default: subtitle.is_default,
+                url: await streamingService.getSignedUrl(subtitle.file_url, expirySeconds)
+            });
+        }
+
+        return tracks;
+    }
+
+    // Search the transcripts of a course and return matching lecture timestamps
+    async searchTranscripts(courseId, user, { q, language, limit = 50 }) {
+        const query = (q || '').trim();
+
+        if (query.length < 2) {
+            throw new AppError('Search query must be at least 2 characters', 400);
+        }
+
+        if (user.role === 'student') {
+            const { hasAccess, reason } = await enrollmentService.checkAccess(user.id, courseId);
+
+            if (!hasAccess) {
+                throw new AppError(`Access denied: ${reason}`, 403);
+            }
+        }
+
+        const { data: matches, error } = await supabase.rpc('search_course_transcripts', {
+            p_course_id: courseId,
+            p_query: query,
+            p_language_code: language || null,
+            p_limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+        });
+
+        if (error) {
+            throw new AppError('Failed to search transcripts', 500);
+        }
+
+        if (!matches || matches.length === 0) {
+            return [];
+        }
+
+        const { data: lectures } = await supabase
+            .from('lectures')
+            .select('id, title, chapter_id, chapters:chapter_id (title, chapter_order)')
+            .in('id', [...new Set(matches.map(m => m.lecture_id))]);
+
+        const lecturesById = new Map((lectures || []).map(l => [l.id, l]));
+
+        // Students don't see transcript text of chapters they haven't unlocked yet
+        let visibleMatches = matches;
+        if (user.role === 'student') {
+            const lockedChapterIds = new Set();
+            for (const chapterId of new Set((lectures || []).map(l => l.chapter_id))) {
+                const { unlocked } = await completionService.getChapterAccess(user.id, chapterId);
+                if (!unlocked) {
+                    lockedChapterIds.add(chapterId);
+                }
+            }
+
+            visibleMatches = matches.filter(match => {
+                const lecture = lecturesById.get(match.lecture_id);
+                return lecture && !lockedChapterIds.has(lecture.chapter_id);
+            });
+        }
+
+        return visibleMatches.map(match => {
+            const lecture = lecturesById.get(match.lecture_id);
+            const start = Number(match.start_seconds);
+
+            return {
+                lectureId: match.lecture_id,
+                lectureTitle: lecture?.title || null,
+                chapterId: lecture?.chapter_id || null,
+                chapterTitle: lecture?.chapters?.title || null,
+                language: match.language_code,
+                startSeconds: start,
+                endSeconds: Number(match.end_seconds),
+                timestamp: this.formatTimestamp(start),
+                text: match.text
+            };
+        });
+    }
+
+    /**
+     * Replace the transcript index of a subtitle track
+     * @private
+     */
+    async indexTranscript(subtitle, cues) {
+        const { error: deleteError } = await supabase
+            .from('lecture_transcript_cues')
+            .delete()
+            .eq('subtitle_id', subtitle.id);
+
+        if (deleteError) {
+            throw new AppError('Failed to index transcript', 500);
+        }
+
+        const rows = cues
+            .map((cue, index) => ({
+                subtitle_id: subtitle.id,
+                lecture_id: subtitle.lecture_id,
+                language_code: subtitle.language_code,
+                cue_index: index,
+                start_seconds: cue.start,
+                end_seconds: cue.end,
+                text: subtitleFormats.toPlainText(cue.text)
+            }))
+            .filter(row => row.text);
+
+        for (let i = 0; i < rows.length; i += CUE_BATCH_SIZE) {
+            const { error } = await supabase
+                .from('lecture_transcript_cues')
+                .insert(rows.slice(i, i + CUE_BATCH_SIZE));
+
+            if (error) {
+                throw new AppError('Failed to index transcript', 500);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    formatTimestamp(totalSeconds) {
+        const seconds = Math.floor(totalSeconds);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+            : `${minutes}:${pad(seconds % 60)}`;
+    }
+}
+
+export default new SubtitleService();
@@ -0,0 +1,357 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import storage from '../storage/index.js';
+
+// Renditions from highest to lowest; only rungs at or below the source height are produced
+const HLS_LADDER = [
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 }
+];
+
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.jpg': 'image/jpeg'
+};
+
+// Run a binary and resolve with stdout; reject with the tail of stderr
+const runProcess = (command, args) => new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-4000); });
+    child.on('error', reject);
+    child.on('close', code => {
+        if (code === 0) {
+            resolve(stdout);
+        } else {
+            reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+        }
+    });
+});
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+class TranscodingService {
+    constructor() {
+        // One transcode at a time - ffmpeg already uses every core it can get
+        this.queue = Promise.resolve();
+    }
+
+    // Queue a lecture video for HLS transcoding
+    async queueTranscode(lectureId) {
+        const { data: lectures, error } = await supabase
+            .from('lectures')
+            .update({ hls_status: 'pending', hls_error: null })
+            .eq('id', lectureId)
+            .eq('type', 'video')
+            .select('id');
+
+        if (error) {
+            throw new AppError('Failed to queue transcoding', 500);
+        }
+
+        if (!lectures || lectures.length === 0) {
+            throw new AppError('Video lecture not found', 404);
+        }
+
+        this.queue = this.queue
+            .then(() => this.transcodeLecture(lectureId))
+            .catch(err => console.error(`Transcoding error for lecture ${lectureId}:`, err));
+
+        return { lectureId, hls_status: 'pending' };
+    }
+
+    // Re-queue lectures left pending or processing by a restart; the queue itself lives in memory
+    async resumeInterrupted() {
+        const { data: lectures, error } = await supabase
+            .from('lectures')
+            .select('id')
+            .eq('type', 'video')
+            .in('hls_status', ['pending', 'processing']);
+
+        if (error) {
+            console.error('Failed to fetch interrupted transcodes:', error);
+            return 0;
+        }
+
+        for (const lecture of lectures || []) {
+            await this.queueTranscode(lecture.id);
+        }
+
+        if (lectures && lectures.length > 0) {
+            console.log(`🎬 Re-queued ${lectures.length} interrupted transcode(s)`);
+        }
+
+        return lectures ? lectures.length : 0;
+    }
+
+    // Transcode a lecture's uploaded video into an HLS ladder and thumbnail sprite
+    async transcodeLecture(lectureId) {
+        const { data: lecture, error } = await supabase
+            .from('lectures')
+            .select('id, type, file_url')
+            .eq('id', lectureId)
+            .single();
+
+        if (error || !lecture) {
+            throw new AppError('Lecture not found', 404);
+        }
+
+        if (lecture.type !== 'video' || !lecture.file_url) {
+            throw new AppError('Lecture has no video to transcode', 400);
+        }
+
+        await this.updateLecture(lectureId, { hls_status: 'processing', hls_error: null });
+
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `hls-${lectureId}-`));
+
+        try {
+            const sourcePath = path.join(workDir, 'source');
+            await this.downloadSource(lecture.file_url, sourcePath);
+
+            const source = await this.probe(sourcePath);
+            const ladder = this.selectLadder(source.height);
+            const encryption = await this.createEncryptionKey(lectureId, workDir);
+            const outputDir = path.join(workDir, 'hls');
+            const renditions = [];
+
+            for (const rung of ladder) {
+                renditions.push(await this.transcodeRendition(sourcePath, outputDir, rung, source, encryption.keyInfoPath));
+            }
+
+            await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), this.buildMasterPlaylist(renditions));
+
+            const sprite = await this.createThumbnailSprite(sourcePath, outputDir, source);
+
+            // Versioned prefix so a re-transcode never mixes segments with a previous run
+            const prefix = `hls/${lectureId}/${Date.now()}`;
+            await this.uploadDirectory(outputDir, prefix);
+
+            return await this.updateLecture(lectureId, {
+                hls_status: 'ready',
+                hls_manifest_key: `${prefix}/master.m3u8`,
+                hls_renditions: renditions.map(r => ({ ...r, playlist_key: `${prefix}/${r.playlist}` })),
+                thumbnail_sprite_key: `${prefix}/sprite.jpg`,
+                thumbnail_sprite: sprite,
+                hls_key_id: encryption.keyId,
+                duration: Math.round(source.duration),
+                hls_error: null,
+                transcoded_at: new Date().toISOString()
+            });
+        } catch (err) {
+            await this.updateLecture(lectureId, { hls_status: 'failed', hls_error: err.message.slice(0, 1000) });
+            throw err;
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * @private
+     */
+    async updateLecture(lectureId, updates) {
+        const { data: lecture, error } = await supabase
+            .from('lectures')
+            .update(updates)
+            .eq('id', lectureId)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update lecture transcoding status', 500);
+        }
+
+        return lecture;
+    }
+
+    /**
+     * @private
+     */
+    async downloadSource(fileKey, destination) {
+        await pipeline(storage.getObjectStream(fileKey), fs.createWriteStream(destination));
+    }
+
+    // Create the AES-128 key for a transcode run and the key info file ffmpeg reads it from.
+    // The key file stays in the work directory and is never uploaded.
+    async createEncryptionKey(lectureId, workDir) {
+        const key = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(16).toString('hex');
+
+        const { data: lectureKey, error } = await supabase
+            .from('lecture_keys')
+            .insert({
+                lecture_id: lectureId,
+                key_hex: key.toString('hex'),
+                iv_hex: iv
+            })
+            .select('id')
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create encryption key', 500);
+        }
+
+        const keyPath = path.join(workDir, 'enc.key');
+        const keyInfoPath = path.join(workDir, 'enc.keyinfo');
+
+        await fs.promises.writeFile(keyPath, key);
+        // Placeholder URI; playlists are served with the real key endpoint substituted
+        await fs.promises.writeFile(keyInfoPath, `key://${lectureKey.id}\n${keyPath}\n${iv}\n`);
+
+        return { keyId: lectureKey.id, keyInfoPath };
+    }
+
+    // Read duration and dimensions of the source video
+    async probe(sourcePath) {
+        const output = await runProcess(config.hls.ffprobePath, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            sourcePath
+        ]);
+
+        const info = JSON.parse(output);
+        const video = (info.streams || []).find(s => s.codec_type === 'video');
+
+        if (!video) {
+            throw new AppError('Uploaded file has no video stream', 400);
+        }
+
+        return {
+            width: Number(video.width),
+            height: Number(video.height),
+            duration: Number(info.format?.duration || video.duration || 0),
+            hasAudio: (info.streams || []).some(s => s.codec_type === 'audio')
+        };
+    }
+
+    // Never upscale; tiny sources still get the lowest rung
+    selectLadder(sourceHeight) {
+        const ladder = HLS_LADDER.filter(rung => rung.height <= sourceHeight);
+        return ladder.length > 0 ? ladder : [HLS_LADDER[HLS_LADDER.length - 1]];
+    }
+
+    /**
+     * @private
+     */
+    async transcodeRendition(sourcePath, outputDir, rung, source, keyInfoPath) {
+        const renditionDir = path.join(outputDir, rung.name);
+        await fs.promises.mkdir(renditionDir, { recursive: true });
+
+        const { segmentSeconds } = config.hls;
+        const height = Math.min(rung.height, even(source.height));
+        const width = even(source.width * height / source.height);
+
+        const args = [
+            '-y',
+            '-i', sourcePath,
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            '-vf', `scale=${width}:${height}`,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-profile:v', 'main',
+            '-b:v', `${rung.videoBitrate}k`,
+            '-maxrate', `${Math.round(rung.videoBitrate * 1.07)}k`,
+            '-bufsize', `${rung.videoBitrate * 2}k`,
+            // Keyframe on every segment boundary so renditions switch cleanly
+            '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`,
+            '-sc_threshold', '0',
+            '-c:a', 'aac',
+            '-b:a', `${rung.audioBitrate}k`,
+            '-ac', '2',
+            '-f', 'hls',
+            '-hls_time', String(segmentSeconds),
+            '-hls_playlist_type', 'vod',
+            '-hls_key_info_file', keyInfoPath,
+            '-hls_segment_filename', path.join(renditionDir, 'segment_%04d.ts'),
+            path.join(renditionDir, 'index.m3u8')
+        ];
+
+        await runProcess(config.hls.ffmpegPath, args);
+
+        return {
+            name: rung.name,
+            width,
+            height,
+            bandwidth: (rung.videoBitrate + (source.hasAudio ? rung.audioBitrate : 0)) * 1000,
+            playlist: `${rung.name}/index.m3u8`
+        };
+    }
+
+    buildMasterPlaylist(renditions) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+        for (const rendition of renditions) {
+            lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`);
+            lines.push(rendition.playlist);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    // One JPEG grid of thumbnails for scrubbing previews
+    async createThumbnailSprite(sourcePath, outputDir, source) {
+        const interval = config.hls.spriteIntervalSeconds;
+        const count = Math.max(1, Math.ceil(source.duration / interval));
+        const rows = Math.ceil(count / SPRITE_COLUMNS);
+        const tileHeight = even(SPRITE_TILE_WIDTH * source.height / source.width);
+
+        await runProcess(config.hls.ffmpegPath, [
+            '-y',
+            '-i', sourcePath,
+            '-vf', `fps=1/${interval},scale=${SPRITE_TILE_WIDTH}:${tileHeight},tile=${SPRITE_COLUMNS}x${rows}`,
+            '-frames:v', '1',
+            '-q:v', '5',
+            path.join(outputDir, 'sprite.jpg')
+        ]);
+
+        return {
+            interval,
+            count,
+            columns: SPRITE_COLUMNS,
+            rows,
+            tileWidth: SPRITE_TILE_WIDTH,
+            tileHeight
+        };
+    }
+
+    /**
+     * @private
+     */
+    async uploadDirectory(directory, prefix) {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+
+            if (entry.isDirectory()) {
+                await this.uploadDirectory(fullPath, `${prefix}/${entry.name}`);
+                continue;
+            }
+
+            await storage.putObject(`${prefix}/${entry.name}`, fs.createReadStream(fullPath), {
+                contentType: CONTENT_TYPES[path.extname(entry.name)] || 'application/octet-stream'
+            });
+        }
+    }
+}
+
+export default new TranscodingService();
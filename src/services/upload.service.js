@@ -0,0 +1,317 @@
+import supabase from '../config/database.js';
+import { config } from '../config/config.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import streamingService from './streaming.service.js';
+import lectureService from './lecture.service.js';
+import storage from '../storage/index.js';
+
+const MAX_PARTS = 10000; // S3 multipart limit
+
+class UploadService {
+    // Start a resumable multipart upload
+    async initUpload(userId, uploadData) {
+        const { file_name, mime_type, file_size, folder = 'lectures', lecture_id } = uploadData;
+        const fileSize = Number(file_size);
+
+        if (!file_name) {
+            throw new AppError('File name is required', 400);
+        }
+
+        if (!Number.isInteger(fileSize) || fileSize <= 0) {
+            throw new AppError('File size must be a positive number of bytes', 400);
+        }
+
+        if (fileSize > config.upload.maxFileSizeBytes) {
+            throw new AppError(`File is larger than the ${Math.round(config.upload.maxFileSizeBytes / 1024 / 1024 / 1024)}GB limit`, 400);
+        }
+
+        if (lecture_id) {
+            await lectureService.getLectureById(lecture_id);
+        }
+
+        const partSize = Math.max(config.upload.partSizeBytes, Math.ceil(fileSize / MAX_PARTS));
+        const totalParts = Math.ceil(fileSize / partSize);
+        const fileKey = streamingService.buildFileKey(folder, file_name);
+
+        let uploadId;
+        try {
+            uploadId = await storage.createMultipartUpload(fileKey, {
+                contentType: mime_type || 'application/octet-stream'
+            });
+        } catch (error) {
+            console.error('Multipart upload init error:', error);
+            throw new AppError('Failed to start upload', 500);
+        }
+
+        const { data: session, error } = await supabase
+            .from('upload_sessions')
+            .insert({
+                user_id: userId,
+                lecture_id: lecture_id || null,
+                file_key: fileKey,
+                upload_id: uploadId,
+                file_name,
+                mime_type,
+                file_size: fileSize,
+                part_size: partSize,
+                total_parts: totalParts,
+                expires_at: new Date(Date.now() + config.upload.sessionTtlHours * 60 * 60 * 1000).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to create upload session', 500);
+        }
+
+        return session;
+    }
+
+    // Get an upload session owned by the user (admins can see any)
+    async getSession(sessionId, user) {
+        let query = supabase
+            .from('upload_sessions')
+            .select('*')
+            .eq('id', sessionId);
+
+        if (user.role !== 'admin') {
+            query = query.eq('user_id', user.id);
+        }
+
+        const { data: session, error } = await query.single();
+
+        if (error || !session) {
+            throw new AppError('Upload session not found', 404);
+        }
+
+        return session;
+    }
+
+    // Presigned URLs for uploading parts directly to storage
+    async getPartUrls(sessionId, user, partNumbers = []) {
+        const session = await this.getOpenSession(sessionId, user);
+
+        if (!Array.isArray(partNumbers) || partNumbers.length === 0) {
+            throw new AppError('partNumbers must be a non-empty list', 400);
+        }
+
+        const invalid = partNumbers.filter(n => !Number.isInteger(n) || n < 1 || n > session.total_parts);
+        if (invalid.length > 0) {
+            throw new AppError(`Part numbers must be between 1 and ${session.total_parts}`, 400);
+        }
+
+        const expiresIn = config.upload.partUrlExpirySeconds;
+        const urls = [];
+
+        for (const partNumber of partNumbers) {
+            const url = await storage.getPartUploadUrl(session.file_key, session.upload_id, partNumber, expiresIn);
+
+            urls.push({ partNumber, url });
+        }
+
+        return { sessionId, partSize: session.part_size, urls, expiresIn };
+    }
+
+    // Get upload progress; parts are re-read from storage so resumes never trust the client
+    async getStatus(sessionId, user) {
+        let session = await this.getSession(sessionId, user);
+
+        if (session.status === 'uploading') {
+            session = await this.syncParts(session);
+        }
+
+        return this.describeSession(session);
+    }
+
+    // Finish the upload and attach the file to its lecture
+    async completeUpload(sessionId, user) {
+        const session = await this.syncParts(await this.getOpenSession(sessionId, user));
+        const { missingParts, uploadedBytes, fileSize } = this.describeSession(session);
+
+        if (missingParts.length > 0) {
+            const error = new AppError(`Upload is incomplete: ${missingParts.length} part(s) missing`, 400);
+            error.code = 'UPLOAD_INCOMPLETE';
+            throw error;
+        }
+
+        if (uploadedBytes !== fileSize) {
+            const error = new AppError(`Uploaded parts add up to ${uploadedBytes} bytes, expected ${fileSize}`, 400);
+            error.code = 'UPLOAD_SIZE_MISMATCH';
+            throw error;
+        }
+
+        try {
+            await storage.completeMultipartUpload(session.file_key, session.upload_id, session.parts);
+        } catch (error) {
+            console.error('Multipart upload completion error:', error);
+            throw new AppError('Failed to complete upload', 500);
+        }
+
+        const { data: completed, error } = await supabase
+            .from('upload_sessions')
+            .update({ status: 'completed', completed_at: new Date().toISOString() })
+            .eq('id', session.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update upload session', 500);
+        }
+
+        let lecture = null;
+        if (session.lecture_id) {
+            lecture = await lectureService.updateLecture(session.lecture_id, { file_url: session.file_key });
+        }
+
+        return {
+            session: this.describeSession(completed),
+            fileUrl: session.file_key,
+            fileName: session.file_name,
+            fileSize: session.file_size,
+            mimeType: session.mime_type,
+            lecture
+        };
+    }
+
+    // Abort the upload and discard uploaded parts
+    async abortUpload(sessionId, user) {
+        const session = await this.getOpenSession(sessionId, user);
+
+        try {
+            await storage.abortMultipartUpload(session.file_key, session.upload_id);
+        } catch (error) {
+            // The upload may already be gone from storage; still close the session
+            console.error('Multipart upload abort error:', error);
+        }
+
+        const { error } = await supabase
+            .from('upload_sessions')
+            .update({ status: 'aborted' })
+            .eq('id', session.id);
+
+        if (error) {
+            throw new AppError('Failed to update upload session', 500);
+        }
+
+        return { success: true, message: 'Upload aborted' };
+    }
+
+    // Abort expired sessions still holding unfinished multipart uploads (billed by the provider until aborted)
+    async abortExpiredSessions({ dryRun = false } = {}) {
+        const { data: expired, error } = await supabase
+            .from('upload_sessions')
+            .select('id, file_key, upload_id, file_size, parts')
+            .eq('status', 'uploading')
+            .lt('expires_at', new Date().toISOString())
+            .limit(500);
+
+        if (error) {
+            throw new AppError('Failed to fetch expired upload sessions', 500);
+        }
+
+        const result = {
+            expired: expired.length,
+            pendingBytes: expired.reduce((sum, s) => sum + (s.parts || []).reduce((total, p) => total + Number(p.size || 0), 0), 0),
+            aborted: 0,
+            failed: []
+        };
+
+        if (dryRun) {
+            return result;
+        }
+
+        for (const session of expired) {
+            try {
+                await storage.abortMultipartUpload(session.file_key, session.upload_id);
+            } catch (abortError) {
+                // NoSuchUpload: already gone from storage, the session just needs closing
+                if (abortError.code !== 'NoSuchUpload') {
+                    console.error('Expired upload abort error:', session.id, abortError.message);
+                    result.failed.push({ sessionId: session.id, error: abortError.message });
+                    continue;
+                }
+            }
+
+            await supabase
+                .from('upload_sessions')
+                .update({ status: 'aborted' })
+                .eq('id', session.id)
+                .eq('status', 'uploading');
+
+            result.aborted++;
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    async getOpenSession(sessionId, user) {
+        const session = await this.getSession(sessionId, user);
+
+        if (session.status !== 'uploading') {
+            throw new AppError(`Upload is already ${session.status}`, 400);
+        }
+
+        if (new Date(session.expires_at) < new Date()) {
+            throw new AppError('Upload session has expired', 410);
+        }
+
+        return session;
+    }
+
+    // Refresh the stored part list from storage
+    async syncParts(session) {
+        let parts;
+
+        try {
+            parts = await storage.listParts(session.file_key, session.upload_id);
+        } catch (error) {
+            console.error('Multipart upload list error:', error);
+            throw new AppError('Failed to read upload progress', 500);
+        }
+
+        const { data: updated, error } = await supabase
+            .from('upload_sessions')
+            .update({ parts })
+            .eq('id', session.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw new AppError('Failed to update upload session', 500);
+        }
+
+        return updated;
+    }
+
+    describeSession(session) {
+        const uploaded = new Set((session.parts || []).map(p => p.partNumber));
+        const missingParts = [];
+
+        for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+            if (!uploaded.has(partNumber)) {
+                missingParts.push(partNumber);
+            }
+        }
+
+        const uploadedBytes = (session.parts || []).reduce((sum, p) => sum + Number(p.size || 0), 0);
+
+        return {
+            id: session.id,
+            status: session.status,
+            fileName: session.file_name,
+            fileSize: Number(session.file_size),
+            partSize: session.part_size,
+            totalParts: session.total_parts,
+            uploadedParts: uploaded.size,
+            uploadedBytes,
+            missingParts,
+            lectureId: session.lecture_id,
+            expiresAt: session.expires_at
+        };
+    }
+}
+
+export default new UploadService();
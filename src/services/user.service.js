@@ -3,13 +3,14 @@ import supabase from '../config/database.js';
 import { config } from '../config/config.js';
 import { AppError } from '../middlewares/error.middleware.js';
 import auditService from './audit.service.js';
+import gst from '../utils/gst.js';
 
 class UserService {
     // Get all users with filters
     async getUsers(filters = {}, page = 1, limit = 50) {
         let query = supabase
             .from('users')
-            .select('id, name, email, phone, college_name, semester, role, status, created_at', { count: 'exact' })
+            .select('id, name, email, phone, college_name, semester, state_code, role, status, created_at', { count: 'exact' })
             .order('created_at', { ascending: false });
 
         // Apply filters
@@ -50,7 +51,7 @@ class UserService {
     async getUserById(userId) {
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, name, email, phone, college_name, semester, role, status, created_at, updated_at')
+            .select('id, name, email, phone, college_name, semester, state_code, role, status, created_at, updated_at')
             .eq('id', userId)
             .single();
 
@@ -111,7 +112,7 @@ class UserService {
 
     // Update user
     async updateUser(userId, updateData, adminId) {
-        const allowedFields = ['name', 'phone', 'college_name', 'semester', 'status'];
+        const allowedFields = ['name', 'phone', 'college_name', 'semester', 'state_code', 'status'];
         const updates = {};
 
         for (const field of allowedFields) {
@@ -124,11 +125,16 @@ class UserService {
             throw new AppError('No valid fields to update', 400);
         }
 
+        // Decides the GST split on invoices
+        if (updates.state_code && !gst.isValidStateCode(updates.state_code)) {
+            throw new AppError('Please provide a valid two-digit GST state code', 400);
+        }
+
         const { data: user, error } = await supabase
             .from('users')
             .update(updates)
             .eq('id', userId)
-            .select('id, name, email, phone, college_name, semester, role, status')
+            .select('id, name, email, phone, college_name, semester, state_code, role, status')
             .single();
 
         if (error) {
@@ -0,0 +1,58 @@
+/**
+ * Storage
+ * Selects the file storage driver from STORAGE_DRIVER. Every driver exposes the same
+ * object, signed URL and multipart methods, so services never talk to a provider directly.
+ */
+
+import { config } from '../config/config.js';
+import { S3Driver } from './s3.driver.js';
+import { LocalDriver } from './local.driver.js';
+
+const createDriver = () => {
+    const { driver } = config.storage;
+
+    switch (driver) {
+        case 'b2':
+            // Validate B2 configuration
+            if (!config.backblaze.applicationKeyId || !config.backblaze.applicationKey) {
+                console.error('❌ Backblaze B2 configuration is missing!');
+                console.error('Required: B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY');
+                console.error('Current config:', {
+                    applicationKeyId: config.backblaze.applicationKeyId ? '✓ Set' : '✗ Missing',
+                    applicationKey: config.backblaze.applicationKey ? '✓ Set' : '✗ Missing',
+                    bucketName: config.backblaze.bucketName ? '✓ Set' : '✗ Missing',
+                    endpoint: config.backblaze.endpoint ? '✓ Set' : '✗ Missing'
+                });
+            }
+
+            return new S3Driver({
+                name: 'b2',
+                endpoint: config.backblaze.endpoint,
+                region: config.backblaze.region,
+                accessKeyId: config.backblaze.applicationKeyId,
+                secretAccessKey: config.backblaze.applicationKey,
+                bucketName: config.backblaze.bucketName
+            });
+
+        case 's3':
+            return new S3Driver({ name: 's3', ...config.storage.s3 });
+
+        case 'minio':
+            return new S3Driver({ name: 'minio', ...config.storage.minio });
+
+        case 'local':
+            return new LocalDriver({
+                ...config.storage.local,
+                signingSecret: config.jwtSecret
+            });
+
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected b2, s3, minio or local)`);
+    }
+};
+
+const storage = createDriver();
+
+console.log(`✅ File storage initialized with ${storage.name} driver`);
+
+export default storage;
@@ -0,0 +1,267 @@
+/**
+ * Local Storage Driver
+ * Keeps objects on local disk for offline development. Signed URLs are emulated with
+ * HMAC-signed links to /api/storage/local, so the same expiry rules apply as in B2.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+const MULTIPART_DIR = '.multipart';
+
+export class LocalDriver {
+    /**
+     * @param {Object} options
+     * @param {string} options.rootDir - Directory holding all objects
+     * @param {string} options.publicUrl - Public base URL of this API
+     * @param {string} options.signingSecret - Secret for URL signatures
+     */
+    constructor({ rootDir, publicUrl, signingSecret }) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+        this.publicUrl = publicUrl.replace(/\/$/, '');
+        this.signingSecret = signingSecret;
+
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async putObject(key, body, options = {}) {
+        const filePath = this.resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (Buffer.isBuffer(body) || typeof body === 'string') {
+            await fs.promises.writeFile(filePath, body);
+        } else {
+            await pipeline(body, fs.createWriteStream(filePath));
+        }
+
+        return { key };
+    }
+
+    async getObject(key) {
+        try {
+            return await fs.promises.readFile(this.resolveKey(key));
+        } catch (error) {
+            throw this.toStorageError(error, key);
+        }
+    }
+
+    getObjectStream(key) {
+        return fs.createReadStream(this.resolveKey(key));
+    }
+
+    async deleteObject(key) {
+        await fs.promises.rm(this.resolveKey(key), { force: true });
+    }
+
+    async getSignedUrl(key, expiresIn) {
+        return this.buildSignedUrl({ op: 'get', key }, expiresIn);
+    }
+
+    async listObjects(prefix = '') {
+        const objects = [];
+
+        const walk = async (directory) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(directory, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(directory, entry.name);
+
+                if (entry.isDirectory()) {
+                    if (directory !== this.rootDir || entry.name !== MULTIPART_DIR) {
+                        await walk(fullPath);
+                    }
+                    continue;
+                }
+
+                const key = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+                if (key.startsWith(prefix)) {
+                    const stats = await fs.promises.stat(fullPath);
+                    objects.push({ key, size: stats.size, lastModified: stats.mtime });
+                }
+            }
+        };
+
+        await walk(this.rootDir);
+        return objects;
+    }
+
+    async createMultipartUpload(key, { contentType } = {}) {
+        const uploadId = crypto.randomBytes(16).toString('hex');
+        const uploadDir = this.getUploadDir(uploadId);
+
+        await fs.promises.mkdir(uploadDir, { recursive: true });
+        await fs.promises.writeFile(path.join(uploadDir, 'upload.json'), JSON.stringify({ key, contentType }));
+
+        return uploadId;
+    }
+
+    async getPartUploadUrl(key, uploadId, partNumber, expiresIn) {
+        return this.buildSignedUrl({ op: 'put-part', key, uploadId, partNumber: String(partNumber) }, expiresIn);
+    }
+
+    /**
+     * Store one uploaded part (called by the emulated presigned PUT)
+     * @param {string} uploadId - Upload ID
+     * @param {number} partNumber - 1-based part number
+     * @param {ReadableStream} body - Part content
+     * @returns {Promise<string>} Quoted MD5 ETag, as S3 returns it
+     */
+    async writePart(uploadId, partNumber, body) {
+        const uploadDir = this.getUploadDir(uploadId);
+
+        if (!fs.existsSync(uploadDir)) {
+            throw this.toStorageError({ code: 'ENOENT' }, uploadId);
+        }
+
+        const partPath = path.join(uploadDir, `part_${String(partNumber).padStart(5, '0')}`);
+        const hash = crypto.createHash('md5');
+
+        body.on('data', chunk => hash.update(chunk));
+        await pipeline(body, fs.createWriteStream(partPath));
+
+        const etag = `"${hash.digest('hex')}"`;
+        await fs.promises.writeFile(`${partPath}.etag`, etag);
+
+        return etag;
+    }
+
+    async listParts(key, uploadId) {
+        const uploadDir = this.getUploadDir(uploadId);
+        const parts = [];
+
+        for (const name of (await fs.promises.readdir(uploadDir)).sort()) {
+            const match = name.match(/^part_(\d+)$/);
+            if (!match) continue;
+
+            const partPath = path.join(uploadDir, name);
+            const etagPath = `${partPath}.etag`;
+
+            // A part without its ETag file is still being written
+            if (!fs.existsSync(etagPath)) continue;
+
+            parts.push({
+                partNumber: parseInt(match[1], 10),
+                etag: await fs.promises.readFile(etagPath, 'utf8'),
+                size: (await fs.promises.stat(partPath)).size
+            });
+        }
+
+        return parts;
+    }
+
+    async completeMultipartUpload(key, uploadId, parts) {
+        const uploadDir = this.getUploadDir(uploadId);
+        const filePath = this.resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        const output = fs.createWriteStream(filePath);
+        for (const part of parts) {
+            const partPath = path.join(uploadDir, `part_${String(part.partNumber).padStart(5, '0')}`);
+            await pipeline(fs.createReadStream(partPath), output, { end: false });
+        }
+        await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+
+        await fs.promises.rm(uploadDir, { recursive: true, force: true });
+    }
+
+    async abortMultipartUpload(key, uploadId) {
+        await fs.promises.rm(this.getUploadDir(uploadId), { recursive: true, force: true });
+    }
+
+    /**
+     * Check an emulated signed URL's query string
+     * @param {Object} query - Request query ({ op, key, expires, signature, uploadId?, partNumber? })
+     * @returns {Object|null} Signed parameters, or null when invalid or expired
+     */
+    verifySignedUrl(query) {
+        const { op, key, expires, signature, uploadId, partNumber } = query;
+
+        if (!op || !key || !expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+
+        const expected = this.sign({ op, key, uploadId, partNumber }, expires);
+        const given = Buffer.from(String(signature));
+        const wanted = Buffer.from(expected);
+
+        if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+            return null;
+        }
+
+        return { op, key, uploadId, partNumber: partNumber ? parseInt(partNumber, 10) : undefined };
+    }
+
+    /**
+     * Absolute path of an object, refusing keys that escape the root directory or reach multipart staging
+     * @param {string} key - Object key
+     * @returns {string}
+     */
+    resolveKey(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        // Checked after resolving so keys like "a/../.multipart/x" are caught too
+        const relative = path.relative(this.rootDir, filePath);
+        const [topLevel] = relative.split(path.sep);
+
+        if (!relative || topLevel === '..' || path.isAbsolute(relative) || topLevel === MULTIPART_DIR) {
+            throw Object.assign(new Error(`Invalid storage key: ${key}`), { code: 'InvalidKey' });
+        }
+
+        return filePath;
+    }
+
+    /**
+     * @private
+     */
+    buildSignedUrl(params, expiresIn) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const query = new URLSearchParams({ ...params, expires: String(expires), signature: this.sign(params, expires) });
+
+        return `${this.publicUrl}/api/storage/local/object?${query.toString()}`;
+    }
+
+    /**
+     * @private
+     */
+    sign({ op, key, uploadId = '', partNumber = '' }, expires) {
+        return crypto
+            .createHmac('sha256', this.signingSecret)
+            .update([op, key, uploadId, partNumber, expires].join('\n'))
+            .digest('hex');
+    }
+
+    /**
+     * @private
+     */
+    getUploadDir(uploadId) {
+        if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+            throw Object.assign(new Error('Invalid upload ID'), { code: 'NoSuchUpload' });
+        }
+
+        return path.join(this.rootDir, MULTIPART_DIR, uploadId);
+    }
+
+    /**
+     * Map filesystem errors to the S3 error codes callers already handle
+     * @private
+     */
+    toStorageError(error, key) {
+        if (error.code === 'ENOENT') {
+            return Object.assign(new Error(`Object not found: ${key}`), { code: 'NoSuchKey', statusCode: 404 });
+        }
+        return error;
+    }
+}
+
+export default LocalDriver;
@@ -0,0 +1,219 @@
+/**
+ * S3 Storage Driver
+ * Object storage on any S3-compatible service (Backblaze B2, AWS S3, MinIO)
+ */
+
+import AWS from 'aws-sdk';
+
+export class S3Driver {
+    /**
+     * @param {Object} options - Connection settings
+     * @param {string} options.name - Driver name used in logs (b2, s3, minio)
+     * @param {string} [options.endpoint] - Service endpoint; omit for AWS S3
+     * @param {string} options.region - Bucket region
+     * @param {string} options.accessKeyId - Access key ID
+     * @param {string} options.secretAccessKey - Secret access key
+     * @param {string} options.bucketName - Bucket holding all objects
+     */
+    constructor({ name, endpoint, region, accessKeyId, secretAccessKey, bucketName }) {
+        this.name = name;
+        this.bucketName = bucketName;
+        this.configured = Boolean(accessKeyId && secretAccessKey && bucketName);
+
+        this.s3 = new AWS.S3({
+            endpoint,
+            region,
+            accessKeyId,
+            secretAccessKey,
+            s3ForcePathStyle: true,
+            signatureVersion: 'v4'
+        });
+    }
+
+    /**
+     * @returns {boolean} True when credentials and bucket are set
+     */
+    isConfigured() {
+        return this.configured;
+    }
+
+    /**
+     * Store an object
+     * @param {string} key - Object key
+     * @param {Buffer|ReadableStream} body - Content
+     * @param {Object} [options]
+     * @param {string} [options.contentType] - MIME type
+     * @returns {Promise<{ key: string }>}
+     */
+    async putObject(key, body, { contentType } = {}) {
+        const result = await this.s3.upload({
+            Bucket: this.bucketName,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            ACL: 'private' // Important: keep files private
+        }).promise();
+
+        return { key: result.Key };
+    }
+
+    /**
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>} Object content
+     */
+    async getObject(key) {
+        const object = await this.s3.getObject({ Bucket: this.bucketName, Key: key }).promise();
+        return object.Body;
+    }
+
+    /**
+     * @param {string} key - Object key
+     * @returns {ReadableStream} Object content stream
+     */
+    getObjectStream(key) {
+        return this.s3.getObject({ Bucket: this.bucketName, Key: key }).createReadStream();
+    }
+
+    /**
+     * @param {string} key - Object key
+     */
+    async deleteObject(key) {
+        await this.s3.deleteObject({ Bucket: this.bucketName, Key: key }).promise();
+    }
+
+    /**
+     * Time-limited download URL
+     * @param {string} key - Object key
+     * @param {number} expiresIn - Lifetime in seconds
+     * @returns {Promise<string>}
+     */
+    async getSignedUrl(key, expiresIn) {
+        return this.s3.getSignedUrlPromise('getObject', {
+            Bucket: this.bucketName,
+            Key: key,
+            Expires: expiresIn
+        });
+    }
+
+    /**
+     * List every object under a prefix
+     * @param {string} [prefix] - Key prefix
+     * @returns {Promise<Array<{ key: string, size: number, lastModified: Date }>>}
+     */
+    async listObjects(prefix = '') {
+        const objects = [];
+        let continuationToken;
+
+        do {
+            const page = await this.s3.listObjectsV2({
+                Bucket: this.bucketName,
+                Prefix: prefix || undefined,
+                ContinuationToken: continuationToken
+            }).promise();
+
+            for (const object of page.Contents || []) {
+                objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            }
+
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    /**
+     * Start a multipart upload
+     * @param {string} key - Object key
+     * @param {Object} [options]
+     * @param {string} [options.contentType] - MIME type
+     * @returns {Promise<string>} Upload ID
+     */
+    async createMultipartUpload(key, { contentType } = {}) {
+        const result = await this.s3.createMultipartUpload({
+            Bucket: this.bucketName,
+            Key: key,
+            ContentType: contentType,
+            ACL: 'private'
+        }).promise();
+
+        return result.UploadId;
+    }
+
+    /**
+     * Presigned URL the client PUTs one part to
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     * @param {number} partNumber - 1-based part number
+     * @param {number} expiresIn - Lifetime in seconds
+     * @returns {Promise<string>}
+     */
+    async getPartUploadUrl(key, uploadId, partNumber, expiresIn) {
+        return this.s3.getSignedUrlPromise('uploadPart', {
+            Bucket: this.bucketName,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            Expires: expiresIn
+        });
+    }
+
+    /**
+     * Parts stored so far, in part-number order
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     * @returns {Promise<Array<{ partNumber: number, etag: string, size: number }>>}
+     */
+    async listParts(key, uploadId) {
+        const parts = [];
+        let marker;
+
+        do {
+            const page = await this.s3.listParts({
+                Bucket: this.bucketName,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker
+            }).promise();
+
+            for (const part of page.Parts || []) {
+                parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+            }
+
+            marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+        } while (marker);
+
+        return parts;
+    }
+
+    /**
+     * Assemble the uploaded parts into the final object
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     * @param {Array<{ partNumber: number, etag: string }>} parts - Parts in order
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+        await this.s3.completeMultipartUpload({
+            Bucket: this.bucketName,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: parts.map(p => ({ PartNumber: p.partNumber, ETag: p.etag }))
+            }
+        }).promise();
+    }
+
+    /**
+     * Discard a multipart upload and its parts
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     */
+    async abortMultipartUpload(key, uploadId) {
+        await this.s3.abortMultipartUpload({
+            Bucket: this.bucketName,
+            Key: key,
+            UploadId: uploadId
+        }).promise();
+    }
+}
+
+export default S3Driver;
@@ -0,0 +1,97 @@
+/**
+ * GST Utility
+ * State codes for the place of supply and the CGST/SGST/IGST split of GST-inclusive amounts.
+ */
+
+export const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class Gst {
+    /**
+     * Check a two-digit GST state code
+     * @param {string} stateCode
+     * @returns {boolean}
+     */
+    isValidStateCode(stateCode) {
+        return typeof stateCode === 'string' && Object.prototype.hasOwnProperty.call(GST_STATES, stateCode);
+    }
+
+    /**
+     * Name of a state for printing, e.g. "27 - Maharashtra"
+     * @param {string} stateCode
+     * @returns {string}
+     */
+    formatState(stateCode) {
+        return GST_STATES[stateCode] ? `${stateCode} - ${GST_STATES[stateCode]}` : stateCode || '';
+    }
+
+    /**
+     * Split a GST-inclusive amount into its taxable value and taxes
+     * @param {number} total - Amount paid, tax included
+     * @param {number} rate - GST rate in percent
+     * @param {boolean} intraState - Supplier and place of supply are in the same state
+     * @returns {{ taxable: number, cgst: number, sgst: number, igst: number, total: number }}
+     */
+    splitInclusive(total, rate, intraState) {
+        const taxable = round2(total / (1 + rate / 100));
+        const tax = round2(total - taxable);
+
+        if (!intraState) {
+            return { taxable, cgst: 0, sgst: 0, igst: tax, total };
+        }
+
+        // Any odd paisa goes to SGST so the parts always add up to the total
+        const cgst = round2(tax / 2);
+        return { taxable, cgst, sgst: round2(tax - cgst), igst: 0, total };
+    }
+
+    /**
+     * Indian financial year (April-March) of a date, e.g. "2026-27"
+     * @param {Date} date
+     * @returns {string}
+     */
+    financialYear(date = new Date()) {
+        const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+}
+
+export default new Gst();
@@ -0,0 +1,249 @@
+/**
+ * Question Grader Utility
+ * Normalizes, validates and grades typed quiz questions
+ */
+
+export const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'numeric', 'short_text', 'ordering'];
+
+const LEGACY_OPTION_KEYS = ['a', 'b', 'c', 'd'];
+
+class QuestionGrader {
+    /**
+     * Normalize a question row into the typed shape.
+     * Legacy rows (option_a..option_d + correct_answer) become single_choice questions.
+     * @param {Object} question - quiz_questions or question_bank row
+     * @returns {Object} Question with question_type, options and answer_key populated
+     */
+    normalize(question) {
+        const normalized = { ...question };
+
+        normalized.question_type = question.question_type || 'single_choice';
+
+        if (!Array.isArray(question.options) || question.options.length === 0) {
+            normalized.options = LEGACY_OPTION_KEYS
+                .filter(key => question[`option_${key}`] !== undefined && question[`option_${key}`] !== null)
+                .map(key => ({ id: key, text: question[`option_${key}`] }));
+        }
+
+        if ((question.answer_key === undefined || question.answer_key === null) && question.correct_answer !== undefined) {
+            normalized.answer_key = question.correct_answer;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a typed question definition
+     * @param {Object} question - Question data
+     * @returns {string[]} List of validation errors (empty when valid)
+     */
+    validate(question) {
+        const errors = [];
+        const { question_type, question_text, options, answer_key, marks, tolerance } = question;
+
+        if (!QUESTION_TYPES.includes(question_type)) {
+            errors.push(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
+            return errors;
+        }
+
+        if (!question_text || !String(question_text).trim()) {
+            errors.push('Question text is required');
+        }
+
+        if (marks !== undefined && marks !== null && !(Number(marks) > 0)) {
+            errors.push('Marks must be a positive number');
+        }
+
+        const optionIds = Array.isArray(options) ? options.map(o => o?.id) : [];
+
+        if (['single_choice', 'multiple_choice', 'ordering'].includes(question_type)) {
+            if (!Array.isArray(options) || options.length < 2) {
+                errors.push('At least two options are required');
+            } else if (options.some(o => !o || !o.id || !String(o.text ?? '').trim())) {
+                errors.push('Every option needs an id and text');
+            } else if (new Set(optionIds).size !== optionIds.length) {
+                errors.push('Option ids must be unique');
+            }
+        }
+
+        switch (question_type) {
+            case 'single_choice':
+                if (!optionIds.includes(answer_key)) {
+                    errors.push('Answer key must be one of the option ids');
+                }
+                break;
+            case 'multiple_choice':
+                if (!Array.isArray(answer_key) || answer_key.length === 0) {
+                    errors.push('Answer key must be a non-empty list of option ids');
+                } else if (answer_key.some(id => !optionIds.includes(id))) {
+                    errors.push('Answer key contains unknown option ids');
+                }
+                break;
+            case 'true_false':
+                if (typeof answer_key !== 'boolean') {
+                    errors.push('Answer key must be true or false');
+                }
+                break;
+            case 'numeric':
+                if (answer_key === null || answer_key === '' || !Number.isFinite(Number(answer_key))) {
+                    errors.push('Answer key must be a number');
+                }
+                if (tolerance !== undefined && tolerance !== null && !(Number(tolerance) >= 0)) {
+                    errors.push('Tolerance must be zero or a positive number');
+                }
+                break;
+            case 'short_text':
+                if (!Array.isArray(answer_key) || answer_key.filter(a => String(a).trim()).length === 0) {
+                    errors.push('Answer key must be a non-empty list of accepted answers');
+                }
+                break;
+            case 'ordering':
+                if (!Array.isArray(answer_key) || answer_key.length !== optionIds.length
+                    || [...answer_key].sort().join('|') !== [...optionIds].sort().join('|')) {
+                    errors.push('Answer key must list every option id exactly once in the correct order');
+                }
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Grade a single answer
+     * @param {Object} question - Question row (legacy or typed)
+     * @param {*} answer - Student answer
+     * @returns {{ fraction: number, isCorrect: boolean }} Fraction of marks earned (0..1)
+     */
+    grade(question, answer) {
+        const q = this.normalize(question);
+
+        if (answer === undefined || answer === null || answer === '') {
+            return { fraction: 0, isCorrect: false };
+        }
+
+        let fraction = 0;
+
+        switch (q.question_type) {
+            case 'single_choice':
+                fraction = answer === q.answer_key ? 1 : 0;
+                break;
+            case 'true_false': {
+                // Anything but true/false is a wrong answer, never a match for a false key
+                const value = this.toBoolean(answer);
+                fraction = value !== null && value === this.toBoolean(q.answer_key) ? 1 : 0;
+                break;
+            }
+            case 'multiple_choice':
+                fraction = this.gradeMultipleChoice(q, answer);
+                break;
+            case 'numeric': {
+                const value = this.toNumber(answer);
+                const tolerance = Math.abs(Number(q.tolerance) || 0);
+                fraction = value !== null && Math.abs(value - Number(q.answer_key)) <= tolerance ? 1 : 0;
+                break;
+            }
+            case 'short_text': {
+                const accepted = (Array.isArray(q.answer_key) ? q.answer_key : [q.answer_key])
+                    .map(a => this.normalizeText(a));
+                fraction = accepted.includes(this.normalizeText(answer)) ? 1 : 0;
+                break;
+            }
+            case 'ordering':
+                fraction = Array.isArray(answer) && Array.isArray(q.answer_key)
+                    && answer.length === q.answer_key.length
+                    && answer.every((id, index) => id === q.answer_key[index]) ? 1 : 0;
+                break;
+        }
+
+        return { fraction, isCorrect: fraction === 1 };
+    }
+
+    /**
+     * Marks earned for an answer, rounded to two decimals
+     * @param {Object} question - Question row
+     * @param {*} answer - Student answer
+     * @returns {{ marks: number, fraction: number, isCorrect: boolean }}
+     */
+    score(question, answer) {
+        const { fraction, isCorrect } = this.grade(question, answer);
+        const marks = Math.round(Number(question.marks || 1) * fraction * 100) / 100;
+
+        return { marks, fraction, isCorrect };
+    }
+
+    /**
+     * Multi-select grading: each correct pick earns credit, each wrong pick cancels one.
+     * Without partial credit only an exact match scores.
+     * @private
+     */
+    gradeMultipleChoice(question, answer) {
+        const key = new Set(Array.isArray(question.answer_key) ? question.answer_key : []);
+        const selected = new Set(Array.isArray(answer) ? answer : [answer]);
+
+        if (key.size === 0) {
+            return 0;
+        }
+
+        let correctPicks = 0;
+        let wrongPicks = 0;
+        for (const id of selected) {
+            if (key.has(id)) {
+                correctPicks++;
+            } else {
+                wrongPicks++;
+            }
+        }
+
+        if (correctPicks === key.size && wrongPicks === 0) {
+            return 1;
+        }
+
+        if (question.partial_credit === false) {
+            return 0;
+        }
+
+        return Math.max(0, (correctPicks - wrongPicks) / key.size);
+    }
+
+    /**
+     * @private
+     */
+    normalizeText(value) {
+        return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Interpret a numeric answer; only finite numbers and non-blank numeric strings count
+     * @param {*} value - Value to interpret
+     * @returns {number|null} The number, or null when the answer isn't numeric
+     */
+    toNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+
+        if (typeof value !== 'string' || !value.trim()) {
+            return null;
+        }
+
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Interpret "true"/"false" strings and booleans
+     * @param {*} value - Value to interpret
+     * @returns {boolean|null} null for anything else
+     */
+    toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim().toLowerCase();
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        return null;
+    }
+}
+
+export default new QuestionGrader();
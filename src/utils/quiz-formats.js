@@ -0,0 +1,904 @@
+/**
+ * Quiz Formats Utility
+ * Parses and writes quiz questions as CSV, Moodle GIFT and IMS QTI 2.1
+ *
+ * CSV columns: type, question, options, answer, marks, tolerance, explanation
+ *   - options and multi-value answers are separated by "|"
+ *   - choice answers reference options by letter (A, B, ...), 1-based number or exact text
+ *   - ordering questions may leave answer empty when options are listed in the correct order
+ */
+
+import AdmZip from 'adm-zip';
+import { XMLParser } from 'fast-xml-parser';
+import questionGrader from './question-grader.js';
+
+export const QUIZ_FORMATS = ['csv', 'gift', 'qti'];
+
+const CSV_COLUMNS = ['type', 'question', 'options', 'answer', 'marks', 'tolerance', 'explanation'];
+
+const TYPE_ALIASES = {
+    single: 'single_choice',
+    single_choice: 'single_choice',
+    mcq: 'single_choice',
+    multiple: 'multiple_choice',
+    multiple_choice: 'multiple_choice',
+    multi: 'multiple_choice',
+    true_false: 'true_false',
+    truefalse: 'true_false',
+    tf: 'true_false',
+    numeric: 'numeric',
+    number: 'numeric',
+    short_text: 'short_text',
+    short: 'short_text',
+    text: 'short_text',
+    ordering: 'ordering',
+    order: 'ordering'
+};
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+
+class QuizFormats {
+    /**
+     * Detect the format from an explicit value or the file name
+     * @param {string} format - Requested format (optional)
+     * @param {string} fileName - Uploaded file name
+     * @returns {string|null} csv, gift, qti or null when unknown
+     */
+    detectFormat(format, fileName = '') {
+        if (format) {
+            return QUIZ_FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+        }
+
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (extension === 'gift' || extension === 'txt') return 'gift';
+        if (extension === 'xml' || extension === 'zip') return 'qti';
+
+        return null;
+    }
+
+    /**
+     * Parse an uploaded file into validated rows
+     * @param {Buffer} buffer - File contents
+     * @param {string} format - csv, gift or qti
+     * @returns {Array<{ row: string|number, question: Object|null, errors: string[] }>}
+     */
+    parse(buffer, format) {
+        switch (format) {
+            case 'csv':
+                return this.parseCsv(buffer.toString('utf8'));
+            case 'gift':
+                return this.parseGift(buffer.toString('utf8'));
+            case 'qti':
+                return this.parseQti(buffer);
+            default:
+                throw new Error(`Unsupported format: ${format}`);
+        }
+    }
+
+    /**
+     * Validate a parsed question and attach the resulting errors
+     * @param {string|number} row - Row label for error reporting
+     * @param {Object} question - Parsed question
+     * @param {string[]} errors - Errors found while parsing
+     */
+    buildRow(row, question, errors = []) {
+        if (errors.length === 0 && question) {
+            errors.push(...questionGrader.validate(question));
+        }
+
+        return { row, question: question || null, errors };
+    }
+
+    // ==================== CSV ====================
+
+    /**
+     * Parse CSV text
+     * @param {string} text - CSV contents
+     */
+    parseCsv(text) {
+        const records = this.readCsvRecords(text.replace(/^﻿/, ''));
+
+        if (records.length === 0) {
+            return [{ row: 1, question: null, errors: ['File is empty'] }];
+        }
+
+        const header = records[0].map(h => h.trim().toLowerCase());
+        const missing = ['type', 'question'].filter(c => !header.includes(c));
+        if (missing.length > 0) {
+            return [{ row: 1, question: null, errors: [`Missing required column(s): ${missing.join(', ')}`] }];
+        }
+
+        const rows = [];
+
+        records.slice(1).forEach((record, index) => {
+            // Skip blank lines
+            if (record.every(cell => !cell.trim())) {
+                return;
+            }
+
+            const values = {};
+            header.forEach((column, i) => {
+                values[column] = (record[i] ?? '').trim();
+            });
+
+            const errors = [];
+            const questionType = TYPE_ALIASES[(values.type || 'single_choice').toLowerCase()];
+
+            if (!questionType) {
+                rows.push(this.buildRow(index + 2, null, [`Unknown question type "${values.type}"`]));
+                return;
+            }
+
+            const options = this.splitList(values.options).map((optionText, i) => ({ id: this.optionId(i), text: optionText }));
+            const question = {
+                question_type: questionType,
+                question_text: values.question,
+                options: ['single_choice', 'multiple_choice', 'ordering'].includes(questionType) ? options : [],
+                answer_key: this.parseCsvAnswer(questionType, values.answer, options, errors),
+                marks: values.marks ? Number(values.marks) : 1,
+                tolerance: values.tolerance ? Number(values.tolerance) : 0,
+                explanation: values.explanation || null
+            };
+
+            rows.push(this.buildRow(index + 2, question, errors));
+        });
+
+        return rows;
+    }
+
+    /**
+     * Write questions as CSV
+     * @param {Object[]} questions - Normalized questions with answers
+     * @returns {string} CSV text
+     */
+    toCsv(questions) {
+        const lines = [CSV_COLUMNS.join(',')];
+
+        for (const q of questions) {
+            const options = q.options || [];
+            const letterFor = (id) => {
+                const index = options.findIndex(o => o.id === id);
+                return index >= 0 ? this.optionLetter(index) : id;
+            };
+
+            let answer;
+            switch (q.question_type) {
+                case 'single_choice':
+                    answer = letterFor(q.answer_key);
+                    break;
+                case 'multiple_choice':
+                case 'ordering':
+                    answer = (q.answer_key || []).map(letterFor).join('|');
+                    break;
+                case 'short_text':
+                    answer = (Array.isArray(q.answer_key) ? q.answer_key : [q.answer_key]).join('|');
+                    break;
+                default:
+                    answer = String(q.answer_key);
+            }
+
+            lines.push([
+                q.question_type,
+                q.question_text,
+                options.map(o => o.text).join('|'),
+                answer,
+                q.marks ?? 1,
+                q.tolerance || '',
+                q.explanation || ''
+            ].map(value => this.escapeCsv(value)).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    parseCsvAnswer(questionType, answer, options, errors) {
+        const resolve = (ref) => {
+            const id = this.resolveOptionRef(ref, options);
+            if (!id) {
+                errors.push(`Answer "${ref}" does not match any option`);
+            }
+            return id;
+        };
+
+        switch (questionType) {
+            case 'single_choice':
+                return answer ? resolve(answer) : null;
+            case 'multiple_choice':
+                return this.splitList(answer).map(resolve);
+            case 'ordering':
+                return answer ? this.splitList(answer).map(resolve) : options.map(o => o.id);
+            case 'true_false': {
+                const value = (answer || '').toLowerCase();
+                if (['true', 't', 'yes'].includes(value)) return true;
+                if (['false', 'f', 'no'].includes(value)) return false;
+                return null;
+            }
+            case 'numeric':
+                return answer === '' || answer === undefined ? null : Number(answer);
+            case 'short_text':
+                return this.splitList(answer);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Split CSV text into records, honouring quoted fields with commas, quotes and newlines
+     * @private
+     */
+    readCsvRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * @private
+     */
+    escapeCsv(value) {
+        const str = String(value ?? '');
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    // ==================== GIFT ====================
+
+    /**
+     * Parse Moodle GIFT text (multiple choice, true/false, short answer and numeric questions)
+     * @param {string} text - GIFT contents
+     */
+    parseGift(text) {
+        const rows = [];
+        const blocks = [];
+        let current = null;
+
+        text.replace(/^﻿/, '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY')) {
+                return;
+            }
+
+            if (!trimmed) {
+                current = null;
+                return;
+            }
+
+            if (!current) {
+                current = { line: index + 1, text: '' };
+                blocks.push(current);
+            }
+
+            current.text += `${line}\n`;
+        });
+
+        for (const block of blocks) {
+            const errors = [];
+            let body = block.text.trim();
+
+            // Optional ::title::
+            body = body.replace(/^::(?:\\.|[^:])*::/, '').trim();
+
+            const open = this.findUnescaped(body, '{');
+            const close = open >= 0 ? this.findUnescaped(body, '}', open) : -1;
+
+            if (open < 0 || close < 0) {
+                rows.push(this.buildRow(block.line, null, ['Missing {answer} block']));
+                continue;
+            }
+
+            const before = body.slice(0, open).trim();
+            const after = body.slice(close + 1).trim();
+            const questionText = this.unescapeGift(
+                (after ? `${before} _____ ${after}` : before).replace(/^\[(html|moodle|plain|markdown)\]/i, '')
+            ).trim();
+
+            const question = this.parseGiftAnswers(body.slice(open + 1, close).trim(), errors);
+            if (question) {
+                question.question_text = questionText;
+                question.marks = 1;
+            }
+
+            rows.push(this.buildRow(block.line, question, errors));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Write questions as GIFT. Ordering questions have no GIFT equivalent and are emitted as comments.
+     * @param {Object[]} questions - Normalized questions with answers
+     * @returns {string} GIFT text
+     */
+    toGift(questions) {
+        const blocks = questions.map((q, index) => {
+            const title = `::Q${index + 1}::`;
+            const text = this.escapeGift(q.question_text);
+            const options = q.options || [];
+
+            switch (q.question_type) {
+                case 'single_choice':
+                    return `${title}${text} {\n${options.map(o => `${o.id === q.answer_key ? '=' : '~'}${this.escapeGift(o.text)}`).join('\n')}\n}`;
+                case 'multiple_choice': {
+                    const correct = new Set(q.answer_key || []);
+                    const weight = Number((100 / Math.max(1, correct.size)).toFixed(5));
+                    return `${title}${text} {\n${options.map(o => `~%${correct.has(o.id) ? weight : -100}%${this.escapeGift(o.text)}`).join('\n')}\n}`;
+                }
+                case 'true_false':
+                    return `${title}${text} {${questionGrader.toBoolean(q.answer_key) ? 'TRUE' : 'FALSE'}}`;
+                case 'numeric':
+                    return `${title}${text} {#${q.answer_key}${Number(q.tolerance) ? `:${Number(q.tolerance)}` : ''}}`;
+                case 'short_text': {
+                    const accepted = Array.isArray(q.answer_key) ? q.answer_key : [q.answer_key];
+                    return `${title}${text} {${accepted.map(a => `=${this.escapeGift(a)}`).join(' ')}}`;
+                }
+                default:
+                    return `// Skipped ${q.question_type} question (not supported by GIFT): ${q.question_text.replace(/\s+/g, ' ')}`;
+            }
+        });
+
+        return blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    parseGiftAnswers(answerText, errors) {
+        // True/false
+        const trueFalse = answerText.match(/^(T|TRUE|F|FALSE)\b/i);
+        if (trueFalse) {
+            return {
+                question_type: 'true_false',
+                options: [],
+                answer_key: trueFalse[1].toUpperCase().startsWith('T')
+            };
+        }
+
+        // Numeric: {#value:tolerance}, {#min..max} or {#=value:tolerance ...}
+        if (answerText.startsWith('#')) {
+            const first = answerText.slice(1).replace(/^\s*=/, '').split(/\s*[=~#]/)[0].trim();
+            const range = first.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+            const withTolerance = first.match(/^(-?[\d.]+)(?::([\d.]+))?$/);
+
+            if (range) {
+                const min = Number(range[1]);
+                const max = Number(range[2]);
+                return { question_type: 'numeric', options: [], answer_key: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+            }
+
+            if (withTolerance) {
+                return {
+                    question_type: 'numeric',
+                    options: [],
+                    answer_key: Number(withTolerance[1]),
+                    tolerance: withTolerance[2] ? Number(withTolerance[2]) : 0
+                };
+            }
+
+            errors.push(`Invalid numeric answer "${first}"`);
+            return null;
+        }
+
+        const answers = this.splitGiftAnswers(answerText);
+
+        if (answers.length === 0) {
+            errors.push('No answers found');
+            return null;
+        }
+
+        if (answers.some(a => a.text.includes('->'))) {
+            errors.push('Matching questions are not supported');
+            return null;
+        }
+
+        // Only "=" answers: short answer
+        if (answers.every(a => a.marker === '=')) {
+            return {
+                question_type: 'short_text',
+                options: [],
+                answer_key: answers.map(a => a.text)
+            };
+        }
+
+        const options = answers.map((a, i) => ({ id: this.optionId(i), text: a.text }));
+        const correctIds = answers
+            .map((a, i) => ((a.marker === '=' || a.weight > 0) ? options[i].id : null))
+            .filter(Boolean);
+
+        if (correctIds.length > 1 || answers.some(a => a.weight !== null && a.weight < 100 && a.weight > 0)) {
+            return { question_type: 'multiple_choice', options, answer_key: correctIds };
+        }
+
+        return { question_type: 'single_choice', options, answer_key: correctIds[0] ?? null };
+    }
+
+    /**
+     * Split "=right ~wrong ~%50%partial #feedback" into answers
+     * @private
+     */
+    splitGiftAnswers(answerText) {
+        const answers = [];
+        let current = null;
+
+        for (let i = 0; i < answerText.length; i++) {
+            const char = answerText[i];
+
+            if (char === '\\' && i + 1 < answerText.length) {
+                if (current) current.raw += char + answerText[i + 1];
+                i++;
+                continue;
+            }
+
+            if (char === '=' || char === '~') {
+                current = { marker: char, raw: '' };
+                answers.push(current);
+                continue;
+            }
+
+            if (current) current.raw += char;
+        }
+
+        return answers.map(({ marker, raw }) => {
+            // Drop per-answer feedback
+            const feedbackAt = this.findUnescaped(raw, '#');
+            let text = (feedbackAt >= 0 ? raw.slice(0, feedbackAt) : raw).trim();
+
+            let weight = null;
+            const weightMatch = text.match(/^%(-?[\d.]+)%/);
+            if (weightMatch) {
+                weight = Number(weightMatch[1]);
+                text = text.slice(weightMatch[0].length).trim();
+            }
+
+            return { marker, weight, text: this.unescapeGift(text) };
+        });
+    }
+
+    /**
+     * @private
+     */
+    findUnescaped(text, char, from = 0) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (text[i] === char) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @private
+     */
+    escapeGift(text) {
+        return String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1');
+    }
+
+    /**
+     * @private
+     */
+    unescapeGift(text) {
+        return text.replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char));
+    }
+
+    // ==================== QTI 2.1 ====================
+
+    /**
+     * Parse an IMS QTI 2.1 content package (zip) or a single XML document
+     * @param {Buffer} buffer - File contents
+     */
+    parseQti(buffer) {
+        const documents = [];
+
+        if (buffer.slice(0, 2).toString() === 'PK') {
+            const zip = new AdmZip(buffer);
+            for (const entry of zip.getEntries()) {
+                if (!entry.isDirectory && entry.entryName.toLowerCase().endsWith('.xml')
+                    && !entry.entryName.toLowerCase().endsWith('imsmanifest.xml')) {
+                    documents.push({ name: entry.entryName, xml: entry.getData().toString('utf8') });
+                }
+            }
+        } else {
+            documents.push({ name: 'item', xml: buffer.toString('utf8') });
+        }
+
+        const rows = [];
+
+        for (const document of documents) {
+            const items = document.xml.match(/<(?:\w+:)?assessmentItem[\s>][\s\S]*?<\/(?:\w+:)?assessmentItem>/g) || [];
+
+            if (items.length === 0) {
+                rows.push({ row: document.name, question: null, errors: ['No assessmentItem found'] });
+                continue;
+            }
+
+            items.forEach((itemXml, index) => {
+                const label = items.length > 1 ? `${document.name}#${index + 1}` : document.name;
+                const errors = [];
+                let question = null;
+
+                try {
+                    question = this.parseQtiItem(itemXml, errors);
+                } catch (error) {
+                    errors.push(`Invalid XML: ${error.message}`);
+                }
+
+                rows.push(this.buildRow(label, question, errors));
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Write questions as an IMS QTI 2.1 content package
+     * @param {Object[]} questions - Normalized questions with answers
+     * @param {string} title - Quiz title
+     * @returns {Buffer} Zip file
+     */
+    toQti(questions, title = 'Quiz') {
+        const zip = new AdmZip();
+        const resources = [];
+
+        questions.forEach((q, index) => {
+            const identifier = `item_${index + 1}`;
+            const href = `items/${identifier}.xml`;
+
+            zip.addFile(href, Buffer.from(this.buildQtiItem(q, identifier), 'utf8'));
+            resources.push(`    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">\n      <file href="${href}"/>\n    </resource>`);
+        });
+
+        const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-1">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+  <!-- ${this.escapeXml(title)} -->
+</manifest>
+`;
+
+        zip.addFile('imsmanifest.xml', Buffer.from(manifest, 'utf8'));
+
+        return zip.toBuffer();
+    }
+
+    /**
+     * @private
+     */
+    parseQtiItem(itemXml, errors) {
+        const parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@_',
+            removeNSPrefix: true,
+            parseTagValue: false,
+            stopNodes: ['*.simpleChoice', '*.prompt'],
+            isArray: (name) => ['responseDeclaration', 'outcomeDeclaration', 'simpleChoice', 'value', 'mapEntry'].includes(name)
+        });
+
+        const item = parser.parse(itemXml).assessmentItem;
+        const body = item.itemBody || {};
+
+        const interactionType = ['choiceInteraction', 'orderInteraction', 'textEntryInteraction']
+            .find(type => this.findNode(body, type));
+
+        if (!interactionType) {
+            errors.push('Unsupported interaction (supported: choice, order, text entry)');
+            return null;
+        }
+
+        const interaction = this.findNode(body, interactionType);
+        const declarations = item.responseDeclaration || [];
+        const declaration = declarations.find(d => d['@_identifier'] === interaction['@_responseIdentifier']) || declarations[0] || {};
+        const correctValues = (declaration.correctResponse?.value || []).map(v => String(typeof v === 'object' ? v['#text'] : v).trim());
+
+        const maxScore = (item.outcomeDeclaration || []).find(o => o['@_identifier'] === 'MAXSCORE');
+        const marks = Number(maxScore?.defaultValue?.value?.[0]) || 1;
+
+        const prompt = interaction.prompt ? this.stripXml(interaction.prompt) : '';
+        const question = {
+            question_text: prompt || this.getQtiBodyText(itemXml) || item['@_title'] || '',
+            marks,
+            options: []
+        };
+
+        if (interactionType === 'textEntryInteraction') {
+            const baseType = declaration['@_baseType'];
+
+            if (baseType === 'float' || baseType === 'integer') {
+                const tolerance = itemXml.match(/tolerance="([\d.]+)/);
+                question.question_type = 'numeric';
+                question.answer_key = correctValues.length > 0 ? Number(correctValues[0]) : null;
+                question.tolerance = tolerance ? Number(tolerance[1]) : 0;
+            } else {
+                const mapped = (declaration.mapping?.mapEntry || [])
+                    .filter(e => Number(e['@_mappedValue']) > 0)
+                    .map(e => e['@_mapKey']);
+                question.question_type = 'short_text';
+                question.answer_key = [...new Set([...correctValues, ...mapped])];
+            }
+
+            return question;
+        }
+
+        const choices = (interaction.simpleChoice || []).map(choice => ({
+            identifier: choice['@_identifier'],
+            text: this.stripXml(typeof choice === 'object' ? choice['#text'] ?? '' : choice)
+        }));
+        const idFor = new Map(choices.map((c, i) => [c.identifier, this.optionId(i)]));
+        const mapIds = (values) => values.map(v => {
+            if (!idFor.has(v)) errors.push(`Correct response "${v}" does not match any choice`);
+            return idFor.get(v);
+        });
+
+        question.options = choices.map(c => ({ id: idFor.get(c.identifier), text: c.text }));
+
+        if (interactionType === 'orderInteraction') {
+            question.question_type = 'ordering';
+            question.answer_key = mapIds(correctValues);
+            return question;
+        }
+
+        const identifiers = choices.map(c => String(c.identifier).toLowerCase()).sort().join(',');
+        if (identifiers === 'false,true' && Number(interaction['@_maxChoices'] ?? 1) === 1) {
+            question.question_type = 'true_false';
+            question.options = [];
+            question.answer_key = (correctValues[0] || '').toLowerCase() === 'true';
+            return question;
+        }
+
+        if (Number(interaction['@_maxChoices'] ?? 1) === 1) {
+            question.question_type = 'single_choice';
+            question.answer_key = mapIds(correctValues.slice(0, 1))[0] ?? null;
+        } else {
+            question.question_type = 'multiple_choice';
+            question.answer_key = mapIds(correctValues);
+        }
+
+        return question;
+    }
+
+    /**
+     * @private
+     */
+    buildQtiItem(q, identifier) {
+        const options = q.options || [];
+        const choiceIdentifier = (id) => `choice_${id}`;
+        let cardinality = 'single';
+        let baseType = 'identifier';
+        let correct = [];
+        let interaction;
+        let responseProcessing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+        let mapping = '';
+
+        const choicesXml = (items) => items
+            .map(o => `      <simpleChoice identifier="${this.escapeXml(o.identifier)}">${this.escapeXml(o.text)}</simpleChoice>`)
+            .join('\n');
+
+        switch (q.question_type) {
+            case 'multiple_choice':
+                cardinality = 'multiple';
+                correct = (q.answer_key || []).map(choiceIdentifier);
+                interaction = `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">\n${choicesXml(options.map(o => ({ identifier: choiceIdentifier(o.id), text: o.text })))}\n    </choiceInteraction>`;
+                break;
+            case 'ordering':
+                cardinality = 'ordered';
+                correct = (q.answer_key || []).map(choiceIdentifier);
+                interaction = `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">\n${choicesXml(options.map(o => ({ identifier: choiceIdentifier(o.id), text: o.text })))}\n    </orderInteraction>`;
+                break;
+            case 'true_false':
+                correct = [questionGrader.toBoolean(q.answer_key) ? 'true' : 'false'];
+                interaction = `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">\n${choicesXml([{ identifier: 'true', text: 'True' }, { identifier: 'false', text: 'False' }])}\n    </choiceInteraction>`;
+                break;
+            case 'numeric': {
+                const tolerance = Number(q.tolerance) || 0;
+                baseType = 'float';
+                correct = [String(q.answer_key)];
+                interaction = '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/></p>';
+                responseProcessing = `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`;
+                break;
+            }
+            case 'short_text': {
+                const accepted = Array.isArray(q.answer_key) ? q.answer_key : [q.answer_key];
+                baseType = 'string';
+                correct = accepted.slice(0, 1);
+                mapping = `\n    <mapping defaultValue="0">\n${accepted.map(a => `      <mapEntry mapKey="${this.escapeXml(a)}" mappedValue="1" caseSensitive="false"/>`).join('\n')}\n    </mapping>`;
+                interaction = '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>';
+                responseProcessing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>';
+                break;
+            }
+            default:
+                correct = [choiceIdentifier(q.answer_key)];
+                interaction = `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">\n${choicesXml(options.map(o => ({ identifier: choiceIdentifier(o.id), text: o.text })))}\n    </choiceInteraction>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${this.escapeXml(q.question_text.slice(0, 80))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">
+    <correctResponse>
+${correct.map(v => `      <value>${this.escapeXml(v)}</value>`).join('\n')}
+    </correctResponse>${mapping}
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${Number(q.marks) || 1}</value></defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    <p>${this.escapeXml(q.question_text)}</p>
+${interaction}
+  </itemBody>
+  ${responseProcessing}
+</assessmentItem>
+`;
+    }
+
+    /**
+     * Question text from the item body with interactions removed
+     * @private
+     */
+    getQtiBodyText(itemXml) {
+        const body = itemXml.match(/<(?:\w+:)?itemBody[^>]*>([\s\S]*?)<\/(?:\w+:)?itemBody>/);
+        if (!body) return '';
+
+        const withoutInteractions = body[1]
+            .replace(/<(?:\w+:)?(choiceInteraction|orderInteraction)[\s\S]*?<\/(?:\w+:)?\1>/g, '')
+            .replace(/<(?:\w+:)?textEntryInteraction[^>]*\/>/g, ' _____ ');
+
+        return this.stripXml(withoutInteractions);
+    }
+
+    /**
+     * Depth-first search for an element in parsed XML
+     * @private
+     */
+    findNode(node, name) {
+        if (!node || typeof node !== 'object') return null;
+        if (node[name]) return Array.isArray(node[name]) ? node[name][0] : node[name];
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key.startsWith('@_')) continue;
+            for (const child of Array.isArray(value) ? value : [value]) {
+                const found = this.findNode(child, name);
+                if (found) return found;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    stripXml(xml) {
+        return String(xml)
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * @private
+     */
+    escapeXml(str) {
+        return String(str ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * @private
+     */
+    splitList(value) {
+        return (value || '').split('|').map(v => v.trim()).filter(Boolean);
+    }
+
+    /**
+     * Option ids are lowercase letters, matching legacy option_a..option_d
+     * @private
+     */
+    optionId(index) {
+        return index < 26 ? String.fromCharCode(97 + index) : `o${index + 1}`;
+    }
+
+    /**
+     * @private
+     */
+    optionLetter(index) {
+        return index < 26 ? String.fromCharCode(65 + index) : String(index + 1);
+    }
+
+    /**
+     * Resolve "B", "2" or the exact option text to an option id
+     * @private
+     */
+    resolveOptionRef(ref, options) {
+        const value = String(ref).trim();
+
+        const byText = options.find(o => o.text.toLowerCase() === value.toLowerCase());
+        if (byText && value.length > 1) return byText.id;
+
+        if (/^[a-z]$/i.test(value)) {
+            const index = value.toLowerCase().charCodeAt(0) - 97;
+            return options[index]?.id || null;
+        }
+
+        if (/^\d+$/.test(value)) {
+            return options[Number(value) - 1]?.id || null;
+        }
+
+        return byText?.id || null;
+    }
+}
+
+export default new QuizFormats();
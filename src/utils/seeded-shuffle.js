@@ -0,0 +1,67 @@
+/**
+ * Seeded Shuffle Utility
+ * Deterministic shuffling so a stored seed always reproduces the same order
+ */
+
+import crypto from 'crypto';
+
+class SeededShuffle {
+    /**
+     * Create a new random seed
+     * @returns {number} Non-negative 31-bit integer
+     */
+    createSeed() {
+        return crypto.randomInt(0, 2 ** 31 - 1);
+    }
+
+    /**
+     * Derive a stable sub-seed, e.g. one per question for option order
+     * @param {number} seed - Base seed
+     * @param {string} key - Stable key such as a question ID
+     * @returns {number} Derived 31-bit seed
+     */
+    derive(seed, key) {
+        // FNV-1a over the key, mixed with the base seed
+        let hash = 2166136261 ^ seed;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) & 0x7fffffff;
+    }
+
+    /**
+     * Fisher-Yates shuffle driven by a seeded PRNG (mulberry32)
+     * @param {Array} items - Items to shuffle (not modified)
+     * @param {number} seed - Seed
+     * @returns {Array} New shuffled array
+     */
+    shuffle(items, seed) {
+        const random = this.createRandom(seed);
+        const result = [...items];
+
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+export default new SeededShuffle();
@@ -0,0 +1,115 @@
+/**
+ * Subtitle Formats Utility
+ * Parses SubRip (SRT) and WebVTT subtitle files into cues and writes them back as WebVTT,
+ * the only format browsers play natively through <track>.
+ */
+
+export const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// [hh:]mm:ss(.|,)mmm
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const TIMING_LINE = new RegExp(`^\\s*${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}`);
+
+class SubtitleFormats {
+    /**
+     * Detect the format of a subtitle file
+     * @param {string} content - File content
+     * @param {string} [fileName] - Original file name
+     * @returns {string} 'vtt' or 'srt'
+     */
+    detect(content, fileName = '') {
+        if (/^\uFEFF?WEBVTT/.test(content)) {
+            return 'vtt';
+        }
+
+        const extension = fileName.split('.').pop().toLowerCase();
+        return SUBTITLE_FORMATS.includes(extension) ? extension : 'srt';
+    }
+
+    /**
+     * Parse an SRT or WebVTT file
+     * @param {string} content - File content
+     * @returns {Array<{ start: number, end: number, text: string }>} Cues in file order, times in seconds
+     */
+    parse(content) {
+        const blocks = String(content)
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n[ \t]*\n/);
+
+        const cues = [];
+
+        for (const block of blocks) {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+
+            // Header, NOTE, STYLE and REGION blocks have no timing line
+            if (timingIndex === -1) {
+                continue;
+            }
+
+            const match = lines[timingIndex].match(TIMING_LINE);
+            const start = this.toSeconds(match.slice(1, 5));
+            const end = this.toSeconds(match.slice(5, 9));
+            const text = lines.slice(timingIndex + 1).join('\n').trim();
+
+            if (text && end > start) {
+                cues.push({ start, end, text });
+            }
+        }
+
+        return cues;
+    }
+
+    /**
+     * Write cues as a WebVTT file
+     * @param {Array<{ start: number, end: number, text: string }>} cues
+     * @returns {string}
+     */
+    toVtt(cues) {
+        const body = cues
+            // SRT files from some editors carry {\an8}-style override tags that WebVTT would show as text
+            .map(cue => `${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}\n${cue.text.replace(/\{\\[^}]*\}/g, '')}`)
+            .join('\n\n');
+
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    /**
+     * Cue text without markup, for search indexing
+     * @param {string} text - Cue text
+     * @returns {string}
+     */
+    toPlainText(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * @private
+     */
+    toSeconds([hours, minutes, seconds, millis]) {
+        return (parseInt(hours || '0', 10) * 3600)
+            + (parseInt(minutes, 10) * 60)
+            + parseInt(seconds, 10)
+            + parseInt(millis.padEnd(3, '0'), 10) / 1000;
+    }
+
+    /**
+     * @private
+     */
+    formatTimestamp(totalSeconds) {
+        const millis = Math.round(totalSeconds * 1000);
+        const hours = Math.floor(millis / 3600000);
+        const minutes = Math.floor((millis % 3600000) / 60000);
+        const seconds = Math.floor((millis % 60000) / 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis % 1000, 3)}`;
+    }
+}
+
+export default new SubtitleFormats();
@@ -0,0 +1,131 @@
+/**
+ * Trace Token Utility
+ * Per-delivery tokens that survive being printed, photographed or copied as text.
+ * Tokens use Crockford base32 with a Luhn mod 32 check character so OCR mistakes
+ * are caught instead of matching the wrong student.
+ */
+
+import crypto from 'crypto';
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BODY_LENGTH = 10;
+
+// Zero-width characters: one per bit value plus a delimiter
+const ZERO = '\u200B';
+const ONE = '\u200C';
+const MARK = '\u2060';
+
+// Characters OCR and humans commonly confuse with alphabet symbols
+const LOOKALIKES = { O: '0', I: '1', L: '1', U: 'V' };
+
+class TraceToken {
+    /**
+     * Create a new random token
+     * @returns {string} 11-character token (10 random + 1 check character)
+     */
+    create() {
+        let body = '';
+        for (let i = 0; i < BODY_LENGTH; i++) {
+            body += ALPHABET[crypto.randomInt(0, ALPHABET.length)];
+        }
+        return body + this.checkCharacter(body);
+    }
+
+    /**
+     * Human-readable form, e.g. 7K2M-9QXD-B4T
+     * @param {string} token - Raw token
+     * @returns {string}
+     */
+    format(token) {
+        return `${token.slice(0, 4)}-${token.slice(4, 8)}-${token.slice(8)}`;
+    }
+
+    /**
+     * Encode a token as invisible zero-width characters
+     * @param {string} token - Raw token
+     * @returns {string}
+     */
+    toZeroWidth(token) {
+        const bits = [...token]
+            .map(char => ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+            .join('');
+
+        return MARK + [...bits].map(bit => (bit === '1' ? ONE : ZERO)).join('') + MARK;
+    }
+
+    /**
+     * Find every valid token in leaked text (visible or zero-width)
+     * @param {string} text - Text extracted from a leaked file or screenshot
+     * @returns {string[]} Unique raw tokens
+     */
+    extract(text) {
+        const found = new Set();
+        const source = String(text || '');
+
+        for (const match of source.matchAll(new RegExp(`${MARK}([${ZERO}${ONE}]+)${MARK}`, 'g'))) {
+            const token = this.fromZeroWidth(match[1]);
+            if (token && this.isValid(token)) {
+                found.add(token);
+            }
+        }
+
+        const visible = source.toUpperCase().replace(/[OILU]/g, char => LOOKALIKES[char]);
+        for (const match of visible.matchAll(/([0-9A-Z]{4})[-\s]?([0-9A-Z]{4})[-\s]?([0-9A-Z]{3})/g)) {
+            const token = match[1] + match[2] + match[3];
+            if (this.isValid(token)) {
+                found.add(token);
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * @param {string} token - Raw token
+     * @returns {boolean} True when the check character matches
+     */
+    isValid(token) {
+        return typeof token === 'string'
+            && token.length === BODY_LENGTH + 1
+            && [...token].every(char => ALPHABET.includes(char))
+            && this.checkCharacter(token.slice(0, BODY_LENGTH)) === token[BODY_LENGTH];
+    }
+
+    /**
+     * Luhn mod N check character
+     * @private
+     */
+    checkCharacter(body) {
+        const n = ALPHABET.length;
+        let factor = 2;
+        let sum = 0;
+
+        for (let i = body.length - 1; i >= 0; i--) {
+            let addend = factor * ALPHABET.indexOf(body[i]);
+            factor = factor === 2 ? 1 : 2;
+            addend = Math.floor(addend / n) + (addend % n);
+            sum += addend;
+        }
+
+        return ALPHABET[(n - (sum % n)) % n];
+    }
+
+    /**
+     * @private
+     */
+    fromZeroWidth(encoded) {
+        const bits = [...encoded].map(char => (char === ONE ? '1' : '0')).join('');
+
+        if (bits.length % 5 !== 0) {
+            return null;
+        }
+
+        let token = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            token += ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+        }
+        return token;
+    }
+}
+
+export default new TraceToken();